@@ -1,34 +1,173 @@
+#!/usr/bin/env node
 const axios = require('axios');
 const Excel = require('exceljs');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const cron = require('node-cron');
+const { EventEmitter } = require('events');
+const { FrameDecodeError, decodeFrame, isProtocolFrame } = require('./lib/bsflex-frame');
+const { compareAgainstTarget, describeComparison } = require('./lib/at-commands');
+const { selectStaleCommands } = require('./lib/pending-cleanup');
+const { CANCEL_STATE, COMMAND_STATES, DeliveryTracker, abortableDelay } = require('./lib/delivery-tracker');
+const { RunStore } = require('./lib/run-store');
+const { RETRYABLE_OUTCOMES, SEND_OUTCOMES, parseSendResponse } = require('./lib/send-response');
+const { RateLimiter } = require('./lib/rate-limiter');
+const { DEFAULT_ENVIRONMENT, resolveEnvironment } = require('./lib/environments');
+const { HEALTHY_STATUS, describeFindings, evaluateRules, highestSeverity, remediationFor } = require('./lib/health-rules');
+const { UNVERIFIED_STOPPED, planStages, shouldHalt, stageFailureRate } = require('./lib/rollout');
+const { exclusionFor } = require('./lib/targeting');
+const { loadConfig, validateConfig } = require('./lib/account-config');
+const { createNotifiers } = require('./lib/notifiers');
+const { parseReportFormats, writeCsvReports, writeHtmlReport, writeJsonReport } = require('./lib/report-formats');
+const { buildDiffWorkbook, comparableSnapshots, diffSnapshots, journalSnapshot, listReportFiles, readReportSnapshot } = require('./lib/report-diff');
+const { ERRORS_DIR, REPORT_RETENTION_DEFAULTS, ReportIndex, reportBaseName } = require('./lib/report-retention');
+const { FileSink, createLogger, resolveLogging } = require('./lib/logger');
 
 // Configuration
-const API_KEY = process.env.API_KEY;
 const BATCH_SIZE = 400;
-const REQUEST_RATE = 4;
-const DELAY_BETWEEN_BATCHES = 400 / REQUEST_RATE;
-
-// API Endpoints
-const BEES_URL = 'https://view-staging.decklar.com/services/v2/bees';
-const STATUS_BASE_URL = 'https://view-staging.decklar.com/services/v2/autocrud/bee_commands';
-const SEND_URL = 'https://view-staging.decklar.com/services/command/send_commands';
-
-// Account Profiles
-const ACCOUNT_PROFILES = {
- PQE_Testing: {
- deviceType: 'BSFlex',
- ping_frequency: 600,
- accountName: 'PQE_Testing',
- profileCommand: 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0'
- }
-};
-
-class DeviceConfigAutomation {
- constructor() {
+const SEND_RETRIES = 2;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const DEVICE_PAGE_SIZE = 1000;
+const COMMAND_PAGE_SIZE = 100;
+const IMEI_CHUNK_SIZE = 100;
+const MAX_PAGES = 500;
+const CORRUPT_FRAME = 'Corrupt frame';
+
+// API Endpoints (relative to the environment's base URL)
+const BEES_PATH = '/services/v2/bees';
+const STATUS_PATH = '/services/v2/autocrud/bee_commands';
+const SEND_PATH = '/services/command/send_commands';
+
+// Lifecycle events emitted during a run, each with {account, runId, ...}
+const AUTOMATION_EVENTS = ['devicesFetched', 'deviationFound', 'decisionMade', 'batchSent', 'reportWritten'];
+
+// Dependencies can be injected through options: httpClient (an axios-compatible request
+// function), now (the clock, returning a Date), reportWriter(workbook, filepath) and
+// notifiers (see lib/notifiers.js). reportFormats picks the report outputs (see
+// lib/report-formats.js), xlsx only by default; reportRetention how many are kept (see
+// lib/report-retention.js); logger/logging where log lines go (see lib/logger.js).
+class DeviceConfigAutomation extends EventEmitter {
+ constructor(accountProfiles = {}, options = {}) {
+ super();
+ this.accountProfiles = accountProfiles;
+ this.options = options;
+ // An explicit baseUrl/apiKey pair wins; otherwise credentials come from the named environment
+ const environment = options.environment || (options.baseUrl && options.apiKey
+ ? { name: 'custom', baseUrl: options.baseUrl, apiKey: options.apiKey }
+ : resolveEnvironment(DEFAULT_ENVIRONMENT));
+ this.environment = environment.name;
+ this.baseUrl = (options.baseUrl || environment.baseUrl).replace(/\/+$/, '');
+ this.apiKey = options.apiKey || environment.apiKey;
+ // The API key never reaches a log line, whichever field or message it turns up in
+ this.logger = (options.logger || createLogger(options.logging)).child({}, { secrets: [this.apiKey] });
+ this.log = this.logger;
+ this.runLogs = resolveLogging(options.logging).runLogs;
+ this.runLog = null;
+ this.reportsDir = options.reportsDir || path.join(__dirname, 'reports');
+ this.requestTimeout = options.requestTimeout || 30000;
+ this.dryRun = Boolean(options.dryRun);
+ this.concurrency = options.concurrency || 1;
+ this.rateLimiter = options.rateLimiter || new RateLimiter(options.rateLimits);
+ this.httpClient = options.httpClient || axios;
+ this.now = options.now || (() => new Date());
+ this.runStore = options.runStore || new RunStore(undefined, { now: () => this.now() });
+ this.reportWriter = options.reportWriter || ((workbook, filepath) => workbook.xlsx.writeFile(filepath));
+ this.reportFormats = parseReportFormats(options.reportFormats);
+ this.reportRetention = {...REPORT_RETENTION_DEFAULTS, ...options.reportRetention};
+ this.reportIndex = new ReportIndex(this.reportsDir);
+ this.notifiers = options.notifiers || [];
+ this.children = [];
+ this.runId = null;
  this.results = [];
  this.commandAnalysis = {};
+ this.fetchStats = this.emptyFetchStats();
+ this.deliveries = {};
+ this.aggregations = null;
+ this.rollout = null;
+ this.cancellations = [];
+ this.reportFiles = [];
+ this.reportSource = 'Live run';
+ this.stopRequested = false;
+ // Aborted by requestStop() so long waits (delivery polling, rollout windows) end early
+ this.stopController = new AbortController();
+ }
+
+ emptyFetchStats() {
+ return {
+ devices: {pages: 0, records: 0, reportedTotal: null, complete: false},
+ pendingCommands: {chunks: 0, pages: 0, records: 0, reportedTotal: null, complete: false}
+ };
+ }
+
+ // The APIs are not consistent about where they put the overall record count
+ extractTotal(body) {
+ if (!body) return null;
+ const candidates = [body.total, body.total_count, body.totalCount, body.count, body.pagination && body.pagination.total];
+ const total = candidates.find(value => value !== undefined && value !== null && !isNaN(Number(value)));
+ return total === undefined ? null : Number(total);
+ }
+
+ chunk(items, size) {
+ const chunks = [];
+ for (let i = 0; i < items.length; i += size) {
+ chunks.push(items.slice(i, i + size));
+ }
+ return chunks;
+ }
+
+ // Lets an in-flight run finish its current send batch and skip the rest
+ requestStop() {
+ this.stopRequested = true;
+ this.stopController.abort();
+ this.children.forEach(child => child.requestStop());
+ }
+
+ // Every line logged during the run carries its runId and account and, unless run logs are off,
+ // is also written to a file that is moved next to the run's report once the report exists
+ startRunLog(accountName) {
+ this.runLog = this.runLogs ? new FileSink(path.join(this.getReportsDir(), `run_${this.runId}.log`)) : null;
+ this.log = this.logger.child({ runId: this.runId, account: accountName }, { sinks: this.runLog ? [this.runLog.write] : [] });
+ }
+
+ // Listener errors are logged rather than allowed to abort the run
+ notify(event, payload) {
+ try {
+ this.emit(event, payload);
+ } catch (error) {
+ this.log.error(`${event} listener failed`, { event, error });
+ }
+ }
+
+ // A separate instance for one account run that shares this instance's rate limiter and run
+ // store, and re-emits its events from this instance. Pass it to releaseChild() once its run
+ // settles so a long-lived instance does not hold on to every run it forked.
+ forkForAccount() {
+ const child = new DeviceConfigAutomation(this.accountProfiles, {
+ ...this.options,
+ rateLimiter: this.rateLimiter,
+ runStore: this.runStore,
+ notifiers: this.notifiers,
+ logger: this.logger
+ });
+ child.forwarders = AUTOMATION_EVENTS.map(event => {
+ const forward = payload => this.notify(event, payload);
+ child.on(event, forward);
+ return [event, forward];
+ });
+ if (this.stopRequested) {
+ child.requestStop();
+ }
+ this.children.push(child);
+ return child;
+ }
+
+ releaseChild(child) {
+ child.forwarders.forEach(([event, forward]) => child.removeListener(event, forward));
+ this.children = this.children.filter(other => other !== child);
  }
 
  cleanImei(imei) {
@@ -47,33 +186,91 @@ class DeviceConfigAutomation {
  return date.toISOString().replace('T', ' ').substring(0, 19);
  }
 
- delay(ms) {
- return new Promise(resolve => setTimeout(resolve, ms));
+ // Resolves after ms, or as soon as signal aborts
+ delay(ms, signal) {
+ return abortableDelay(ms, signal);
+ }
+
+ isRetryableError(error) {
+ return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+ }
+
+ // The wait a 429 or 503 asked for through Retry-After (seconds or an HTTP date), or null
+ getRetryAfter(error) {
+ const retryAfter = error && error.response && error.response.headers && error.response.headers['retry-after'];
+ if (retryAfter === undefined || ![429, 503].includes(error.response.status)) {
+ return null;
+ }
+ const seconds = Number(retryAfter);
+ const ms = isNaN(seconds) ? new Date(retryAfter).getTime() - this.now().getTime() : seconds * 1000;
+ return isNaN(ms) ? null : Math.min(Math.max(ms, 0), RETRY_MAX_DELAY);
+ }
+
+ // Exponential backoff with jitter, unless the server told us how long to wait
+ getRetryDelay(attempt, error) {
+ const retryAfter = this.getRetryAfter(error);
+ if (retryAfter !== null) {
+ return retryAfter;
+ }
+
+ const ceiling = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * Math.pow(2, attempt));
+ return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
  }
 
- async makeRequest(config, retries = 3) {
+ // GETs are retried freely. Anything else is only retried when verifyBeforeRetry confirms the
+ // previous attempt did not take effect; it may instead return a response to use in its place.
+ async makeRequest(config, options = {}) {
+ const retries = options.retries || 3;
+ const method = (config.method || 'GET').toUpperCase();
+ const idempotent = options.idempotent !== undefined ? options.idempotent : IDEMPOTENT_METHODS.includes(method);
+
  for (let i = 0; i < retries; i++) {
  try {
- const response = await axios(config);
+ await this.rateLimiter.acquire(config.url);
+ const response = await this.httpClient(config);
  return response;
  } catch (error) {
- console.error(`Request attempt ${i + 1} failed:`, error.message);
- if (i === retries - 1) throw error;
- await this.delay(1000 * (i + 1));
+ this.log.warn(`Request attempt ${i + 1} failed`, { phase: 'http', method, url: config.url, error });
+ // Every run sharing the limiter holds off the endpoint, not just this request
+ const retryAfter = this.getRetryAfter(error);
+ if (retryAfter !== null) {
+ this.rateLimiter.backOff(config.url, retryAfter);
+ }
+ if (i === retries - 1 || !this.isRetryableError(error)) throw error;
+ if (!idempotent && !options.verifyBeforeRetry) throw error;
+
+ await this.delay(this.getRetryDelay(i, error));
+
+ if (!idempotent) {
+ let verified;
+ try {
+ verified = await options.verifyBeforeRetry(error);
+ } catch (verifyError) {
+ this.log.error(`Could not verify ${method} ${config.url} before retrying - not retrying`, { phase: 'http', error: verifyError });
+ throw error;
+ }
+ if (verified) {
+ this.log.info(`${method} ${config.url} had already taken effect - not retrying`, { phase: 'http' });
+ return verified;
+ }
+ }
  }
  }
  }
 
  async getDevicesForAccount(account) {
- const now = new Date();
- const fortyEightHoursAgo = new Date(now.getTime() - 48 * 60 * 60 * 1000);
+ const now = this.now();
+ const lookbackHours = account.lookbackHours.devices;
+ const fortyEightHoursAgo = new Date(now.getTime() - lookbackHours * 60 * 60 * 1000);
  
- console.log(`DEBUG: 48-hour filter cutoff: ${this.formatDate(fortyEightHoursAgo)}`);
+ this.log.debug('Device lookback cutoff', { phase: 'fetch', lookbackHours, cutoff: this.formatDate(fortyEightHoursAgo) });
  
- const filter = `device_type eq '${account.deviceType}' and active eq '1' and account_name eq '${account.accountName}'`;
+ const deviceTypeFilter = account.deviceTypes.length === 1
+ ? `device_type eq '${account.deviceTypes[0]}'`
+ : `(${account.deviceTypes.map(deviceType => `device_type eq '${deviceType}'`).join(' or ')})`;
+ const filter = `${deviceTypeFilter} and active eq '1' and account_name eq '${account.accountName}'`;
  
- const params = {
- '$raw': JSON.stringify({
+ const raw = JSON.stringify({
  query: {bool: {must: [], must_not: []}},
  aggs: {
  zoom1: {geohash_grid: {field: "last_known_geo", precision: 1}},
@@ -82,57 +279,91 @@ class DeviceConfigAutomation {
  nocomm: {filter: {terms: {"communication.keyword": ["NONTWK", "NOCOMM"]}}},
  battery_status_low: {filter: {terms: {"battery_state.keyword": ["Low", "Drained"]}}}
  }
- }),
- '$filter': filter,
- '$offset': 0,
- '$size': 1000,
- '$fields': 'all'
- };
+ });
+
+ const stats = this.fetchStats.devices;
 
  try {
+ let firstPage = null;
+ let devices = [];
+
+ for (let page = 0; page < MAX_PAGES; page++) {
  const response = await this.makeRequest({
  method: 'GET',
- url: BEES_URL,
- params: params,
+ url: this.baseUrl + BEES_PATH,
+ params: {
+ '$raw': raw,
+ '$filter': filter,
+ '$offset': page * DEVICE_PAGE_SIZE,
+ '$size': DEVICE_PAGE_SIZE,
+ '$fields': 'all'
+ },
  headers: {
  'Content-Type': 'application/json',
- 'apikey': API_KEY
+ 'apikey': this.apiKey
  },
- timeout: 30000
+ timeout: this.requestTimeout
  });
 
+ const pageData = (response.data && response.data.data) || [];
+ if (!firstPage) {
+ firstPage = response.data;
+ stats.reportedTotal = this.extractTotal(response.data);
+ this.aggregations = this.extractAggregations(response.data);
+ }
+
+ stats.pages++;
+ stats.records += pageData.length;
+ devices = devices.concat(pageData);
+
+ const reachedTotal = stats.reportedTotal !== null && stats.records >= stats.reportedTotal;
+ if (pageData.length < DEVICE_PAGE_SIZE || reachedTotal) {
+ stats.complete = true;
+ break;
+ }
+ }
+
+ this.log.info(`Fetched ${stats.records} devices in ${stats.pages} page(s)` +
+ (stats.reportedTotal !== null ? ` (API reported ${stats.reportedTotal})` : ''), { phase: 'fetch' });
+
+ if (!stats.complete || (stats.reportedTotal !== null && stats.records < stats.reportedTotal)) {
+ stats.complete = false;
+ this.log.warn(`Device fetch for ${account.accountName} may be truncated`, { phase: 'fetch' });
+ }
+
  const fortyEightHoursAgoEpoch = this.getEpochTime(fortyEightHoursAgo);
  const nowEpoch = this.getEpochTime(now);
- 
- const filteredDevices = response.data.data.filter(device => {
+
+ const filteredDevices = devices.filter(device => {
  let timestamp = device.last_message_timestamp || device.last_known_timestamp;
- 
+
  if (!timestamp) {
  return false;
  }
- 
+
  if (timestamp > 1000000000000) {
  timestamp = Math.floor(timestamp / 1000);
  }
- 
+
  if (timestamp < 0 || timestamp < 1000000000) {
  return false;
  }
- 
+
  return timestamp >= fortyEightHoursAgoEpoch;
  });
 
- console.log(`Found ${filteredDevices.length} devices that reported in last 48 hours`);
+ this.log.info(`Found ${filteredDevices.length} devices that reported in last ${lookbackHours} hours`, { phase: 'fetch' });
  
- return { ...response.data, data: filteredDevices };
+ return { ...firstPage, data: filteredDevices };
  } catch (error) {
- console.error(`Error fetching devices for account ${account.accountName}:`, error.message);
+ this.log.error(`Error fetching devices for account ${account.accountName}`, { phase: 'fetch', error });
  return null;
  }
  }
 
+ // Runs the account's health rules over every device; deviations are the devices where any rule fired
  checkConfigDeviations(devices, accountProfile) {
- const now = new Date();
+ const now = this.now();
  const deviations = [];
  const allDevices = [];
 
@@ -159,177 +390,77 @@ class DeviceConfigAutomation {
  }
 
  const currentPingFrequency = device.ping_frequency;
- const expectedPingFrequency = accountProfile.ping_frequency;
- 
- const hasWrongConfig = currentPingFrequency !== expectedPingFrequency;
+ const expectedPingFrequency = accountProfile.expectedSettings.ping_frequency;
 
- allDevices.push({
- imei: imei,
- deviceType: device.device_type,
- lastReported: lastReportTime ? this.formatDate(lastReportTime) : 'Never',
- hoursSinceLastReport: hoursSinceLastReport ? hoursSinceLastReport.toFixed(2) : 'N/A',
- currentPingFrequency: currentPingFrequency || 'N/A',
- expectedFrequency: expectedPingFrequency,
- account: accountProfile.accountName,
- status: hasWrongConfig ? 'Wrong Config' : 'Normal'
- });
- 
- if (hasWrongConfig) {
- deviations.push({
+ const findings = evaluateRules(device, accountProfile.healthRules, { now, hoursSinceLastReport });
+ const mismatchedSettings = findings
+ .filter(finding => finding.type === 'setting')
+ .map(finding => finding.message);
+
+ const entry = {
  imei: imei,
  deviceType: device.device_type,
  lastReported: lastReportTime ? this.formatDate(lastReportTime) : 'Never',
  hoursSinceLastReport: hoursSinceLastReport ? hoursSinceLastReport.toFixed(2) : 'N/A',
  currentPingFrequency: currentPingFrequency || 'N/A',
- expectedFrequency: expectedPingFrequency,
+ expectedFrequency: expectedPingFrequency !== undefined ? expectedPingFrequency : 'N/A',
+ mismatchedSettings: mismatchedSettings.join('; ') || 'None',
  account: accountProfile.accountName,
- status: 'Wrong Config',
- deviationType: 'wrong_config'
- });
+ status: describeFindings(findings),
+ severity: highestSeverity(findings) || 'N/A',
+ findings: findings,
+ ruleFindings: findings.map(finding => `${finding.rule}: ${finding.message}`).join('\n') || 'None',
+ remediationCommand: remediationFor(findings),
+ exclusion: exclusionFor(device, accountProfile.targeting)
+ };
+ allDevices.push(entry);
+
+ if (findings.length > 0) {
+ deviations.push(entry);
  }
  });
 
  return {deviations, allDevices};
  }
 
- // FIXED: Enhanced hex command extraction for all command types
- extractCommandFromFrame(protocolFrame) {
- if (!protocolFrame || typeof protocolFrame !== 'string') {
- return null;
- }
- 
- // Check if it's a hex-encoded protocol frame
- if (protocolFrame.startsWith('7E') && protocolFrame.endsWith('7E')) {
- try {
- console.log(`DEBUG: Processing protocol frame: ${protocolFrame}`);
- 
- // Remove first 38 characters and last 4 characters
- if (protocolFrame.length > 42) {
- const hexPayload = protocolFrame.substring(38, protocolFrame.length - 4);
- console.log(`DEBUG: Extracted hex payload: ${hexPayload}`);
- 
- // Convert hex to ASCII
- let asciiCommand = '';
- for (let i = 0; i < hexPayload.length; i += 2) {
- const hexByte = hexPayload.substring(i, i + 2);
- const charCode = parseInt(hexByte, 16);
- if (!isNaN(charCode) && charCode >= 32 && charCode <= 126) {
- asciiCommand += String.fromCharCode(charCode);
- } else if (charCode === 0) {
- // Handle null bytes
- asciiCommand += ' ';
- }
- }
- 
- // Clean up the command
- asciiCommand = asciiCommand.trim();
- 
- console.log(`DEBUG: Converted to ASCII: ${asciiCommand}`);
- 
- if (asciiCommand && asciiCommand.length > 0) {
- return asciiCommand;
- }
- }
- 
- // Fallback: Try to find F0302 marker for BSFlex specific commands
- const f0302Index = protocolFrame.indexOf('F0302');
- if (f0302Index !== -1) {
- const commandStartIndex = f0302Index + 6; // Skip "F0302a" or "F0302b"
- const commandEndIndex = protocolFrame.length - 4; // Remove checksum + 7E
- 
- if (commandEndIndex > commandStartIndex) {
- const commandHex = protocolFrame.substring(commandStartIndex, commandEndIndex);
- console.log(`DEBUG: Fallback extracted hex: ${commandHex}`);
- 
- let asciiCommand = '';
- for (let i = 0; i < commandHex.length; i += 2) {
- const hexByte = commandHex.substring(i, i + 2);
- const charCode = parseInt(hexByte, 16);
- if (!isNaN(charCode) && charCode >= 32 && charCode <= 126) {
- asciiCommand += String.fromCharCode(charCode);
- }
- }
- 
- asciiCommand = asciiCommand.trim();
- console.log(`DEBUG: Fallback converted to ASCII: ${asciiCommand}`);
- 
- if (asciiCommand && asciiCommand.length > 0) {
- return asciiCommand;
- }
- }
- }
- 
- } catch (e) {
- console.log(`DEBUG: Failed to extract command from hex: ${e.message}`);
- console.log(`DEBUG: Raw protocol frame: ${protocolFrame}`);
- }
- }
- 
- // If not a hex frame or extraction failed, return original
- console.log(`DEBUG: Returning original frame: ${protocolFrame}`);
- return protocolFrame;
- }
-
- isTimeGapCommand(command) {
- if (!command || typeof command !== 'string') return false;
- return command.trim().toUpperCase().includes('AT+TIMEGAP');
- }
-
- areTimeGapCommandsEquivalent(cmd1, cmd2) {
- if (!this.isTimeGapCommand(cmd1) || !this.isTimeGapCommand(cmd2)) {
- return false;
- }
-
- const extractTimeGapParams = (command) => {
- const match = command.match(/AT\+TIMEGAP=([^&]+)/i);
- if (match && match[1]) {
- return match[1].split(',').map(param => param.trim());
+ // Decodes a bee_commands msg: BSFlex frames are parsed and checksum-verified, plain text passes through
+ decodeCommandMessage(message) {
+ if (!message || typeof message !== 'string') {
+ return {command: null, frame: null, corrupt: false, error: null};
  }
- return null;
- };
-
- const params1 = extractTimeGapParams(cmd1);
- const params2 = extractTimeGapParams(cmd2);
 
- if (!params1 || !params2 || params1.length !== params2.length) {
- return false;
+ if (!isProtocolFrame(message)) {
+ return {command: message, frame: null, corrupt: false, error: null};
  }
 
- for (let i = 0; i < params1.length; i++) {
- if (params1[i] !== params2[i]) {
- return false;
- }
+ try {
+ const frame = decodeFrame(message);
+ if (!frame.checksumValid) {
+ return {command: null, frame, corrupt: true, error: `checksum mismatch (frame 0x${frame.checksum.toString(16).toUpperCase()}, computed 0x${frame.computedChecksum.toString(16).toUpperCase()})`};
  }
-
- return true;
+ return {command: frame.command || null, frame, corrupt: !frame.command, error: frame.command ? null : 'frame carries no command text'};
+ } catch (error) {
+ if (!(error instanceof FrameDecodeError)) throw error;
+ return {command: null, frame: null, corrupt: true, error: error.message};
  }
-
- compareCommands(existingCommand, newCommand) {
- if (existingCommand === newCommand) {
- return 'exact_match';
  }
 
- if (this.isTimeGapCommand(existingCommand) && this.isTimeGapCommand(newCommand)) {
- if (this.areTimeGapCommandsEquivalent(existingCommand, newCommand)) {
- return 'equivalent_timegap';
- }
- return 'different_timegap';
+ // Returns the command carried by a protocol frame, the message itself when it is plain text,
+ // or null when the frame is corrupt
+ extractCommandFromFrame(protocolFrame) {
+ return this.decodeCommandMessage(protocolFrame).command;
  }
 
- return 'different_command';
+ // Compares the pending queue (oldest first) against the command we want the device to end up with
+ compareCommands(pendingCommands, targetCommand) {
+ return compareAgainstTarget(pendingCommands, targetCommand);
  }
 
- async checkPendingCommands(imeis, accountProfile, commandToSend = null) {
- const now = new Date();
- const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
- 
- const startEpoch = this.getEpochTime(twentyFourHoursAgo);
- const endEpoch = this.getEpochTime(now);
-
- const rbql = {
- pagination: {page_size: 100, page_num: 1},
+ buildPendingCommandsQuery(imeis, startEpoch, endEpoch, pageNum, states = [0, 1]) {
+ return {
+ pagination: {page_size: COMMAND_PAGE_SIZE, page_num: pageNum},
  filters: [
- {name: "state", values: [0, 1], op: "in"},
+ {name: "state", values: states, op: "in"},
  {name: "imei", values: imeis, op: "in"},
  {name: "created_date", op: "gte", value: startEpoch},
  {name: "created_date", op: "lte", value: endEpoch},
@@ -355,24 +486,84 @@ class DeviceConfigAutomation {
  }
  ]
  };
+ }
+
+ // Walks every page for every IMEI chunk so large backlogs are never cut off
+ async fetchPendingCommands(imeis, startEpoch, endEpoch, options = {}) {
+ const states = options.states || [0, 1];
+ const stats = options.stats || this.fetchStats.pendingCommands;
+ let commands = [];
+ let complete = true;
+ let reportedTotal = null;
 
+ for (const imeiChunk of this.chunk(imeis, IMEI_CHUNK_SIZE)) {
+ stats.chunks++;
+ let chunkTotal = null;
+ let chunkRecords = 0;
+ let chunkComplete = false;
+
+ for (let pageNum = 1; pageNum <= MAX_PAGES; pageNum++) {
+ const rbql = this.buildPendingCommandsQuery(imeiChunk, startEpoch, endEpoch, pageNum, states);
  const rbqlEncoded = encodeURIComponent(JSON.stringify(rbql));
- const url = `${STATUS_BASE_URL}?rbql=${rbqlEncoded}&isResellerAdmin=true`;
+ const url = `${this.baseUrl}${STATUS_PATH}?rbql=${rbqlEncoded}&isResellerAdmin=true`;
 
- try {
  const response = await this.makeRequest({
  method: 'GET',
  url: url,
  headers: {
  'Content-Type': 'application/json',
- 'apikey': API_KEY
+ 'apikey': this.apiKey
  },
- timeout: 30000
+ timeout: this.requestTimeout
  });
 
- const duplicateCommands = new Set();
- const equivalentTimeGapCommands = new Set();
- const timeGapCommands = new Set();
+ const pageData = (response.data && response.data.data) || [];
+ if (pageNum === 1) {
+ chunkTotal = this.extractTotal(response.data);
+ }
+
+ stats.pages++;
+ chunkRecords += pageData.length;
+ commands = commands.concat(pageData);
+
+ if (pageData.length < COMMAND_PAGE_SIZE || (chunkTotal !== null && chunkRecords >= chunkTotal)) {
+ chunkComplete = true;
+ break;
+ }
+ }
+
+ if (chunkTotal !== null) {
+ reportedTotal = (reportedTotal || 0) + chunkTotal;
+ }
+ if (!chunkComplete || (chunkTotal !== null && chunkRecords < chunkTotal)) {
+ complete = false;
+ }
+ }
+
+ stats.records += commands.length;
+ stats.reportedTotal = reportedTotal;
+ stats.complete = complete;
+
+ this.log.info(`Fetched ${stats.records} pending commands in ${stats.pages} page(s) across ${stats.chunks} IMEI chunk(s)`, { phase: 'pending' });
+ if (!complete) {
+ this.log.warn('Pending command lookup may be truncated', { phase: 'pending' });
+ }
+
+ return commands;
+ }
+
+ async checkPendingCommands(imeis, accountProfile, commandToSend = null) {
+ const now = this.now();
+ const twentyFourHoursAgo = new Date(now.getTime() - accountProfile.lookbackHours.pendingCommands * 60 * 60 * 1000);
+
+ const startEpoch = this.getEpochTime(twentyFourHoursAgo);
+ const endEpoch = this.getEpochTime(now);
+
+ try {
+ const pendingCommands = await this.fetchPendingCommands(imeis, startEpoch, endEpoch);
+
+ const satisfiedImeis = new Set();
+ const directiveComparisons = {};
  const pendingCommandCounts = {};
  const pendingCommandsInfo = {};
  
@@ -383,12 +574,12 @@ class DeviceConfigAutomation {
  commands: [],
  decision: 'Send Command',
  reason: 'No pending commands found',
+ directiveStatus: 'N/A',
  existingCommandsFormatted: 'None'
  };
  });
  
- if (response.data && response.data.data) {
- response.data.data.forEach(command => {
+ pendingCommands.forEach(command => {
  if (command.imei && [0, 1].includes(command.state)) {
  if (!pendingCommandCounts[command.imei]) {
  pendingCommandCounts[command.imei] = 0;
@@ -396,14 +587,16 @@ class DeviceConfigAutomation {
  }
  pendingCommandCounts[command.imei]++;
  
- let actualCommand = this.extractCommandFromFrame(command.msg);
- if (!actualCommand) {
- actualCommand = command.msg;
- }
+ const decoded = this.decodeCommandMessage(command.msg);
+ const actualCommand = decoded.corrupt ? CORRUPT_FRAME : (decoded.command || command.msg);
  
  const commandEntry = {
+ id: command.id,
  original: command.msg,
  extracted: actualCommand,
+ corrupt: decoded.corrupt,
+ frameError: decoded.error,
+ frame: decoded.frame,
  state: command.state,
  created_date: command.created_date,
  state_description: command.state === 0 ? 'Pending' : 'Sent'
@@ -431,76 +624,196 @@ class DeviceConfigAutomation {
  }
  }
  
- if (this.isTimeGapCommand(actualCommand)) {
- timeGapCommands.add(command.imei);
- }
- 
- if (commandToSend && actualCommand) {
- const comparisonResult = this.compareCommands(actualCommand, commandToSend);
- 
- if (comparisonResult === 'exact_match') {
- duplicateCommands.add(command.imei);
- if (this.commandAnalysis[command.imei]) {
- this.commandAnalysis[command.imei].decision = 'Do Not Send';
- this.commandAnalysis[command.imei].reason = 'Exact duplicate command found';
- }
- } else if (comparisonResult === 'equivalent_timegap') {
- equivalentTimeGapCommands.add(command.imei);
- if (this.commandAnalysis[command.imei]) {
- this.commandAnalysis[command.imei].decision = 'Do Not Send';
- this.commandAnalysis[command.imei].reason = 'Equivalent AT+TIMEGAP command found';
- }
- }
- }
  }
  });
- }
 
- timeGapCommands.forEach(imei => {
- if (this.commandAnalysis[imei] && this.commandAnalysis[imei].decision === 'Send Command') {
+ // Decide on what the queue will leave the device with, not on whether a similar command exists
+ if (commandToSend) {
+ Object.keys(pendingCommandsInfo).forEach(imei => {
+ const queue = pendingCommandsInfo[imei]
+ .filter(entry => !entry.corrupt)
+ .sort((a, b) => a.created_date - b.created_date)
+ .map(entry => entry.extracted);
+ const comparison = this.compareCommands(queue, commandToSend);
+ directiveComparisons[imei] = comparison;
+
+ if (!this.commandAnalysis[imei]) return;
+ this.commandAnalysis[imei].directiveStatus = describeComparison(comparison);
+
+ if (comparison.reachesTarget) {
+ satisfiedImeis.add(imei);
  this.commandAnalysis[imei].decision = 'Do Not Send';
- this.commandAnalysis[imei].reason = 'AT+TIMEGAP command found in system';
+ this.commandAnalysis[imei].reason = 'Pending commands already reach the target profile';
+ } else {
+ this.commandAnalysis[imei].reason = `Pending commands do not reach the target profile (${this.commandAnalysis[imei].directiveStatus})`;
  }
  });
+ }
 
  Object.keys(pendingCommandCounts).forEach(imei => {
- if (pendingCommandCounts[imei] >= 4 && this.commandAnalysis[imei]) {
+ if (pendingCommandCounts[imei] >= accountProfile.pendingCommandThreshold && this.commandAnalysis[imei]) {
  this.commandAnalysis[imei].decision = 'Do Not Send';
  this.commandAnalysis[imei].reason = `Too many pending commands (${pendingCommandCounts[imei]})`;
  }
  });
 
  return {
- duplicateCommands,
- equivalentTimeGapCommands,
- timeGapCommands,
+ satisfiedImeis,
+ directiveComparisons,
  pendingCommandCounts,
  pendingCommandsInfo
  };
  } catch (error) {
- console.error('Error checking pending commands:', error.message);
+ this.log.error('Error checking pending commands', { phase: 'pending', error });
  return {
- duplicateCommands: new Set(),
- equivalentTimeGapCommands: new Set(),
- timeGapCommands: new Set(),
+ satisfiedImeis: new Set(),
+ directiveComparisons: {},
  pendingCommandCounts: {},
  pendingCommandsInfo: {}
  };
  }
  }
 
- async sendConfigurationCommands(imeis, accountProfile) {
- const results = [];
- const totalBatches = Math.ceil(imeis.length / BATCH_SIZE);
-
- for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
- const startIdx = batchNum * BATCH_SIZE;
- const endIdx = Math.min((batchNum + 1) * BATCH_SIZE, imeis.length);
- const batchImeis = imeis.slice(startIdx, endIdx);
+ // Expires the stale pending commands lib/pending-cleanup.js picks from each device's queue.
+ // Returns the IMEIs whose queue changed; plan mode only lists what it would cancel.
+ async cancelStalePendingCommands(imeis, pendingCommandsInfo, accountProfile, commandToSend) {
+ const now = this.getEpochTime(this.now());
+ const options = {
+ olderThanHours: accountProfile.pendingCleanup.olderThanHours,
+ pendingCommandThreshold: accountProfile.pendingCommandThreshold
+ };
+ const changedImeis = [];
+ const found = [];
+
+ for (const imei of imeis) {
+ const queue = pendingCommandsInfo[imei] || [];
+
+ for (const { entry, reason } of selectStaleCommands(queue, commandToSend, options, now)) {
+ const cancellation = {
+ imei,
+ commandId: entry.id,
+ command: entry.extracted,
+ createdDate: new Date(entry.created_date * 1000).toISOString(),
+ ageHours: Number(((now - entry.created_date) / 3600).toFixed(1)),
+ reason,
+ result: 'Would Cancel'
+ };
 
+ if (!this.dryRun) {
  try {
- const command = accountProfile.profileCommand;
+ await this.makeRequest({
+ method: 'PATCH',
+ url: `${this.baseUrl}${STATUS_PATH}/${entry.id}`,
+ headers: {
+ 'Content-Type': 'application/json',
+ 'apikey': this.apiKey
+ },
+ data: { state: CANCEL_STATE },
+ timeout: this.requestTimeout
+ }, { verifyBeforeRetry: () => this.verifyCancelled(imei, entry) });
+ cancellation.result = 'Cancelled';
+ if (!changedImeis.includes(imei)) changedImeis.push(imei);
+ } catch (error) {
+ this.log.error(`Failed to cancel pending command ${entry.id}`, { phase: 'cleanup', imei, error });
+ cancellation.result = `Failed: ${error.message}`;
+ }
+ }
+ found.push(cancellation);
+ }
+ }
+
+ if (found.length > 0) {
+ const cancelled = found.filter(cancellation => cancellation.result === 'Cancelled').length;
+ this.log.info(this.dryRun
+ ? `Plan mode: would cancel ${found.length} stale pending commands`
+ : `Cancelled ${cancelled} of ${found.length} stale pending commands`, { phase: 'cleanup' });
+ }
+ this.cancellations = this.cancellations.concat(found);
+ return changedImeis;
+ }
+
+ // Cancels what cancelStalePendingCommands finds and re-reads the changed queues, updating the
+ // pending check in place so the send decision reflects what is left
+ async cleanUpPendingCommands(imeis, pendingCheck, accountProfile, commandToSend) {
+ const unsatisfied = imeis.filter(imei => !pendingCheck.satisfiedImeis.has(imei) && pendingCheck.pendingCommandsInfo[imei]);
+ const changedImeis = await this.cancelStalePendingCommands(unsatisfied, pendingCheck.pendingCommandsInfo, accountProfile, commandToSend);
+ if (changedImeis.length === 0) return pendingCheck;
+
+ const recheck = await this.checkPendingCommands(changedImeis, accountProfile, commandToSend);
+ changedImeis.forEach(imei => {
+ delete pendingCheck.pendingCommandCounts[imei];
+ delete pendingCheck.pendingCommandsInfo[imei];
+ if (recheck.pendingCommandCounts[imei]) {
+ pendingCheck.pendingCommandCounts[imei] = recheck.pendingCommandCounts[imei];
+ pendingCheck.pendingCommandsInfo[imei] = recheck.pendingCommandsInfo[imei];
+ }
+ if (recheck.satisfiedImeis.has(imei)) {
+ pendingCheck.satisfiedImeis.add(imei);
+ }
+ const cancelled = this.cancellations.filter(cancellation => cancellation.imei === imei && cancellation.result === 'Cancelled');
+ this.commandAnalysis[imei].cancelledCommands = cancelled.length;
+ this.commandAnalysis[imei].reason = `Cancelled ${cancelled.length} stale pending command(s); ${this.commandAnalysis[imei].reason}`;
+ });
+ return pendingCheck;
+ }
+
+ // Re-reads a command whose cancel request failed. Returns null while it is still pending (safe
+ // to PATCH again), a response when the cancel already took effect, and throws when the command
+ // has moved on since, so it is never expired after the device fetched it.
+ async verifyCancelled(imei, entry) {
+ const rows = await this.fetchPendingCommands([imei], entry.created_date, this.getEpochTime(this.now()), {
+ states: [0, 1, 2, 3, 4],
+ stats: this.emptyFetchStats().pendingCommands
+ });
+ const row = rows.find(candidate => String(candidate.id) === String(entry.id));
+ if (!row) {
+ throw new Error(`pending command ${entry.id} is no longer listed`);
+ }
+ if (row.state === CANCEL_STATE) {
+ return { status: 200, data: { data: row } };
+ }
+ if (row.state !== 0) {
+ throw new Error(`pending command ${entry.id} is now ${COMMAND_STATES[row.state] || row.state}`);
+ }
+ return null;
+ }
+
+ // Checks bee_commands for a send that may have been accepted despite the request failing.
+ // Returns null when nothing was queued (safe to resend the batch), otherwise a response
+ // marking the confirmed IMEIs accepted and the rest failed so only those get resent.
+ async verifyQueuedCommands(imeis, command, queuedAt) {
+ const sinceEpoch = this.getEpochTime(queuedAt) - 120;
+ const rows = await this.fetchPendingCommands(imeis, sinceEpoch, this.getEpochTime(this.now()), {
+ states: [0, 1, 2, 3, 4],
+ stats: this.emptyFetchStats().pendingCommands
+ });
+
+ const queued = new Set(rows
+ .filter(row => row.created_date >= sinceEpoch)
+ .filter(row => {
+ const decoded = this.extractCommandFromFrame(row.msg);
+ return decoded && (decoded === command || compareAgainstTarget([decoded], command).reachesTarget);
+ })
+ .map(row => String(row.imei)));
+
+ if (queued.size === 0) {
+ return null;
+ }
+
+ return {
+ status: 200,
+ data: {
+ success: imeis.filter(imei => queued.has(imei)),
+ failed: imeis
+ .filter(imei => !queued.has(imei))
+ .map(imei => ({ imei, message: 'Not confirmed in bee_commands after request error' }))
+ }
+ };
+ }
 
+ // POSTs one batch and returns an outcome per IMEI: accepted, rejected, unknown_device, password_required or error
+ async sendBatch(batchImeis, command) {
+ const queuedAt = this.now();
  const commandData = {
  protocol: "WIRE",
  imeis: batchImeis,
@@ -512,80 +825,706 @@ class DeviceConfigAutomation {
  data: JSON.stringify(commandData)
  };
 
+ let outcomes;
+ try {
  const response = await this.makeRequest({
  method: 'POST',
- url: SEND_URL,
+ url: this.baseUrl + SEND_PATH,
  headers: {
  'Content-Type': 'application/json',
- 'apikey': API_KEY
+ 'apikey': this.apiKey
  },
  data: payload,
- timeout: 30000
+ timeout: this.requestTimeout
+ }, {
+ verifyBeforeRetry: () => this.verifyQueuedCommands(batchImeis, command, queuedAt)
+ });
+ outcomes = parseSendResponse(response.status, response.data, batchImeis);
+ } catch (error) {
+ this.log.error('Send request failed', { phase: 'send', command, imeis: batchImeis.length, error });
+ outcomes = error.response
+ ? parseSendResponse(error.response.status, error.response.data, batchImeis)
+ : {};
+ batchImeis.forEach(imei => {
+ if (!outcomes[imei]) {
+ outcomes[imei] = { outcome: SEND_OUTCOMES.ERROR, reason: `Request failed: ${error.message}` };
+ }
+ if (outcomes[imei].outcome !== SEND_OUTCOMES.ACCEPTED) {
+ outcomes[imei].error = error;
+ }
  });
-
- let status = "Failed";
- let detailedResponse = "No valid response from API";
-
- if (response.status === 200) {
- status = "Success";
- detailedResponse = "Command queued successfully";
- } else {
- detailedResponse = `API Error ${response.status}: ${JSON.stringify(response.data)}`;
  }
 
  batchImeis.forEach(imei => {
- results.push({
- imei: imei,
- command: command,
- status: status,
- response: detailedResponse,
- timestamp: this.formatDate(new Date()),
- account: accountProfile.accountName
- });
+ outcomes[imei] = { ...outcomes[imei], attempts: 1, queuedAt };
  });
+ return outcomes;
+ }
 
- await this.delay(DELAY_BETWEEN_BATCHES);
- } catch (error) {
- const errorMsg = `Request failed: ${error.message}`;
- console.error(errorMsg);
+ async sendConfigurationCommands(imeis, accountProfile, command = accountProfile.profileCommand) {
+ const results = [];
+ const totalBatches = Math.ceil(imeis.length / BATCH_SIZE);
 
- batchImeis.forEach(imei => {
+ for (let batchNum = 0; batchNum < totalBatches; batchNum++) {
+ const startIdx = batchNum * BATCH_SIZE;
+ const endIdx = Math.min((batchNum + 1) * BATCH_SIZE, imeis.length);
+ const batchImeis = imeis.slice(startIdx, endIdx);
+
+ if (this.stopRequested) {
+ this.log.info(`Stop requested - skipping ${imeis.length - startIdx} remaining devices`, { phase: 'send' });
+ imeis.slice(startIdx).forEach(imei => {
  results.push({
  imei: imei,
- command: "N/A",
- status: "Error",
- response: errorMsg,
- timestamp: this.formatDate(new Date()),
+ command: command,
+ status: "Skipped",
+ response: "Run stopped before this batch was sent",
+ timestamp: this.formatDate(this.now()),
  account: accountProfile.accountName
  });
  });
- }
+ break;
  }
 
- return results;
- }
+ const outcomes = await this.sendBatch(batchImeis, command);
 
- async generateReport(accountName, allDevices, deviations, commandResults = [], pendingCommandsInfo = {}) {
- const workbook = new Excel.Workbook();
- 
- // Main Device Status Report
- const statusWorksheet = workbook.addWorksheet('Device Status Report');
- 
- statusWorksheet.columns = [
+ // Only devices that failed for a retryable reason are sent again
+ for (let attempt = 1; attempt <= SEND_RETRIES; attempt++) {
+ const retryImeis = batchImeis.filter(imei => RETRYABLE_OUTCOMES.includes(outcomes[imei].outcome));
+ if (retryImeis.length === 0) break;
+
+ this.log.info(`Retrying ${retryImeis.length} of ${batchImeis.length} devices in batch ${batchNum + 1} (attempt ${attempt + 1})`, { phase: 'send' });
+ const lastError = retryImeis.map(imei => outcomes[imei].error).find(Boolean);
+ await this.delay(this.getRetryDelay(attempt - 1, lastError));
+
+ const retried = await this.sendBatch(retryImeis, command);
+ retryImeis.forEach(imei => {
+ outcomes[imei] = { ...retried[imei], attempts: outcomes[imei].attempts + 1 };
+ });
+ }
+
+ const batchResults = [];
+ batchImeis.forEach(imei => {
+ const { outcome, reason, attempts, queuedAt } = outcomes[imei];
+ let status = "Failed";
+ if (outcome === SEND_OUTCOMES.ACCEPTED) {
+ status = "Success";
+ } else if (outcome === SEND_OUTCOMES.ERROR) {
+ status = "Error";
+ }
+
+ batchResults.push({
+ imei: imei,
+ command: command,
+ status: status,
+ outcome: outcome,
+ response: reason,
+ attempts: attempts,
+ timestamp: this.formatDate(this.now()),
+ queuedAt: queuedAt,
+ account: accountProfile.accountName
+ });
+ });
+
+ results.push(...batchResults);
+ this.notify('batchSent', { account: accountProfile.accountName, runId: this.runId, command, imeis: batchImeis, results: batchResults });
+
+ const failed = batchImeis.filter(imei => outcomes[imei].outcome !== SEND_OUTCOMES.ACCEPTED).length;
+ if (failed > 0) {
+ this.log.warn(`Batch ${batchNum + 1}: ${batchImeis.length - failed} accepted, ${failed} not accepted`, { phase: 'send' });
+ }
+ }
+
+ return results;
+ }
+
+ // Sends every group at once, or stage by stage when the account has a rollout configured
+ async sendCommandGroups(sendGroups, accountProfile) {
+ if (accountProfile.rollout.enabled) {
+ return this.sendInStages(sendGroups, accountProfile);
+ }
+ let commandResults = [];
+ for (const group of sendGroups) {
+ commandResults = commandResults.concat(await this.sendConfigurationCommands(group.imeis, accountProfile, group.command));
+ }
+ return commandResults;
+ }
+
+ // Canary first, then waves. After each stage waits waitMinutes, re-reads the devices from the
+ // bees API and halts the rollout when too many of them are not reporting the expected settings.
+ // A stop request cuts the wait short: devices have had no time to report, so that stage is left
+ // unverified instead of counting them as failures, and later stages are skipped.
+ async sendInStages(sendGroups, accountProfile) {
+ const options = accountProfile.rollout;
+ const imeis = sendGroups.reduce((all, group) => all.concat(group.imeis), []);
+ const stages = planStages(imeis, options);
+ this.rollout = { stages: [], halted: false, haltedAfter: null, haltedDevices: 0, stoppedBefore: null };
+
+ this.log.info(`Rolling out to ${imeis.length} devices in ${stages.length} stage(s): ` +
+ stages.map(stage => `${stage.name} (${stage.imeis.length})`).join(', '), { phase: 'rollout' });
+
+ let commandResults = [];
+ let haltReason = null;
+ for (const stage of stages) {
+ if (!haltReason && this.stopRequested) {
+ haltReason = `Run stopped before ${stage.name}`;
+ this.rollout.stoppedBefore = stage.name;
+ }
+ if (haltReason) {
+ const skipped = this.rollout.stoppedBefore !== null;
+ stage.imeis.forEach(imei => {
+ this.commandAnalysis[imei].decision = skipped ? 'Skipped' : 'Halted';
+ this.commandAnalysis[imei].reason = haltReason;
+ this.commandAnalysis[imei].rolloutStage = stage.name;
+ });
+ this.rollout.haltedDevices += stage.imeis.length;
+ this.rollout.stages.push({
+ name: stage.name,
+ devices: stage.imeis.length,
+ accepted: 0,
+ verified: 0,
+ failed: 0,
+ failureRate: null,
+ result: skipped ? 'Skipped' : 'Not sent'
+ });
+ continue;
+ }
+
+ const inStage = new Set(stage.imeis);
+ let stageResults = [];
+ for (const group of sendGroups) {
+ const groupImeis = group.imeis.filter(imei => inStage.has(imei));
+ if (groupImeis.length > 0) {
+ stageResults = stageResults.concat(await this.sendConfigurationCommands(groupImeis, accountProfile, group.command));
+ }
+ }
+ commandResults = commandResults.concat(stageResults);
+
+ const accepted = stageResults.filter(result => result.status === 'Success').map(result => result.imei);
+ this.log.info(`${stage.name}: ${accepted.length} of ${stage.imeis.length} accepted - waiting ${options.waitMinutes} minute(s) before verifying`, { phase: 'rollout' });
+ if (!this.stopRequested) {
+ await this.delay(options.waitMinutes * 60 * 1000, this.stopController.signal);
+ }
+
+ if (this.stopRequested) {
+ stage.imeis.forEach(imei => {
+ const result = stageResults.find(candidate => candidate.imei === imei);
+ this.commandAnalysis[imei].rolloutStage = stage.name;
+ this.commandAnalysis[imei].rolloutVerification = result && result.status === 'Success'
+ ? UNVERIFIED_STOPPED
+ : `Send ${result ? result.status : 'Skipped'}${result && result.response ? `: ${result.response}` : ''}`;
+ });
+ this.rollout.stages.push({
+ name: stage.name,
+ devices: stage.imeis.length,
+ accepted: accepted.length,
+ verified: null,
+ failed: stage.imeis.length - accepted.length,
+ failureRate: null,
+ result: UNVERIFIED_STOPPED
+ });
+ this.log.info(`${stage.name}: stop requested during the wait - ${accepted.length} accepted device(s) left unverified`, { phase: 'rollout' });
+ continue;
+ }
+
+ const verification = await this.verifyRolloutStage(accepted, accountProfile);
+ stage.failed = [];
+ stage.imeis.forEach(imei => {
+ const result = stageResults.find(candidate => candidate.imei === imei);
+ let outcome = verification[imei];
+ if (!outcome) {
+ outcome = `Send ${result ? result.status : 'Skipped'}${result && result.response ? `: ${result.response}` : ''}`;
+ }
+ this.commandAnalysis[imei].rolloutStage = stage.name;
+ this.commandAnalysis[imei].rolloutVerification = outcome;
+ if (outcome !== 'Verified') stage.failed.push(imei);
+ });
+
+ const failureRate = stageFailureRate(stage);
+ const exceeded = shouldHalt(stage, options);
+ this.rollout.stages.push({
+ name: stage.name,
+ devices: stage.imeis.length,
+ accepted: accepted.length,
+ verified: stage.imeis.length - stage.failed.length,
+ failed: stage.failed.length,
+ failureRate,
+ result: exceeded ? 'Halted' : 'Passed'
+ });
+ this.log.info(`${stage.name}: ${stage.failed.length} of ${stage.imeis.length} failed verification (${(failureRate * 100).toFixed(1)}%)`, { phase: 'rollout' });
+
+ if (exceeded) {
+ haltReason = `Rollout halted after ${stage.name}: ${(failureRate * 100).toFixed(1)}% failed verification ` +
+ `(threshold ${(options.failureThreshold * 100).toFixed(1)}%)`;
+ this.rollout.halted = true;
+ this.rollout.haltedAfter = stage.name;
+ this.log.warn(haltReason, { phase: 'rollout' });
+ }
+ }
+
+ return commandResults;
+ }
+
+ // Reads the devices back from bees and returns {imei: 'Verified' | why not} for each of them
+ async verifyRolloutStage(imeis, accountProfile) {
+ const verification = {};
+ if (imeis.length === 0) return verification;
+
+ const settingRules = accountProfile.healthRules.filter(rule => rule.type === 'setting');
+ try {
+ const devices = await this.fetchDevicesByImei(imeis);
+ imeis.forEach(imei => {
+ const device = devices.find(candidate => this.cleanImei(candidate.imei) === imei);
+ if (!device) {
+ verification[imei] = 'Not returned by the bees API';
+ return;
+ }
+ const mismatched = evaluateRules(device, settingRules, { now: this.now(), hoursSinceLastReport: null });
+ verification[imei] = mismatched.length === 0
+ ? 'Verified'
+ : `Still reporting ${mismatched.map(finding => finding.message).join('; ')}`;
+ });
+ } catch (error) {
+ this.log.error('Error verifying rollout stage', { phase: 'rollout', error });
+ imeis.forEach(imei => {
+ verification[imei] = `Verification failed: ${error.message}`;
+ });
+ }
+ return verification;
+ }
+
+ async fetchDevicesByImei(imeis) {
+ let devices = [];
+ for (const chunk of this.chunk(imeis, IMEI_CHUNK_SIZE)) {
+ const response = await this.makeRequest({
+ method: 'GET',
+ url: this.baseUrl + BEES_PATH,
+ params: {
+ '$filter': `(${chunk.map(imei => `imei eq '${imei}'`).join(' or ')})`,
+ '$size': chunk.length,
+ '$fields': 'all'
+ },
+ headers: {
+ 'Content-Type': 'application/json',
+ 'apikey': this.apiKey
+ },
+ timeout: this.requestTimeout
+ });
+ devices = devices.concat((response.data && response.data.data) || []);
+ }
+ return devices;
+ }
+
+ getReportsDir() {
+ const reportsDir = this.reportsDir;
+ if (!fs.existsSync(reportsDir)) {
+ fs.mkdirSync(reportsDir, { recursive: true });
+ }
+ return reportsDir;
+ }
+
+ // Saves the devices a dry run would have sent to, so the plan can be executed later as-is
+ // sendGroups: [{command, imeis}] - one entry per distinct remediation command
+ writePlan(accountProfile, sendGroups, allDevices) {
+ const createdAt = this.now();
+ const imeisToProcess = sendGroups.reduce((all, group) => all.concat(group.imeis), []);
+ const plan = {
+ account: accountProfile.accountName,
+ environment: this.environment,
+ baseUrl: this.baseUrl,
+ createdAt: createdAt.toISOString(),
+ groups: sendGroups,
+ imeis: imeisToProcess,
+ devices: allDevices
+ .filter(device => imeisToProcess.includes(device.imei))
+ .map(device => ({
+ ...device,
+ reason: this.commandAnalysis[device.imei] ? this.commandAnalysis[device.imei].reason : 'N/A'
+ }))
+ };
+
+ const timestamp = createdAt.toISOString().replace(/[:.]/g, '-');
+ const planPath = path.join(this.getReportsDir(), `plan_${accountProfile.accountName}_${timestamp}.json`);
+ fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+ this.log.info(`Plan written: ${planPath}`, { phase: 'plan' });
+ this.indexArtifact('plan', accountProfile.accountName, planPath, { runId: this.runId, environment: this.environment, devices: imeisToProcess.length });
+ return planPath;
+ }
+
+ loadPlan(planPath) {
+ const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+ // Plans written before health rules carried a single command for every IMEI
+ if (!plan.groups && plan.command && Array.isArray(plan.imeis)) {
+ plan.groups = [{ command: plan.command, imeis: plan.imeis }];
+ }
+ if (!plan.account || !Array.isArray(plan.groups) || !Array.isArray(plan.imeis) || !Array.isArray(plan.devices) ||
+ !plan.groups.every(group => group.command && Array.isArray(group.imeis))) {
+ throw new Error(`Plan file ${planPath} is missing account, groups, imeis or devices`);
+ }
+ return plan;
+ }
+
+ // Sends the saved plan's commands to exactly the devices it listed - no fresh fetch or filtering
+ async executePlan(planPath) {
+ const plan = this.loadPlan(planPath);
+ const accountProfile = this.accountProfiles[plan.account];
+
+ if (!accountProfile) {
+ throw new Error(`No profile found for account: ${plan.account}`);
+ }
+
+ // The IMEIs in a plan were checked against one environment's fleet and mean nothing elsewhere
+ if (plan.environment && plan.environment !== this.environment) {
+ throw new Error(`Plan ${planPath} was created against ${plan.environment}, not ${this.environment}`);
+ }
+
+ const knownDirectives = new Set();
+ [accountProfile.profileCommand, ...accountProfile.healthRules.map(rule => rule.remediationCommand)]
+ .filter(Boolean)
+ .forEach(command => command.split(/\s*[&;]\s*/).forEach(directive => knownDirectives.add(directive)));
+ plan.groups.forEach(group => {
+ if (!group.command.split(/\s*[&;]\s*/).every(directive => knownDirectives.has(directive))) {
+ this.log.warn(`Plan command "${group.command}" is not part of the current profile or health rules - sending the planned command`, { phase: 'plan' });
+ }
+ });
+
+ this.runId = crypto.randomUUID();
+ this.startRunLog(plan.account);
+ this.log.info(`Executing plan ${planPath}: ${plan.imeis.length} devices on account ${plan.account}`, { phase: 'plan' });
+ const startedAt = this.now();
+
+ this.commandAnalysis = {};
+ this.fetchStats = this.emptyFetchStats();
+ this.aggregations = null;
+ this.rollout = null;
+ this.cancellations = [];
+ plan.imeis.forEach(imei => {
+ this.commandAnalysis[imei] = {
+ hasPendingCommands: false,
+ commandCount: 0,
+ commands: [],
+ decision: 'Send Command',
+ reason: `Listed in plan created ${plan.createdAt}`,
+ existingCommandsFormatted: 'Not checked (plan execution)'
+ };
+ });
+
+ let commandResults = [];
+ if (!this.dryRun) {
+ commandResults = await this.sendCommandGroups(plan.groups, accountProfile);
+ }
+ this.deliveries = {};
+ if (accountProfile.deliveryTracking.enabled && commandResults.some(r => r.status === 'Success')) {
+ await this.trackDeliveries(commandResults, accountProfile);
+ }
+ this.notifyDecisions(plan.account);
+ const reportPath = await this.generateReport(plan.account, plan.devices, plan.devices, commandResults);
+ this.recordRunHistory(plan.account, plan.devices, commandResults, {
+ startedAt: startedAt.toISOString(),
+ finishedAt: this.now().toISOString(),
+ plan: planPath,
+ commandsSent: commandResults.length,
+ ...(this.rollout ? { rollout: this.rollout } : {}),
+ reportPath
+ });
+
+ return {
+ account: plan.account,
+ runId: this.runId,
+ plan: planPath,
+ commandsSent: commandResults.length,
+ ...(this.rollout ? { rollout: this.rollout } : {}),
+ reportPath: reportPath,
+ reportFiles: this.reportFiles,
+ ...(this.runLog ? { logPath: this.runLog.filePath } : {})
+ };
+ }
+
+ // Follows queued commands through bee_commands until they are acknowledged, fail, expire or we time out
+ async trackDeliveries(commandResults, accountProfile) {
+ const options = accountProfile.deliveryTracking;
+ const tracker = new DeliveryTracker(
+ (imeis, sinceEpoch, untilEpoch) => this.fetchPendingCommands(imeis, sinceEpoch, untilEpoch, {
+ states: [0, 1, 2, 3, 4],
+ stats: this.emptyFetchStats().pendingCommands
+ }),
+ (message) => this.extractCommandFromFrame(message),
+ {
+ pollIntervalSeconds: options.pollIntervalSeconds,
+ timeoutMinutes: options.timeoutMinutes,
+ delay: (ms, signal) => this.delay(ms, signal),
+ signal: this.stopController.signal,
+ now: () => this.now(),
+ logger: this.log.child({ phase: 'delivery' })
+ }
+ );
+
+ tracker.track(commandResults);
+ this.log.info(`Tracking delivery of ${Object.keys(tracker.getDeliveries()).length} queued commands...`, { phase: 'delivery' });
+ this.deliveries = await tracker.run();
+
+ const stats = tracker.getStats();
+ this.log.info('Delivery tracking finished', { phase: 'delivery', stats });
+ return stats;
+ }
+
+ // Stops re-sending to devices that never applied the profile after maxResends attempts
+ applyRemediationLimits(imeis, deviations, accountProfile, command = accountProfile.profileCommand) {
+ const maxResends = accountProfile.remediation.maxResends;
+
+ return imeis.filter(imei => {
+ const device = deviations.find(d => d.imei === imei);
+ const { resendCount } = this.runStore.getRemediationState(imei, device.currentPingFrequency, command);
+ this.commandAnalysis[imei].previousSends = resendCount;
+
+ if (resendCount < maxResends) {
+ return true;
+ }
+
+ this.commandAnalysis[imei].decision = 'Escalate';
+ this.commandAnalysis[imei].reason = `Sent ${resendCount} times without ping_frequency changing - stopped retrying`;
+ return false;
+ });
+ }
+
+ notifyDecisions(accountName) {
+ Object.keys(this.commandAnalysis).forEach(imei => {
+ const analysis = this.commandAnalysis[imei];
+ this.notify('decisionMade', { account: accountName, runId: this.runId, imei, decision: analysis.decision, reason: analysis.reason, analysis });
+ });
+ }
+
+ recordRunHistory(accountName, allDevices, commandResults, summary) {
+ try {
+ allDevices.forEach(device => {
+ this.runStore.recordDecision(this.runId, accountName, device, this.commandAnalysis[device.imei] || null);
+ });
+ commandResults.forEach(result => {
+ this.runStore.recordSend(this.runId, accountName, result);
+ });
+ this.cancellations.forEach(cancellation => {
+ this.runStore.recordCancellation(this.runId, accountName, cancellation);
+ });
+ this.runStore.recordRun({ runId: this.runId, account: accountName, environment: this.environment, baseUrl: this.baseUrl, dryRun: this.dryRun, ...summary });
+ } catch (error) {
+ this.log.error(`Failed to record run history for account ${accountName}`, { phase: 'history', error });
+ }
+ }
+
+ // Reads the bees aggregations; they cover every active device the query matched, before the lookback filter
+ extractAggregations(body) {
+ const aggregations = body && (body.aggregations || body.aggs);
+ if (!aggregations) return null;
+
+ const count = (key) => {
+ const bucket = aggregations[key];
+ if (!bucket) return null;
+ return bucket.doc_count !== undefined ? bucket.doc_count : (bucket.value !== undefined ? bucket.value : null);
+ };
+
+ return {
+ onAsset: count('on_asset'),
+ onShipment: count('on_shipment'),
+ noComm: count('nocomm'),
+ batteryLow: count('battery_status_low'),
+ regions: ((aggregations.zoom1 && aggregations.zoom1.buckets) || [])
+ .map(bucket => ({ key: bucket.key, count: bucket.doc_count }))
+ .sort((a, b) => b.count - a.count)
+ };
+ }
+
+ // Groups decision reasons that differ only in counts or details, e.g. "Too many pending commands (5)"
+ summarizeReason(reason) {
+ return String(reason || 'N/A')
+ .replace(/\s*\([^)]*\)\s*$/, '')
+ .replace(/\b\d+\b/g, 'N');
+ }
+
+ // First sheet of the workbook: fleet totals, rates and breakdowns, with data bars standing in
+ // for charts (ExcelJS cannot write chart objects)
+ addSummarySheet(workbook, accountName, allDevices, deviations, commandResults) {
+ const worksheet = workbook.addWorksheet('Summary');
+ worksheet.columns = [
+ { header: 'Metric', key: 'metric', width: 45 },
+ { header: 'Value', key: 'value', width: 18 },
+ { header: 'Detail', key: 'detail', width: 50 }
+ ];
+
+ const barRanges = [];
+ const addSection = (title, rows, withBars = false) => {
+ worksheet.addRow([]);
+ const heading = worksheet.addRow({ metric: title });
+ heading.font = { bold: true, size: 12 };
+ const first = worksheet.rowCount + 1;
+ rows.forEach(row => worksheet.addRow(row));
+ if (withBars && rows.length > 0) {
+ barRanges.push(`B${first}:B${worksheet.rowCount}`);
+ }
+ };
+ const percent = (part, whole) => (whole > 0 ? part / whole : 0);
+
+ const sent = commandResults.filter(result => result.status !== 'Skipped');
+ const accepted = sent.filter(result => result.status === 'Success').length;
+
+ addSection('Fleet', [
+ { metric: 'Account', value: accountName },
+ { metric: 'Environment', value: this.environment },
+ { metric: 'Devices reported', value: allDevices.length },
+ { metric: 'Devices with findings', value: deviations.length },
+ { metric: 'Deviation rate', value: percent(deviations.length, allDevices.length), detail: 'Devices with any health rule finding' },
+ { metric: 'Healthy devices', value: allDevices.length - deviations.length }
+ ]);
+ worksheet.getCell(`B${worksheet.rowCount - 1}`).numFmt = '0.0%';
+
+ const severities = {};
+ const rules = {};
+ deviations.forEach(device => {
+ severities[device.severity] = (severities[device.severity] || 0) + 1;
+ (device.findings || []).forEach(finding => {
+ rules[finding.rule] = (rules[finding.rule] || 0) + 1;
+ });
+ });
+ addSection('Findings by severity', ['critical', 'warning', 'info']
+ .map(severity => ({ metric: severity, value: severities[severity] || 0 })), true);
+ addSection('Findings by rule', Object.keys(rules)
+ .sort((a, b) => rules[b] - rules[a])
+ .map(rule => ({ metric: rule, value: rules[rule] })), true);
+
+ const decisions = {};
+ Object.values(this.commandAnalysis).forEach(analysis => {
+ const key = `${analysis.decision}\u0000${this.summarizeReason(analysis.reason)}`;
+ decisions[key] = (decisions[key] || 0) + 1;
+ });
+ addSection('Decisions by reason', Object.keys(decisions)
+ .sort((a, b) => decisions[b] - decisions[a])
+ .map(key => {
+ const [decision, reason] = key.split('\u0000');
+ return { metric: decision, value: decisions[key], detail: reason };
+ }), true);
+
+ const outcomes = {};
+ sent.forEach(result => {
+ outcomes[result.outcome || result.status] = (outcomes[result.outcome || result.status] || 0) + 1;
+ });
+ addSection('Sends', [
+ { metric: 'Pending commands cancelled', value: this.cancellations.filter(cancellation => cancellation.result === 'Cancelled').length },
+ { metric: 'Commands sent', value: sent.length },
+ { metric: 'Accepted', value: accepted },
+ { metric: 'Send success rate', value: percent(accepted, sent.length), detail: sent.length === 0 ? 'Nothing sent' : '' },
+ ...Object.keys(outcomes).map(outcome => ({ metric: `Outcome: ${outcome}`, value: outcomes[outcome] }))
+ ]);
+ const rateRow = worksheet.rowCount - Object.keys(outcomes).length;
+ worksheet.getCell(`B${rateRow}`).numFmt = '0.0%';
+
+ if (this.rollout) {
+ addSection('Rollout', [
+ ...this.rollout.stages.map(stage => ({
+ metric: stage.name,
+ value: stage.result,
+ detail: stage.result === UNVERIFIED_STOPPED
+ ? `${stage.accepted} of ${stage.devices} accepted, not verified`
+ : stage.failureRate === null
+ ? `${stage.devices} devices not sent`
+ : `${stage.verified} of ${stage.devices} verified (${(stage.failureRate * 100).toFixed(1)}% failed)`
+ })),
+ { metric: 'Devices held back', value: this.rollout.haltedDevices, detail: this.rollout.halted ? `Halted after ${this.rollout.haltedAfter}` : this.rollout.stoppedBefore ? `Run stopped before ${this.rollout.stoppedBefore}` : '' }
+ ]);
+ }
+
+ const aggregations = this.aggregations;
+ if (aggregations) {
+ const value = (count) => (count === null ? 'Not reported' : count);
+ addSection('Fleet aggregations (bees API, before the lookback filter)', [
+ { metric: 'On asset (on_asset)', value: value(aggregations.onAsset) },
+ { metric: 'On shipment (on_shipment)', value: value(aggregations.onShipment) },
+ { metric: 'No comm (nocomm)', value: value(aggregations.noComm) },
+ { metric: 'Battery low or drained (battery_status_low)', value: value(aggregations.batteryLow) }
+ ], true);
+ addSection('Devices by region (zoom1 geohash)', aggregations.regions
+ .map(region => ({ metric: region.key, value: region.count })), true);
+ } else {
+ addSection('Fleet aggregations (bees API)', [{ metric: 'Not available for this report', value: 'N/A' }]);
+ }
+
+ barRanges.forEach(ref => {
+ worksheet.addConditionalFormatting({
+ ref,
+ rules: [{
+ type: 'dataBar',
+ cfvo: [{ type: 'num', value: 0 }, { type: 'max' }],
+ color: { argb: 'FF5B9BD5' },
+ gradient: false
+ }]
+ });
+ });
+
+ worksheet.getRow(1).font = { bold: true };
+ worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+ return worksheet;
+ }
+
+ // Colours the Status and Command Status cells: green when healthy or accepted, then by severity
+ addStatusFormatting(worksheet, rowCount) {
+ if (rowCount === 0) return;
+ const lastRow = rowCount + 1;
+ const fill = (argb) => ({ fill: { type: 'pattern', pattern: 'solid', bgColor: { argb } } });
+ const column = (key) => worksheet.getColumn(key).letter;
+
+ const statusRef = `${column('status')}2:${column('status')}${lastRow}`;
+ worksheet.addConditionalFormatting({
+ ref: statusRef,
+ rules: [
+ { type: 'containsText', operator: 'containsText', text: '[critical]', priority: 1, style: fill('FFF4B6B6') },
+ { type: 'containsText', operator: 'containsText', text: '[warning]', priority: 2, style: fill('FFFFE699') },
+ { type: 'containsText', operator: 'containsText', text: '[info]', priority: 3, style: fill('FFDDEBF7') },
+ { type: 'containsText', operator: 'containsText', text: HEALTHY_STATUS, priority: 4, style: fill('FFC6EFCE') }
+ ]
+ });
+
+ const commandStatusRef = `${column('commandStatus')}2:${column('commandStatus')}${lastRow}`;
+ worksheet.addConditionalFormatting({
+ ref: commandStatusRef,
+ rules: [
+ { type: 'cellIs', operator: 'equal', formulae: ['"Success"'], priority: 5, style: fill('FFC6EFCE') },
+ { type: 'cellIs', operator: 'equal', formulae: ['"Failed"'], priority: 6, style: fill('FFF4B6B6') },
+ { type: 'cellIs', operator: 'equal', formulae: ['"Error"'], priority: 7, style: fill('FFF4B6B6') }
+ ]
+ });
+ }
+
+ // Each dataset is {title, columns: [{header, key, width}], rows}
+ buildReportDatasets(allDevices, commandResults = [], pendingCommandsInfo = {}) {
+ // Device status: one row per device
+ const deviceStatus = {
+ title: 'Device Status Report',
+ columns: [
  { header: 'IMEI', key: 'imei', width: 20 },
  { header: 'Device Type', key: 'deviceType', width: 15 },
  { header: 'Last Reported', key: 'lastReported', width: 20 },
  { header: 'Hours Since Last Report', key: 'hoursSinceLastReport', width: 20 },
  { header: 'Current Ping Frequency', key: 'currentPingFrequency', width: 20 },
  { header: 'Expected Frequency', key: 'expectedFrequency', width: 20 },
- { header: 'Status', key: 'status', width: 15 },
+ { header: 'Mismatched Settings', key: 'mismatchedSettings', width: 35 },
+ { header: 'Status', key: 'status', width: 35 },
+ { header: 'Severity', key: 'severity', width: 12 },
+ { header: 'Rule Findings', key: 'ruleFindings', width: 50 },
  { header: 'Command Decision', key: 'commandDecision', width: 20 },
  { header: 'Decision Reason', key: 'decisionReason', width: 30 },
+ { header: 'Directive Comparison', key: 'directiveStatus', width: 35 },
  { header: 'Pending Command Count', key: 'pendingCommandCount', width: 20 },
+ { header: 'Previous Sends', key: 'previousSends', width: 15 },
+ { header: 'Rollout Stage', key: 'rolloutStage', width: 15 },
+ { header: 'Rollout Verification', key: 'rolloutVerification', width: 40 },
  { header: 'Existing Commands', key: 'existingCommands', width: 50 },
  { header: 'Command Sent', key: 'command', width: 25 },
- { header: 'Command Status', key: 'commandStatus', width: 15 }
- ];
+ { header: 'Command Status', key: 'commandStatus', width: 15 },
+ { header: 'Send Outcome', key: 'sendOutcome', width: 18 },
+ { header: 'Send Response', key: 'sendResponse', width: 40 },
+ { header: 'Send Attempts', key: 'sendAttempts', width: 15 },
+ { header: 'Delivery Status', key: 'deliveryStatus', width: 15 },
+ { header: 'Time To Delivery (s)', key: 'timeToDelivery', width: 20 }
+ ],
+ rows: []
+ };
 
  allDevices.forEach(device => {
  const result = commandResults.find(r => r.imei === device.imei) || {};
@@ -596,35 +1535,52 @@ class DeviceConfigAutomation {
  existingCommandsFormatted: 'None'
  };
  
- statusWorksheet.addRow({
+ deviceStatus.rows.push({
  imei: device.imei,
  deviceType: device.deviceType,
  lastReported: device.lastReported,
  hoursSinceLastReport: device.hoursSinceLastReport,
  currentPingFrequency: device.currentPingFrequency,
  expectedFrequency: device.expectedFrequency,
+ mismatchedSettings: device.mismatchedSettings,
  status: device.status,
+ severity: device.severity || 'N/A',
+ ruleFindings: device.ruleFindings || 'N/A',
  commandDecision: commandAnalysis.decision,
  decisionReason: commandAnalysis.reason,
+ directiveStatus: commandAnalysis.directiveStatus || 'N/A',
  pendingCommandCount: commandAnalysis.commandCount,
+ previousSends: commandAnalysis.previousSends !== undefined ? commandAnalysis.previousSends : 'N/A',
+ rolloutStage: commandAnalysis.rolloutStage || 'N/A',
+ rolloutVerification: commandAnalysis.rolloutVerification || 'N/A',
  existingCommands: commandAnalysis.existingCommandsFormatted,
  command: result.command || 'N/A',
- commandStatus: result.status || 'N/A'
+ commandStatus: result.status || 'N/A',
+ sendOutcome: result.outcome || 'N/A',
+ sendResponse: result.response || 'N/A',
+ sendAttempts: result.attempts || 'N/A',
+ deliveryStatus: this.deliveries[device.imei] ? this.deliveries[device.imei].state : 'N/A',
+ timeToDelivery: this.deliveries[device.imei] && this.deliveries[device.imei].timeToDeliverySeconds !== null
+ ? this.deliveries[device.imei].timeToDeliverySeconds
+ : 'N/A'
  });
  });
 
- // Detailed Command Analysis Sheet
- const commandWorksheet = workbook.addWorksheet('Command Analysis Details');
- 
- commandWorksheet.columns = [
+ // Command analysis: one row per analysed device
+ const commandAnalysis = {
+ title: 'Command Analysis Details',
+ columns: [
  { header: 'IMEI', key: 'imei', width: 20 },
  { header: 'Command Decision', key: 'decision', width: 20 },
  { header: 'Decision Reason', key: 'reason', width: 30 },
+ { header: 'Directive Comparison', key: 'directiveStatus', width: 35 },
  { header: 'Total Pending Commands', key: 'totalCommands', width: 20 },
  { header: 'Existing Commands', key: 'existingCommands', width: 50 },
  { header: 'Command States', key: 'commandStates', width: 30 },
  { header: 'Command Dates', key: 'commandDates', width: 30 }
- ];
+ ],
+ rows: []
+ };
 
  Object.keys(this.commandAnalysis).forEach(imei => {
  const analysis = this.commandAnalysis[imei];
@@ -632,10 +1588,11 @@ class DeviceConfigAutomation {
  const commandStates = analysis.commands.map(c => c.state).join('; ');
  const commandDates = analysis.commands.map(c => c.created_date).join('; ');
  
- commandWorksheet.addRow({
+ commandAnalysis.rows.push({
  imei: imei,
  decision: analysis.decision,
  reason: analysis.reason,
+ directiveStatus: analysis.directiveStatus || 'N/A',
  totalCommands: analysis.commandCount,
  existingCommands: existingCommands || 'None',
  commandStates: commandStates || 'None',
@@ -643,33 +1600,189 @@ class DeviceConfigAutomation {
  });
  });
 
- // Pending Commands Detailed Sheet
- const pendingWorksheet = workbook.addWorksheet('Pending Commands Details');
- 
- pendingWorksheet.columns = [
+ // Pending commands: one row per queued command
+ const pendingCommands = {
+ title: 'Pending Commands Details',
+ columns: [
  { header: 'IMEI', key: 'imei', width: 20 },
  { header: 'Command Index', key: 'index', width: 15 },
  { header: 'Command State', key: 'state', width: 15 },
  { header: 'Command Content', key: 'command', width: 50 },
+ { header: 'Message Type', key: 'messageType', width: 15 },
+ { header: 'Frame IMEI', key: 'frameImei', width: 20 },
+ { header: 'Sequence', key: 'sequence', width: 12 },
+ { header: 'Checksum', key: 'checksum', width: 15 },
  { header: 'Created Date', key: 'createdDate', width: 25 },
  { header: 'Raw Protocol Frame', key: 'rawCommand', width: 50 }
- ];
+ ],
+ rows: []
+ };
 
  Object.keys(pendingCommandsInfo).forEach(imei => {
  pendingCommandsInfo[imei].forEach((cmd, index) => {
- pendingWorksheet.addRow({
+ pendingCommands.rows.push({
  imei: imei,
  index: index + 1,
  state: cmd.state_description,
- command: cmd.extracted || 'Cannot extract',
+ command: cmd.corrupt ? `${CORRUPT_FRAME}: ${cmd.frameError}` : (cmd.extracted || 'Cannot extract'),
+ messageType: cmd.frame ? cmd.frame.messageType : 'N/A',
+ frameImei: cmd.frame ? cmd.frame.imei : 'N/A',
+ sequence: cmd.frame ? cmd.frame.sequence : 'N/A',
+ checksum: cmd.frame ? (cmd.frame.checksumValid ? 'Valid' : 'Invalid') : 'N/A',
  createdDate: new Date(cmd.created_date * 1000).toISOString(),
  rawCommand: cmd.original
  });
  });
  });
 
+ return {deviceStatus, commandAnalysis, pendingCommands};
+ }
+
+ runDetails(accountName, error = null) {
+ return {
+ environment: this.environment,
+ baseUrl: this.baseUrl,
+ account: accountName,
+ runId: this.runId || 'N/A',
+ mode: this.dryRun ? 'Plan (no commands sent)' : 'Live',
+ source: this.reportSource,
+ generatedAt: this.formatDate(this.now()),
+ ...(error ? { error } : {})
+ };
+ }
+
+ buildWorkbook(accountName, allDevices, deviations, commandResults, datasets, error = null) {
+ const workbook = new Excel.Workbook();
+
+ this.addSummarySheet(workbook, accountName, allDevices, deviations, commandResults);
+ 
+ const statusWorksheet = workbook.addWorksheet('Device Status Report');
+ statusWorksheet.columns = datasets.deviceStatus.columns;
+ datasets.deviceStatus.rows.forEach(row => statusWorksheet.addRow(row));
+
+ const commandWorksheet = workbook.addWorksheet('Command Analysis Details');
+ commandWorksheet.columns = datasets.commandAnalysis.columns;
+ datasets.commandAnalysis.rows.forEach(row => commandWorksheet.addRow(row));
+
+ const pendingWorksheet = workbook.addWorksheet('Pending Commands Details');
+ pendingWorksheet.columns = datasets.pendingCommands.columns;
+ datasets.pendingCommands.rows.forEach(row => pendingWorksheet.addRow(row));
+
+ // Delivery Tracking Sheet
+ const deliveryWorksheet = workbook.addWorksheet('Delivery Tracking');
+
+ deliveryWorksheet.columns = [
+ { header: 'IMEI', key: 'imei', width: 20 },
+ { header: 'Command', key: 'command', width: 50 },
+ { header: 'Queued At', key: 'queuedAt', width: 25 },
+ { header: 'Delivery Status', key: 'state', width: 15 },
+ { header: 'State Transitions', key: 'transitions', width: 60 },
+ { header: 'Time To Delivery (s)', key: 'timeToDelivery', width: 20 }
+ ];
+
+ Object.values(this.deliveries).forEach(delivery => {
+ deliveryWorksheet.addRow({
+ imei: delivery.imei,
+ command: delivery.command,
+ queuedAt: delivery.queuedAt.toISOString(),
+ state: delivery.state,
+ transitions: delivery.transitions.map(t => `${t.state} @ ${t.at.toISOString()}`).join(' → '),
+ timeToDelivery: delivery.timeToDeliverySeconds !== null ? delivery.timeToDeliverySeconds : 'N/A'
+ });
+ });
+
+ // Cancelled Commands Sheet - stale or conflicting pending commands expired before sending
+ const cancelledWorksheet = workbook.addWorksheet('Cancelled Commands');
+
+ cancelledWorksheet.columns = [
+ { header: 'IMEI', key: 'imei', width: 20 },
+ { header: 'Command ID', key: 'commandId', width: 15 },
+ { header: 'Command', key: 'command', width: 50 },
+ { header: 'Created Date', key: 'createdDate', width: 25 },
+ { header: 'Age (h)', key: 'ageHours', width: 10 },
+ { header: 'Reason', key: 'reason', width: 30 },
+ { header: 'Result', key: 'result', width: 30 }
+ ];
+
+ this.cancellations.forEach(cancellation => cancelledWorksheet.addRow(cancellation));
+
+ // Rollout Sheet - one row per canary/wave stage when the account rolls out in stages
+ const rolloutWorksheet = workbook.addWorksheet('Rollout');
+
+ rolloutWorksheet.columns = [
+ { header: 'Stage', key: 'name', width: 15 },
+ { header: 'Devices', key: 'devices', width: 12 },
+ { header: 'Accepted', key: 'accepted', width: 12 },
+ { header: 'Verified', key: 'verified', width: 12 },
+ { header: 'Failed', key: 'failed', width: 12 },
+ { header: 'Failure Rate', key: 'failureRate', width: 15 },
+ { header: 'Result', key: 'result', width: 15 }
+ ];
+
+ (this.rollout ? this.rollout.stages : []).forEach(stage => {
+ rolloutWorksheet.addRow({ ...stage, failureRate: stage.failureRate === null ? 'N/A' : stage.failureRate });
+ });
+ rolloutWorksheet.getColumn('failureRate').numFmt = '0.0%';
+
+ // Fetch Summary Sheet - makes a truncated fetch visible in the report
+ const fetchWorksheet = workbook.addWorksheet('Fetch Summary');
+
+ fetchWorksheet.columns = [
+ { header: 'Lookup', key: 'lookup', width: 25 },
+ { header: 'IMEI Chunks', key: 'chunks', width: 15 },
+ { header: 'Pages Fetched', key: 'pages', width: 15 },
+ { header: 'Records Fetched', key: 'records', width: 18 },
+ { header: 'API Reported Total', key: 'reportedTotal', width: 20 },
+ { header: 'Complete', key: 'complete', width: 12 }
+ ];
+
+ const fetchStats = this.fetchStats;
+ fetchWorksheet.addRow({
+ lookup: 'Devices (bees)',
+ chunks: 'N/A',
+ pages: fetchStats.devices.pages,
+ records: fetchStats.devices.records,
+ reportedTotal: fetchStats.devices.reportedTotal !== null ? fetchStats.devices.reportedTotal : 'Not reported',
+ complete: fetchStats.devices.complete ? 'Yes' : 'No'
+ });
+ fetchWorksheet.addRow({
+ lookup: 'Pending Commands (bee_commands)',
+ chunks: fetchStats.pendingCommands.chunks,
+ pages: fetchStats.pendingCommands.pages,
+ records: fetchStats.pendingCommands.records,
+ reportedTotal: fetchStats.pendingCommands.reportedTotal !== null ? fetchStats.pendingCommands.reportedTotal : 'Not reported',
+ complete: fetchStats.pendingCommands.pages === 0 ? 'N/A' : (fetchStats.pendingCommands.complete ? 'Yes' : 'No')
+ });
+
+ // Run Details Sheet - records where and how this report was produced
+ const runWorksheet = workbook.addWorksheet('Run Details');
+
+ runWorksheet.columns = [
+ { header: 'Field', key: 'field', width: 20 },
+ { header: 'Value', key: 'value', width: 50 }
+ ];
+
+ const details = this.runDetails(accountName, error);
+ [
+ ['Environment', details.environment],
+ ['Base URL', details.baseUrl],
+ ['Account', details.account],
+ ['Run ID', details.runId],
+ ['Mode', details.mode],
+ ['Source', details.source],
+ ['Generated At', details.generatedAt],
+ ...(error ? [['Error', error]] : [])
+ ].forEach(([field, value]) => runWorksheet.addRow({ field, value }));
+
+ // Data sheets: frozen header row and IMEI column, filters on every column
+ [statusWorksheet, commandWorksheet, pendingWorksheet, cancelledWorksheet, deliveryWorksheet, rolloutWorksheet, fetchWorksheet].forEach(worksheet => {
+ worksheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 1 }];
+ worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: worksheet.columns.length } };
+ });
+ this.addStatusFormatting(statusWorksheet, allDevices.length);
+
  // Style the header rows
- [statusWorksheet, commandWorksheet, pendingWorksheet].forEach(worksheet => {
+ [statusWorksheet, commandWorksheet, pendingWorksheet, cancelledWorksheet, deliveryWorksheet, rolloutWorksheet, fetchWorksheet, runWorksheet].forEach(worksheet => {
  worksheet.getRow(1).eachCell(cell => {
  cell.font = { bold: true };
  cell.fill = {
@@ -682,140 +1795,805 @@ class DeviceConfigAutomation {
  if (worksheet === statusWorksheet) {
  worksheet.getColumn('existingCommands').width = 50;
  worksheet.getColumn('existingCommands').alignment = { wrapText: true };
+ worksheet.getColumn('ruleFindings').alignment = { wrapText: true };
  }
  });
 
- const reportsDir = path.join(__dirname, 'reports');
- if (!fs.existsSync(reportsDir)) {
+ return workbook;
+ }
+
+ // Writes the report in every selected format and returns the primary file - the workbook
+ // when xlsx is selected, otherwise the first file written. this.reportFiles lists them all.
+ // Reports for failed runs (options.error) are tagged _error and kept in reports/errors.
+ async generateReport(accountName, allDevices, deviations, commandResults = [], pendingCommandsInfo = {}, options = {}) {
+ const error = options.error || null;
+ const reportsDir = error ? path.join(this.getReportsDir(), ERRORS_DIR) : this.getReportsDir();
  fs.mkdirSync(reportsDir, { recursive: true });
+
+ const timestamp = this.now().toISOString().replace(/[:.]/g, '-');
+ const basePath = path.join(reportsDir, reportBaseName(accountName, timestamp, Boolean(error)));
+ const files = [];
+ // The three core datasets, shared by the workbook and the csv/json/html formats
+ const datasets = this.buildReportDatasets(allDevices, commandResults, pendingCommandsInfo);
+
+ if (this.reportFormats.includes('xlsx')) {
+ const workbook = this.buildWorkbook(accountName, allDevices, deviations, commandResults, datasets, error);
+ await this.reportWriter(workbook, `${basePath}.xlsx`);
+ files.push(`${basePath}.xlsx`);
  }
 
- const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
- const filename = `device_report_${accountName}_${timestamp}.xlsx`;
- const filepath = path.join(reportsDir, filename);
- 
- await workbook.xlsx.writeFile(filepath);
- console.log(`Report generated: ${filepath}`);
+ const run = this.runDetails(accountName, error);
+ if (this.reportFormats.includes('csv')) files.push(...writeCsvReports(datasets, basePath));
+ if (this.reportFormats.includes('json')) files.push(writeJsonReport(datasets, run, `${basePath}.json`));
+ if (this.reportFormats.includes('html')) files.push(writeHtmlReport(datasets, run, `${basePath}.html`));
+
+ const filepath = files[0];
+ files.forEach(file => this.log.info(`Report generated: ${file}`, { phase: 'report' }));
+ this.reportFiles = files;
+ if (this.runLog) {
+ this.runLog.moveTo(`${basePath}.log`);
+ }
+ this.indexReport(accountName, basePath, this.runLog ? files.concat(this.runLog.filePath) : files,
+ { allDevices, deviations, commandResults, error });
+ this.notify('reportWritten', { account: accountName, runId: this.runId, reportPath: filepath, reportFiles: files });
+ if (this.reportRetention.enabled) {
+ await this.pruneReports();
+ }
  return filepath;
  }
 
- async processAccount(accountName) {
- console.log(`Processing account: ${accountName}`);
- const accountProfile = ACCOUNT_PROFILES[accountName];
+ indexReport(accountName, basePath, files, { allDevices, deviations, commandResults, error }) {
+ try {
+ this.reportIndex.record({
+ id: path.basename(basePath),
+ account: accountName,
+ kind: error ? 'error' : 'result',
+ generatedAt: this.now().toISOString(),
+ runId: this.runId,
+ environment: this.environment,
+ mode: this.dryRun ? 'plan' : 'live',
+ source: this.reportSource,
+ devices: allDevices.length,
+ deviations: deviations.length,
+ commandsSent: commandResults.length,
+ ...(error ? { error } : {}),
+ files: files.map(file => path.relative(this.reportsDir, file))
+ });
+ } catch (indexError) {
+ this.log.error(`Failed to update the report index for account ${accountName}`, { phase: 'report', error: indexError });
+ }
+ }
+
+ // Plans and diff workbooks are indexed under their own kind so retention prunes them too
+ indexArtifact(kind, accountName, filepath, details = {}) {
+ try {
+ this.reportIndex.record({
+ id: path.basename(filepath, path.extname(filepath)),
+ account: accountName,
+ kind,
+ generatedAt: this.now().toISOString(),
+ ...details,
+ files: [path.relative(this.reportsDir, filepath)]
+ });
+ } catch (indexError) {
+ this.log.error(`Failed to update the report index for account ${accountName}`, { phase: 'report', error: indexError });
+ }
+ }
+
+ // Archives (or deletes) the reports the retention policy no longer keeps
+ async pruneReports(policy = this.reportRetention) {
+ try {
+ const outcome = await this.reportIndex.applyRetention(policy, this.now());
+ if (outcome.expired > 0) {
+ this.log.info(`Report retention: ${outcome.expired} report(s) ${outcome.archive ? `archived to ${outcome.archive}` : 'deleted'}`, { phase: 'retention' });
+ }
+ return outcome;
+ } catch (error) {
+ this.log.error('Failed to apply the report retention policy', { phase: 'retention', error });
+ return { expired: 0, archive: null, error: error.message };
+ }
+ }
+
+ // Rebuilds the workbook for a stored run (the latest one when no runId is given) from the run
+ // journal. Pending command details, fetch statistics and delivery tracking are not journaled.
+ async regenerateReport(runId = null, accountName = null) {
+ const runs = this.runStore.getRuns(accountName);
+ const run = runId ? runs.find(candidate => candidate.runId === runId) : runs[runs.length - 1];
+ if (!run) {
+ return { account: accountName, runId, error: runId ? `No stored run ${runId}` : 'No stored runs found' };
+ }
+ this.runLog = null;
+ this.log = this.logger.child({ runId: run.runId, account: run.account });
+
+ const records = this.runStore.getRunRecords(run.runId);
+ const decisions = records.filter(record => record.type === 'decision');
+ const allDevices = decisions.map(record => record.device);
+ const commandResults = records
+ .filter(record => record.type === 'send')
+ .map(({ imei, command, status, outcome, response, attempts, at }) =>
+ ({ imei, command, status, outcome, response, attempts, timestamp: this.formatDate(new Date(at)) }));
+
+ this.runId = run.runId;
+ this.environment = run.environment || 'Not recorded';
+ this.baseUrl = run.baseUrl || 'Not recorded';
+ this.dryRun = Boolean(run.dryRun);
+ this.fetchStats = this.emptyFetchStats();
+ this.aggregations = null;
+ this.deliveries = {};
+ this.rollout = run.rollout || null;
+ this.cancellations = records
+ .filter(record => record.type === 'cancellation')
+ .map(({ imei, commandId, command, createdDate, ageHours, reason, result }) =>
+ ({ imei, commandId, command, createdDate, ageHours, reason, result }));
+ this.commandAnalysis = {};
+ decisions.forEach(record => {
+ if (record.analysis) {
+ this.commandAnalysis[record.imei] = record.analysis;
+ }
+ });
+ this.reportSource = `Regenerated from the run journal (run finished ${run.finishedAt || run.at})`;
+
+ const deviations = allDevices.filter(device => device.status !== HEALTHY_STATUS);
+ const reportPath = await this.generateReport(run.account, allDevices, deviations, commandResults, {}, { error: run.error || null });
+
+ return {
+ account: run.account,
+ runId: run.runId,
+ environment: this.environment,
+ totalDevices: allDevices.length,
+ deviations: deviations.length,
+ commandsSent: commandResults.length,
+ reportPath,
+ reportFiles: this.reportFiles
+ };
+ }
+
+ // Compares past runs and writes a diff workbook with a trend sheet. The runs are the given
+ // workbooks (directories expand to the reports they hold), the reports directory when none are
+ // given, or the stored runs when fromJournal is set.
+ async diffReports(sources = [], { account = null, fromJournal = false } = {}) {
+ const snapshots = [];
+ let archived = { snapshots: [], skipped: 0 };
+ if (fromJournal) {
+ const records = this.runStore.readAll();
+ this.runStore.getRuns(account)
+ .filter(run => !run.error)
+ .forEach(run => snapshots.push(journalSnapshot(run, records.filter(record => record.runId === run.runId))));
+ } else {
+ const dirs = sources.length > 0 ? sources : [this.reportsDir];
+ const files = listReportFiles(dirs, account);
+ for (const file of files) {
+ try {
+ snapshots.push(await readReportSnapshot(file));
+ } catch (error) {
+ this.log.warn(`Skipping ${file}`, { phase: 'diff', error });
+ }
+ }
+ archived = this.archivedRunSnapshots(dirs, account);
+ snapshots.push(...archived.snapshots);
+ }
+
+ const accounts = [...new Set(snapshots.map(snapshot => snapshot.account))];
+ if (accounts.length > 1) {
+ return { account, error: `The runs cover several accounts (${accounts.join(', ')}); pick one with --account` };
+ }
+ const comparable = comparableSnapshots(snapshots).length;
+ if (comparable < 2) {
+ return { account: account || accounts[0] || null, error: `Need at least two runs with devices to compare, found ${comparable}` };
+ }
+
+ const diff = { ...diffSnapshots(snapshots), archivedFromJournal: archived.snapshots.length, archivedSkipped: archived.skipped };
+ const timestamp = this.now().toISOString().replace(/[:.]/g, '-');
+ const reportPath = path.join(this.getReportsDir(), `report_diff_${accounts[0]}_${timestamp}.xlsx`);
+ await this.reportWriter(buildDiffWorkbook(diff), reportPath);
+ this.log.info(`Diff report generated: ${reportPath}`, { phase: 'diff' });
+ this.indexArtifact('diff', accounts[0], reportPath, { runs: diff.runs });
+
+ return { account: accounts[0], ...diff, reportPath };
+ }
+
+ // Retention moves older reports into zips under archive/ (or deletes them). Their runs are
+ // rebuilt from the run journal through the runId the report index kept; runs the journal no
+ // longer has are counted and left out with a warning.
+ archivedRunSnapshots(dirs, account) {
+ const entries = dirs
+ .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory())
+ .flatMap(dir => new ReportIndex(dir).read())
+ .filter(entry => ['archived', 'deleted'].includes(entry.status) && entry.kind === 'result' &&
+ (!account || entry.account === account));
+ if (entries.length === 0) {
+ return { snapshots: [], skipped: 0 };
+ }
+
+ const records = this.runStore.readAll();
+ const runs = new Map(records.filter(record => record.type === 'run').map(record => [record.runId, record]));
+ const snapshots = [];
+ entries.forEach(entry => {
+ const run = entry.runId && runs.get(entry.runId);
+ if (run) {
+ snapshots.push({
+ ...journalSnapshot(run, records.filter(record => record.runId === run.runId)),
+ label: `${entry.id} (${entry.status}, from the run journal)`,
+ generatedAt: new Date(entry.generatedAt)
+ });
+ }
+ });
+
+ const skipped = entries.length - snapshots.length;
+ if (skipped > 0) {
+ this.log.warn(`${skipped} archived run(s) are not in the run journal and were left out of the diff`, { phase: 'diff' });
+ }
+ return { snapshots, skipped };
+ }
+
+ // options.imeis limits the run to the listed devices (the rest of the fleet is left untouched)
+ async processAccount(accountName, options = {}) {
+ const accountProfile = this.accountProfiles[accountName];
  
  if (!accountProfile) {
- console.error(`No profile found for account: ${accountName}`);
+ this.logger.error(`No profile found for account: ${accountName}`, { account: accountName });
  return;
  }
 
+ this.runId = crypto.randomUUID();
+ this.startRunLog(accountName);
+ this.log.info(`Processing account: ${accountName}`);
+ const startedAt = this.now();
+
  try {
  this.commandAnalysis = {};
+ this.fetchStats = this.emptyFetchStats();
+ this.aggregations = null;
+ this.deliveries = {};
+ this.rollout = null;
+ this.cancellations = [];
 
- console.log('Fetching devices...');
+ this.log.info('Fetching devices...', { phase: 'fetch' });
  const devicesData = await this.getDevicesForAccount(accountProfile);
  if (!devicesData || !devicesData.data) {
- console.log('No devices found or error fetching devices');
- await this.generateReport(accountName, [], []);
- return;
+ this.log.warn('No devices found or error fetching devices', { phase: 'fetch' });
+ const reportPath = await this.generateReport(accountName, [], [], [], {}, { error: 'No devices found or error fetching devices' });
+ this.recordRunHistory(accountName, [], [], {
+ startedAt: startedAt.toISOString(),
+ finishedAt: this.now().toISOString(),
+ error: 'No devices found or error fetching devices',
+ reportPath
+ });
+ return {
+ account: accountName,
+ runId: this.runId,
+ error: 'No devices found or error fetching devices',
+ reportPath,
+ ...(this.runLog ? { logPath: this.runLog.filePath } : {})
+ };
  }
 
- console.log(`Found ${devicesData.data.length} devices for account ${accountName}`);
+ this.log.info(`Found ${devicesData.data.length} devices for account ${accountName}`, { phase: 'fetch' });
 
- console.log('Checking for configuration deviations...');
+ let notFound = [];
+ if (options.imeis) {
+ const wanted = new Set(options.imeis.map(imei => this.cleanImei(imei)));
+ devicesData.data = devicesData.data.filter(device => wanted.has(this.cleanImei(device.imei)));
+ const found = new Set(devicesData.data.map(device => this.cleanImei(device.imei)));
+ notFound = [...wanted].filter(imei => !found.has(imei));
+ this.log.info(`Limited to ${devicesData.data.length} of ${wanted.size} requested devices`, { phase: 'fetch' });
+ if (notFound.length > 0) {
+ this.log.warn(`${notFound.length} requested devices did not report in the last ${accountProfile.lookbackHours.devices} hours`, { phase: 'fetch', notFound });
+ }
+ }
+
+ this.notify('devicesFetched', { account: accountName, runId: this.runId, devices: devicesData.data });
+
+ this.log.info('Checking for configuration deviations...', { phase: 'analyze' });
  const {deviations, allDevices} = this.checkConfigDeviations(devicesData.data, accountProfile);
- console.log(`Found ${deviations.length} devices with configuration deviations`);
+ this.log.info(`Found ${deviations.length} devices with health rule findings`, { phase: 'analyze' });
+ deviations.forEach(device => this.notify('deviationFound', { account: accountName, runId: this.runId, device }));
+
+ // Excluded devices stay in the report but are never checked for pending commands or sent to
+ const excluded = allDevices.filter(device => device.exclusion);
+ excluded.forEach(device => {
+ this.commandAnalysis[device.imei] = {
+ hasPendingCommands: false,
+ commandCount: 0,
+ commands: [],
+ decision: 'Excluded',
+ reason: `Excluded by ${device.exclusion}`,
+ directiveStatus: 'N/A',
+ existingCommandsFormatted: 'Not checked'
+ };
+ });
+ if (excluded.length > 0) {
+ this.log.info(`${excluded.length} devices excluded by the account's allow/deny lists`, { phase: 'analyze' });
+ }
+ const targeted = deviations.filter(device => !device.exclusion);
 
- console.log('Generating comprehensive report...');
+ this.log.info('Generating comprehensive report...', { phase: 'report' });
  
  let commandResults = [];
  let pendingCommandsInfo = {};
+ let planPath = null;
+ let deliveryStats = null;
  
- if (deviations.length > 0) {
- const commandToSend = accountProfile.profileCommand;
+ if (targeted.length > 0) {
+ // Findings without a remediation command are reported but never acted on
+ targeted.filter(device => !device.remediationCommand).forEach(device => {
+ this.commandAnalysis[device.imei] = {
+ hasPendingCommands: false,
+ commandCount: 0,
+ commands: [],
+ decision: 'Report Only',
+ reason: `No remediation command for ${device.findings.map(finding => finding.rule).join(', ')}`,
+ directiveStatus: 'N/A',
+ existingCommandsFormatted: 'Not checked'
+ };
+ });
 
- console.log('Checking for pending commands...');
- const imeis = deviations.map(d => d.imei);
+ // Devices needing the same remediation are checked and sent together
+ const commandGroups = {};
+ targeted.filter(device => device.remediationCommand).forEach(device => {
+ (commandGroups[device.remediationCommand] = commandGroups[device.remediationCommand] || []).push(device.imei);
+ });
+
+ const sendGroups = [];
+ for (const commandToSend of Object.keys(commandGroups)) {
+ const imeis = commandGroups[commandToSend];
+
+ this.log.info(`Checking for pending commands (${imeis.length} devices needing ${commandToSend})...`, { phase: 'pending' });
+ const pendingCheck = await this.checkPendingCommands(imeis, accountProfile, commandToSend);
+ if (accountProfile.pendingCleanup.enabled) {
+ await this.cleanUpPendingCommands(imeis, pendingCheck, accountProfile, commandToSend);
+ }
  const {
- duplicateCommands, 
- equivalentTimeGapCommands,
- timeGapCommands,
- pendingCommandCounts, 
+ satisfiedImeis,
+ pendingCommandCounts,
  pendingCommandsInfo: pendingInfo
- } = await this.checkPendingCommands(imeis, accountProfile, commandToSend);
+ } = pendingCheck;
  
- pendingCommandsInfo = pendingInfo;
+ Object.assign(pendingCommandsInfo, pendingInfo);
  
- Object.keys(pendingCommandsInfo).forEach(imei => {
- console.log(`DEBUG: IMEI ${imei} has ${pendingCommandsInfo[imei].length} pending commands:`);
- pendingCommandsInfo[imei].forEach((cmd, idx) => {
- console.log(` ${idx + 1}. State: ${cmd.state}, Command: ${cmd.extracted || cmd.original}`);
+ if (this.log.isEnabled('debug')) {
+ Object.keys(pendingInfo).forEach(imei => {
+ this.log.debug(`${pendingInfo[imei].length} pending commands`, {
+ phase: 'pending',
+ imei,
+ commands: pendingInfo[imei].map(cmd => ({ state: cmd.state_description, command: cmd.extracted || cmd.original }))
  });
  });
+ }
 
- const imeisToProcess = imeis.filter(imei => 
- !duplicateCommands.has(imei) &&
- !equivalentTimeGapCommands.has(imei) &&
- !timeGapCommands.has(imei) &&
- (!pendingCommandCounts[imei] || pendingCommandCounts[imei] < 4)
+ const candidateImeis = imeis.filter(imei => 
+ !satisfiedImeis.has(imei) &&
+ (!pendingCommandCounts[imei] || pendingCommandCounts[imei] < accountProfile.pendingCommandThreshold)
  );
+ const imeisToProcess = this.applyRemediationLimits(candidateImeis, deviations, accountProfile, commandToSend);
  
- const imeisWithTimeGap = imeis.filter(imei => 
- timeGapCommands.has(imei)
- );
- 
- if (imeisWithTimeGap.length > 0) {
- console.log(`${imeisWithTimeGap.length} devices have AT+TIMEGAP commands - NOT sending new commands`);
+ if (imeisToProcess.length < candidateImeis.length) {
+ this.log.warn(`${candidateImeis.length - imeisToProcess.length} devices escalated after ${accountProfile.remediation.maxResends} unsuccessful sends - NOT sending new commands`, { phase: 'decide' });
  }
  
- console.log(`Sending commands to ${imeisToProcess.length} devices`);
+ if (satisfiedImeis.size > 0) {
+ this.log.info(`${satisfiedImeis.size} devices already have pending commands that reach the target profile - NOT sending new commands`, { phase: 'decide' });
+ }
 
  if (imeisToProcess.length > 0) {
- console.log('Sending configuration commands...');
- commandResults = await this.sendConfigurationCommands(imeisToProcess, accountProfile);
+ sendGroups.push({ command: commandToSend, imeis: imeisToProcess });
+ }
+ }
+
+ const sendCount = sendGroups.reduce((total, group) => total + group.imeis.length, 0);
+ if (this.dryRun) {
+ this.log.info(`Plan mode: would send commands to ${sendCount} devices`, { phase: 'plan' });
+ sendGroups.forEach(group => group.imeis.forEach(imei => {
+ this.commandAnalysis[imei].decision = 'Would Send';
+ }));
+ if (accountProfile.rollout.enabled && sendCount > 0) {
+ const imeis = sendGroups.reduce((all, group) => all.concat(group.imeis), []);
+ planStages(imeis, accountProfile.rollout).forEach(stage => stage.imeis.forEach(imei => {
+ this.commandAnalysis[imei].rolloutStage = stage.name;
+ }));
+ }
+ planPath = this.writePlan(accountProfile, sendGroups, allDevices);
+ } else if (sendCount > 0) {
+ this.log.info(`Sending commands to ${sendCount} devices`, { phase: 'send' });
+ commandResults = await this.sendCommandGroups(sendGroups, accountProfile);
+
+ if (accountProfile.deliveryTracking.enabled && commandResults.some(r => r.status === 'Success')) {
+ deliveryStats = await this.trackDeliveries(commandResults, accountProfile);
+ }
  } else {
- console.log('No commands to send - devices have AT+TIMEGAP commands or other issues');
+ this.log.info('No commands to send - nothing to remediate, pending commands already reach the target or too many are queued', { phase: 'decide' });
  }
  }
 
+ this.notifyDecisions(accountName);
  const reportPath = await this.generateReport(accountName, allDevices, deviations, commandResults, pendingCommandsInfo);
 
+ const escalated = Object.values(this.commandAnalysis).filter(analysis => analysis.decision === 'Escalate').length;
+ this.recordRunHistory(accountName, allDevices, commandResults, {
+ startedAt: startedAt.toISOString(),
+ finishedAt: this.now().toISOString(),
+ totalDevices: devicesData.data.length,
+ deviations: deviations.length,
+ commandsSent: commandResults.length,
+ escalated,
+ excluded: excluded.length,
+ cancelledCommands: this.cancellations.filter(cancellation => cancellation.result === 'Cancelled').length,
+ ...(this.rollout ? { rollout: this.rollout } : {}),
+ reportPath
+ });
+
  return {
  account: accountName,
+ runId: this.runId,
+ environment: this.environment,
  totalDevices: devicesData.data.length,
  deviations: deviations.length,
  commandsSent: commandResults.length,
- reportPath: reportPath
+ commandsFailed: commandResults.filter(result => result.status !== 'Success').length,
+ escalated,
+ excluded: excluded.length,
+ cancelledCommands: this.cancellations.filter(cancellation => cancellation.result === 'Cancelled').length,
+ ...(this.dryRun ? { plan: planPath } : {}),
+ ...(deliveryStats ? { delivery: deliveryStats } : {}),
+ ...(this.rollout ? { rollout: this.rollout } : {}),
+ ...(options.imeis ? { notFound } : {}),
+ reportPath: reportPath,
+ reportFiles: this.reportFiles,
+ ...(this.runLog ? { logPath: this.runLog.filePath } : {})
  };
 
  } catch (error) {
- console.error(`Error processing account ${accountName}:`, error.message);
- await this.generateReport(accountName, [], []);
+ this.log.error(`Error processing account ${accountName}`, { error });
+ const reportPath = await this.generateReport(accountName, [], [], [], {}, { error: error.message });
+ this.recordRunHistory(accountName, [], [], {
+ startedAt: startedAt.toISOString(),
+ finishedAt: this.now().toISOString(),
+ error: error.message,
+ reportPath
+ });
+ return {
+ account: accountName,
+ error: error.message,
+ ...(this.runLog ? { logPath: this.runLog.filePath } : {})
+ };
+ }
+ }
+
+ // Fetches the fleet and checks it against the profile without looking at or sending commands
+ async auditAccount(accountName) {
+ const accountProfile = this.accountProfiles[accountName];
+ if (!accountProfile) {
+ return { account: accountName, error: `No profile found for account: ${accountName}` };
+ }
+ this.log = this.logger.child({ account: accountName });
+
+ this.fetchStats = this.emptyFetchStats();
+ this.aggregations = null;
+ const devicesData = await this.getDevicesForAccount(accountProfile);
+ if (!devicesData || !devicesData.data) {
+ return { account: accountName, error: 'No devices found or error fetching devices' };
+ }
+
+ this.notify('devicesFetched', { account: accountName, runId: null, devices: devicesData.data });
+ const { deviations } = this.checkConfigDeviations(devicesData.data, accountProfile);
+ deviations.forEach(device => this.notify('deviationFound', { account: accountName, runId: null, device }));
  return {
  account: accountName,
- error: error.message
+ environment: this.environment,
+ totalDevices: devicesData.data.length,
+ fetchComplete: this.fetchStats.devices.complete,
+ deviations: deviations.map(({ imei, deviceType, lastReported, currentPingFrequency, expectedFrequency, status, severity, findings, remediationCommand, exclusion }) =>
+ ({ imei, deviceType, lastReported, currentPingFrequency, expectedFrequency, status, severity, findings, remediationCommand, exclusion }))
  };
  }
+
+ async getDevice(imei) {
+ const response = await this.makeRequest({
+ method: 'GET',
+ url: this.baseUrl + BEES_PATH,
+ params: {
+ '$filter': `imei eq '${imei}'`,
+ '$size': 1,
+ '$fields': 'all'
+ },
+ headers: {
+ 'Content-Type': 'application/json',
+ 'apikey': this.apiKey
+ },
+ timeout: this.requestTimeout
+ });
+ const devices = (response.data && response.data.data) || [];
+ return devices.find(device => this.cleanImei(device.imei) === imei) || null;
+ }
+
+ // Everything processAccount would weigh for one device, without sending anything
+ async inspectDevice(rawImei) {
+ const imei = this.cleanImei(rawImei);
+ if (!imei) {
+ return { imei: rawImei, error: 'Not a valid IMEI' };
+ }
+ this.log = this.logger.child({ imei });
+
+ let device;
+ try {
+ device = await this.getDevice(imei);
+ } catch (error) {
+ return { imei, error: `Error fetching device: ${error.message}` };
+ }
+ if (!device) {
+ return { imei, error: 'Device not found' };
+ }
+
+ const accountProfile = Object.values(this.accountProfiles).find(profile => profile.accountName === device.account_name);
+ const history = this.runStore.getDeviceHistory(imei)
+ .filter(record => record.type === 'decision' || record.type === 'send')
+ .slice(-10)
+ .map(record => record.type === 'send'
+ ? { at: record.at, runId: record.runId, type: 'send', status: record.status, response: record.response }
+ : { at: record.at, runId: record.runId, type: 'decision', decision: record.analysis ? record.analysis.decision : 'N/A', status: record.device.status });
+
+ if (!accountProfile) {
+ return {
+ imei,
+ environment: this.environment,
+ account: device.account_name || null,
+ device,
+ analysis: { decision: 'N/A', reason: `No profile configured for account ${device.account_name}` },
+ pendingCommands: [],
+ history
+ };
+ }
+
+ this.commandAnalysis = {};
+ this.fetchStats = this.emptyFetchStats();
+ this.aggregations = null;
+ const { allDevices, deviations } = this.checkConfigDeviations([device], accountProfile);
+ const remediationCommand = allDevices[0].remediationCommand;
+ const { pendingCommandsInfo } = await this.checkPendingCommands([imei], accountProfile, remediationCommand);
+
+ if (allDevices[0].exclusion) {
+ this.commandAnalysis[imei].decision = 'Excluded';
+ this.commandAnalysis[imei].reason = `Excluded by ${allDevices[0].exclusion}`;
+ } else if (deviations.length === 0) {
+ this.commandAnalysis[imei].decision = 'No Action';
+ this.commandAnalysis[imei].reason = 'No health rule fired';
+ } else if (!remediationCommand) {
+ this.commandAnalysis[imei].decision = 'Report Only';
+ this.commandAnalysis[imei].reason = `No remediation command for ${allDevices[0].findings.map(finding => finding.rule).join(', ')}`;
+ } else if (this.commandAnalysis[imei].decision === 'Send Command') {
+ this.applyRemediationLimits([imei], deviations, accountProfile, remediationCommand);
+ }
+
+ const { commands, existingCommandsFormatted, ...analysis } = this.commandAnalysis[imei];
+ return {
+ imei,
+ environment: this.environment,
+ account: accountProfile.accountName,
+ device,
+ status: allDevices[0],
+ analysis,
+ pendingCommands: (pendingCommandsInfo[imei] || []).map(entry => ({
+ state: entry.state_description,
+ createdAt: new Date(entry.created_date * 1000).toISOString(),
+ command: entry.extracted,
+ corrupt: entry.corrupt,
+ frameError: entry.frameError
+ })),
+ history
+ };
+ }
+
+ // Hands a processAccount result to every notifier along with the account's previous run.
+ // A failing notifier is logged and never fails the run.
+ async sendNotifications(result) {
+ if (!result || this.notifiers.length === 0) return [];
+
+ const previous = this.runStore.getRuns(result.account)
+ .filter(run => run.runId !== result.runId && !run.error)
+ .pop() || null;
+ const notifications = [];
+ for (const notifier of this.notifiers) {
+ try {
+ const triggers = await notifier.notify(result, previous);
+ notifications.push({ notifier: notifier.name, sent: triggers.length > 0, triggers });
+ if (triggers.length > 0) {
+ this.log.info(`Notified ${notifier.name} about ${result.account}: ${triggers.join('; ')}`, { phase: 'notify' });
+ }
+ } catch (error) {
+ this.log.error(`Notifier ${notifier.name} failed for account ${result.account}`, { phase: 'notify', error });
+ notifications.push({ notifier: notifier.name, sent: false, triggers: [], error: error.message });
+ }
+ }
+ result.notifications = notifications;
+ return notifications;
  }
 
  async runAutomation() {
- console.log('Starting device configuration automation...');
- const results = [];
- 
- for (const accountName of Object.keys(ACCOUNT_PROFILES)) {
- const result = await this.processAccount(accountName);
- results.push(result);
- await this.delay(5000);
+ this.logger.info('Starting device configuration automation...');
+ const accountNames = Object.keys(this.accountProfiles);
+ const results = new Array(accountNames.length);
+ let nextIndex = 0;
+
+ // Accounts run side by side up to the configured concurrency; the shared rate limiter
+ // keeps the combined traffic inside the API budgets
+ const worker = async () => {
+ while (nextIndex < accountNames.length && !this.stopRequested) {
+ const index = nextIndex++;
+ const child = this.forkForAccount();
+ try {
+ results[index] = await child.processAccount(accountNames[index]);
+ await child.sendNotifications(results[index]);
+ } finally {
+ this.releaseChild(child);
  }
+ }
+ };
+
+ const workerCount = Math.min(this.concurrency, accountNames.length);
+ await Promise.all(Array.from({ length: workerCount }, worker));
  
- console.log('Automation completed');
- return results;
+ this.logger.info('Automation completed');
+ return results.filter(Boolean);
  }
 }
 
-// Initialize and run
-const automation = new DeviceConfigAutomation();
-automation.runAutomation().then(results => {
- console.log('Automation results:', JSON.stringify(results, null, 2));
-}).catch(error => {
- console.error('Automation failed:', error);
-});
+// Re-emits the lifecycle events of every scheduled run. The runs share one rate limiter, run
+// store and clock (options.now).
+class AutomationScheduler extends EventEmitter {
+ constructor(profiles, options = {}) {
+ super();
+ this.profiles = profiles;
+ this.now = options.now || (() => new Date());
+ this.options = {
+ ...options,
+ now: this.now,
+ rateLimiter: options.rateLimiter || new RateLimiter(options.rateLimits),
+ runStore: options.runStore || new RunStore(undefined, { now: () => this.now() }),
+ logger: options.logger || createLogger(options.logging)
+ };
+ this.logger = this.options.logger;
+ this.tasks = {};
+ this.inFlight = {};
+ this.runState = {};
+ this.stopping = false;
+ }
+
+ start() {
+ Object.keys(this.profiles).forEach(accountName => {
+ const profile = this.profiles[accountName];
+ if (!profile.schedule) {
+ this.logger.info(`No schedule configured for account ${accountName} - skipping`, { phase: 'schedule', account: accountName });
+ return;
+ }
+
+ const task = cron.schedule(profile.schedule, () => this.runAccount(accountName), {
+ name: accountName,
+ timezone: profile.timezone
+ });
+
+ this.tasks[accountName] = task;
+ this.runState[accountName] = {
+ schedule: profile.schedule,
+ timezone: profile.timezone,
+ running: false,
+ lastRunStarted: null,
+ lastRunFinished: null,
+ lastResult: null,
+ skippedRuns: 0,
+ nextRun: task.getNextRun()
+ };
+
+ this.logger.info(`Scheduled account ${accountName} (${profile.schedule} ${this.runState[accountName].timezone}), next run: ${this.describeDate(task.getNextRun())}`, { phase: 'schedule', account: accountName });
+ });
+ }
+
+ describeDate(date) {
+ return date ? date.toISOString() : 'N/A';
+ }
+
+ async runAccount(accountName) {
+ const state = this.runState[accountName];
+
+ if (this.stopping) {
+ return;
+ }
+
+ // Overlap lock: never start a second run while the previous one is still going
+ if (this.inFlight[accountName]) {
+ state.skippedRuns++;
+ this.logger.warn(`Previous run for account ${accountName} still in progress - skipping this tick`, { phase: 'schedule', account: accountName });
+ return;
+ }
+
+ // Each run gets its own instance so per-run state never leaks between accounts
+ const automation = new DeviceConfigAutomation(this.profiles, this.options);
+ AUTOMATION_EVENTS.forEach(event => automation.on(event, payload => this.emit(event, payload)));
+ state.running = true;
+ state.lastRunStarted = this.now();
+
+ const run = automation.processAccount(accountName)
+ .then(async result => {
+ state.lastResult = result || null;
+ await automation.sendNotifications(result);
+ })
+ .catch(error => {
+ this.logger.error(`Scheduled run for account ${accountName} failed`, { phase: 'schedule', account: accountName, error });
+ state.lastResult = {account: accountName, error: error.message};
+ })
+ .finally(() => {
+ state.running = false;
+ state.lastRunFinished = this.now();
+ state.nextRun = this.tasks[accountName].getNextRun();
+ delete this.inFlight[accountName];
+ this.logger.info(`Run for account ${accountName} finished, next run: ${this.describeDate(state.nextRun)}`, { phase: 'schedule', account: accountName });
+ });
+
+ this.inFlight[accountName] = {automation, run};
+ return run;
+ }
+
+ getStatus() {
+ const status = {};
+ Object.keys(this.runState).forEach(accountName => {
+ const state = this.runState[accountName];
+ status[accountName] = {
+ ...state,
+ nextRun: this.stopping ? null : this.tasks[accountName].getNextRun()
+ };
+ });
+ return status;
+ }
+
+ async stop() {
+ this.stopping = true;
+ Object.values(this.tasks).forEach(task => task.stop());
+
+ const inFlight = Object.values(this.inFlight);
+ if (inFlight.length > 0) {
+ this.logger.info(`Waiting for ${inFlight.length} in-flight run(s) to finish their current batch...`, { phase: 'schedule' });
+ }
+
+ inFlight.forEach(({automation}) => automation.requestStop());
+ await Promise.all(inFlight.map(({run}) => run));
+ }
+}
+
+// Builds an automation the way the CLI does. options.config is a config document shaped like
+// config/accounts.json (read from options.configPath or ACCOUNTS_CONFIG when omitted);
+// options.environment is an environment name or an already resolved environment and
+// options.createTransport replaces nodemailer's for email notifiers. Every other option is
+// passed to the DeviceConfigAutomation constructor.
+function createAutomation(options = {}) {
+ const { config: document, configPath, environment, confirmProduction, createTransport, ...automationOptions } = options;
+ const config = document ? validateConfig(document) : loadConfig(configPath);
+ const resolved = environment && typeof environment === 'object'
+ ? environment
+ : resolveEnvironment(environment || process.env.DECKLAR_ENV || config.environment, config.environments, {
+ confirmed: Boolean(confirmProduction)
+ });
+
+ return new DeviceConfigAutomation(config.accounts, {
+ rateLimits: config.rateLimits,
+ concurrency: config.concurrency,
+ notifiers: createNotifiers(config.notifiers, { httpClient: automationOptions.httpClient, createTransport }),
+ reportRetention: config.reportRetention,
+ logging: config.logging,
+ ...automationOptions,
+ environment: resolved
+ });
+}
+
+module.exports = {
+ AUTOMATION_EVENTS,
+ AutomationScheduler,
+ DeviceConfigAutomation,
+ createAutomation
+};
+
+if (require.main === module) {
+ require('./lib/cli').main(process.argv.slice(2)).then(exitCode => {
+ if (exitCode !== null) {
+ process.exitCode = exitCode;
+ }
+ });
+}
@@ -0,0 +1,493 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { DEFAULT_BUDGETS } = require('./rate-limiter');
+const { DEFAULT_ENVIRONMENT, DEFAULT_ENVIRONMENTS } = require('./environments');
+const { DEFAULT_HEALTH_RULES, RuleError, normalizeRule, settingRules } = require('./health-rules');
+const { TARGET_FIELDS } = require('./targeting');
+const { NotifierError, normalizeNotifier } = require('./notifiers');
+const { REPORT_RETENTION_DEFAULTS } = require('./report-retention');
+const { LOGGING_DEFAULTS, LOG_FORMATS, LOG_LEVELS } = require('./logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'accounts.json');
+
+const ACCOUNT_DEFAULTS = {
+ lookbackHours: {devices: 48, pendingCommands: 24},
+ pendingCommandThreshold: 4,
+ timezone: 'UTC',
+ // Tracking blocks the run for up to timeoutMinutes after each send, so accounts opt in
+ deliveryTracking: {enabled: false, pollIntervalSeconds: 60, timeoutMinutes: 15},
+ remediation: {maxResends: 3},
+ pendingCleanup: {enabled: false, olderThanHours: 6},
+ rollout: {enabled: false, canaryPercent: 10, minCanaryDevices: 1, wavePercent: 25, waitMinutes: 30, failureThreshold: 0.2}
+};
+
+const ACCOUNT_FIELDS = [
+ 'accountName',
+ 'deviceTypes',
+ 'expectedSettings',
+ 'profileCommand',
+ 'lookbackHours',
+ 'pendingCommandThreshold',
+ 'schedule',
+ 'timezone',
+ 'deliveryTracking',
+ 'remediation',
+ 'pendingCleanup',
+ 'healthRules',
+ 'rollout',
+ 'targeting'
+];
+
+class ConfigError extends Error {
+ constructor(field, message) {
+ super(`Invalid account configuration at "${field}": ${message}`);
+ this.name = 'ConfigError';
+ this.field = field;
+ }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isPositiveNumber = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+function rejectUnknownFields(object, allowed, fieldPath) {
+ Object.keys(object).forEach(key => {
+ if (!allowed.includes(key)) {
+ throw new ConfigError(`${fieldPath}.${key}`, `unknown field (allowed: ${allowed.join(', ')})`);
+ }
+ });
+}
+
+function isValidTimezone(timezone) {
+ try {
+ new Intl.DateTimeFormat('en-US', {timeZone: timezone});
+ return true;
+ } catch (error) {
+ return false;
+ }
+}
+
+function validateAccount(key, account) {
+ const at = `accounts.${key}`;
+
+ if (!isPlainObject(account)) {
+ throw new ConfigError(at, 'must be an object');
+ }
+
+ rejectUnknownFields(account, ACCOUNT_FIELDS, at);
+
+ const accountName = account.accountName === undefined ? key : account.accountName;
+ if (!isNonEmptyString(accountName)) {
+ throw new ConfigError(`${at}.accountName`, 'must be a non-empty string');
+ }
+
+ const deviceTypes = typeof account.deviceTypes === 'string' ? [account.deviceTypes] : account.deviceTypes;
+ if (!Array.isArray(deviceTypes) || deviceTypes.length === 0) {
+ throw new ConfigError(`${at}.deviceTypes`, 'must be a device type or a non-empty list of device types');
+ }
+ deviceTypes.forEach((deviceType, index) => {
+ if (!isNonEmptyString(deviceType)) {
+ throw new ConfigError(`${at}.deviceTypes[${index}]`, 'must be a non-empty string');
+ }
+ });
+
+ if (!isPlainObject(account.expectedSettings) || Object.keys(account.expectedSettings).length === 0) {
+ throw new ConfigError(`${at}.expectedSettings`, 'must be an object with at least one device setting');
+ }
+ Object.keys(account.expectedSettings).forEach(setting => {
+ const value = account.expectedSettings[setting];
+ if (!['string', 'number', 'boolean'].includes(typeof value)) {
+ throw new ConfigError(`${at}.expectedSettings.${setting}`, 'must be a string, number or boolean');
+ }
+ });
+
+ if (!isNonEmptyString(account.profileCommand)) {
+ throw new ConfigError(`${at}.profileCommand`, 'must be a non-empty command string');
+ }
+
+ const lookbackHours = {...ACCOUNT_DEFAULTS.lookbackHours};
+ if (account.lookbackHours !== undefined) {
+ if (!isPlainObject(account.lookbackHours)) {
+ throw new ConfigError(`${at}.lookbackHours`, 'must be an object');
+ }
+ rejectUnknownFields(account.lookbackHours, Object.keys(lookbackHours), `${at}.lookbackHours`);
+ Object.keys(account.lookbackHours).forEach(window => {
+ if (!isPositiveNumber(account.lookbackHours[window])) {
+ throw new ConfigError(`${at}.lookbackHours.${window}`, 'must be a positive number of hours');
+ }
+ lookbackHours[window] = account.lookbackHours[window];
+ });
+ }
+
+ const pendingCommandThreshold = account.pendingCommandThreshold === undefined
+ ? ACCOUNT_DEFAULTS.pendingCommandThreshold
+ : account.pendingCommandThreshold;
+ if (!Number.isInteger(pendingCommandThreshold) || pendingCommandThreshold < 1) {
+ throw new ConfigError(`${at}.pendingCommandThreshold`, 'must be a positive integer');
+ }
+
+ if (account.schedule !== undefined && (!isNonEmptyString(account.schedule) || !cron.validate(account.schedule))) {
+ throw new ConfigError(`${at}.schedule`, `"${account.schedule}" is not a valid cron expression`);
+ }
+
+ const timezone = account.timezone === undefined ? ACCOUNT_DEFAULTS.timezone : account.timezone;
+ if (!isNonEmptyString(timezone) || !isValidTimezone(timezone)) {
+ throw new ConfigError(`${at}.timezone`, `"${timezone}" is not a valid IANA timezone`);
+ }
+
+ const deliveryTracking = {...ACCOUNT_DEFAULTS.deliveryTracking};
+ if (account.deliveryTracking !== undefined) {
+ if (!isPlainObject(account.deliveryTracking)) {
+ throw new ConfigError(`${at}.deliveryTracking`, 'must be an object');
+ }
+ rejectUnknownFields(account.deliveryTracking, Object.keys(deliveryTracking), `${at}.deliveryTracking`);
+ if (account.deliveryTracking.enabled !== undefined && typeof account.deliveryTracking.enabled !== 'boolean') {
+ throw new ConfigError(`${at}.deliveryTracking.enabled`, 'must be true or false');
+ }
+ ['pollIntervalSeconds', 'timeoutMinutes'].forEach(field => {
+ if (account.deliveryTracking[field] !== undefined && !isPositiveNumber(account.deliveryTracking[field])) {
+ throw new ConfigError(`${at}.deliveryTracking.${field}`, 'must be a positive number');
+ }
+ });
+ Object.assign(deliveryTracking, account.deliveryTracking);
+ }
+
+ const remediation = {...ACCOUNT_DEFAULTS.remediation};
+ if (account.remediation !== undefined) {
+ if (!isPlainObject(account.remediation)) {
+ throw new ConfigError(`${at}.remediation`, 'must be an object');
+ }
+ rejectUnknownFields(account.remediation, Object.keys(remediation), `${at}.remediation`);
+ if (account.remediation.maxResends !== undefined &&
+ (!Number.isInteger(account.remediation.maxResends) || account.remediation.maxResends < 1)) {
+ throw new ConfigError(`${at}.remediation.maxResends`, 'must be a positive integer');
+ }
+ Object.assign(remediation, account.remediation);
+ }
+
+ const pendingCleanup = {...ACCOUNT_DEFAULTS.pendingCleanup};
+ if (account.pendingCleanup !== undefined) {
+ if (!isPlainObject(account.pendingCleanup)) {
+ throw new ConfigError(`${at}.pendingCleanup`, 'must be an object');
+ }
+ rejectUnknownFields(account.pendingCleanup, Object.keys(pendingCleanup), `${at}.pendingCleanup`);
+ if (account.pendingCleanup.enabled !== undefined && typeof account.pendingCleanup.enabled !== 'boolean') {
+ throw new ConfigError(`${at}.pendingCleanup.enabled`, 'must be true or false');
+ }
+ if (account.pendingCleanup.olderThanHours !== undefined && !isPositiveNumber(account.pendingCleanup.olderThanHours)) {
+ throw new ConfigError(`${at}.pendingCleanup.olderThanHours`, 'must be a positive number of hours');
+ }
+ Object.assign(pendingCleanup, account.pendingCleanup);
+ }
+
+ const healthRules = validateHealthRules(account, at);
+
+ const rollout = {...ACCOUNT_DEFAULTS.rollout};
+ if (account.rollout !== undefined) {
+ if (!isPlainObject(account.rollout)) {
+ throw new ConfigError(`${at}.rollout`, 'must be an object');
+ }
+ rejectUnknownFields(account.rollout, Object.keys(rollout), `${at}.rollout`);
+ if (account.rollout.enabled !== undefined && typeof account.rollout.enabled !== 'boolean') {
+ throw new ConfigError(`${at}.rollout.enabled`, 'must be true or false');
+ }
+ ['canaryPercent', 'wavePercent'].forEach(field => {
+ if (account.rollout[field] !== undefined &&
+ (!isPositiveNumber(account.rollout[field]) || account.rollout[field] > 100)) {
+ throw new ConfigError(`${at}.rollout.${field}`, 'must be a percentage between 0 and 100');
+ }
+ });
+ if (account.rollout.minCanaryDevices !== undefined &&
+ (!Number.isInteger(account.rollout.minCanaryDevices) || account.rollout.minCanaryDevices < 1)) {
+ throw new ConfigError(`${at}.rollout.minCanaryDevices`, 'must be a positive integer');
+ }
+ if (account.rollout.waitMinutes !== undefined &&
+ (typeof account.rollout.waitMinutes !== 'number' || !isFinite(account.rollout.waitMinutes) || account.rollout.waitMinutes < 0)) {
+ throw new ConfigError(`${at}.rollout.waitMinutes`, 'must be zero or a positive number of minutes');
+ }
+ if (account.rollout.failureThreshold !== undefined &&
+ (typeof account.rollout.failureThreshold !== 'number' || !(account.rollout.failureThreshold >= 0 && account.rollout.failureThreshold <= 1))) {
+ throw new ConfigError(`${at}.rollout.failureThreshold`, 'must be a fraction between 0 and 1');
+ }
+ Object.assign(rollout, account.rollout);
+ }
+
+ const targeting = validateTargeting(account, at);
+
+ return {
+ accountName,
+ deviceTypes,
+ expectedSettings: {...account.expectedSettings},
+ profileCommand: account.profileCommand.trim(),
+ lookbackHours,
+ pendingCommandThreshold,
+ schedule: account.schedule,
+ timezone,
+ deliveryTracking,
+ remediation,
+ pendingCleanup,
+ healthRules,
+ rollout,
+ targeting
+ };
+}
+
+// allow and deny each map imeis/assets/shipments/tags to a list of values or * patterns
+function validateTargeting(account, at) {
+ const targeting = {allow: {}, deny: {}};
+ if (account.targeting === undefined) return targeting;
+ if (!isPlainObject(account.targeting)) {
+ throw new ConfigError(`${at}.targeting`, 'must be an object');
+ }
+ rejectUnknownFields(account.targeting, Object.keys(targeting), `${at}.targeting`);
+
+ Object.keys(account.targeting).forEach(listName => {
+ const list = account.targeting[listName];
+ const listAt = `${at}.targeting.${listName}`;
+ if (!isPlainObject(list)) {
+ throw new ConfigError(listAt, 'must be an object');
+ }
+ rejectUnknownFields(list, Object.keys(TARGET_FIELDS), listAt);
+ Object.keys(list).forEach(field => {
+ if (!Array.isArray(list[field]) || !list[field].every(isNonEmptyString)) {
+ throw new ConfigError(`${listAt}.${field}`, 'must be a list of non-empty strings');
+ }
+ if (field === 'imeis') {
+ list[field].forEach((imei, index) => {
+ if (!/^\d{12,}$/.test(imei.trim())) {
+ throw new ConfigError(`${listAt}.imeis[${index}]`, `"${imei}" is not an IMEI`);
+ }
+ });
+ }
+ targeting[listName][field] = list[field].map(value => value.trim());
+ });
+ });
+ return targeting;
+}
+
+// expectedSettings always become rules; the account's healthRules opt in to the other checks
+function validateHealthRules(account, at) {
+ const configured = account.healthRules === undefined ? DEFAULT_HEALTH_RULES : account.healthRules;
+ if (!Array.isArray(configured)) {
+ throw new ConfigError(`${at}.healthRules`, 'must be a list of rules');
+ }
+
+ const rules = settingRules(account.expectedSettings, account.profileCommand.trim());
+ configured.forEach((rule, index) => {
+ const ruleAt = `${at}.healthRules[${index}]`;
+ let normalized;
+ try {
+ normalized = normalizeRule(rule);
+ } catch (error) {
+ if (!(error instanceof RuleError)) throw error;
+ throw new ConfigError(error.field ? `${ruleAt}.${error.field}` : ruleAt, error.message);
+ }
+ if (rules.some(existing => existing.id === normalized.id)) {
+ throw new ConfigError(`${ruleAt}.id`, `duplicate rule id "${normalized.id}"`);
+ }
+ rules.push(normalized);
+ });
+ return rules;
+}
+
+function validateRateLimits(rateLimits) {
+ if (rateLimits === undefined) return {};
+ if (!isPlainObject(rateLimits)) {
+ throw new ConfigError('rateLimits', 'must be an object');
+ }
+
+ rejectUnknownFields(rateLimits, Object.keys(DEFAULT_BUDGETS), 'rateLimits');
+ Object.keys(rateLimits).forEach(endpoint => {
+ const budget = rateLimits[endpoint];
+ const at = `rateLimits.${endpoint}`;
+ if (!isPlainObject(budget)) {
+ throw new ConfigError(at, 'must be an object');
+ }
+ rejectUnknownFields(budget, ['requestsPerSecond', 'burst'], at);
+ if (!isPositiveNumber(budget.requestsPerSecond)) {
+ throw new ConfigError(`${at}.requestsPerSecond`, 'must be a positive number');
+ }
+ if (budget.burst !== undefined && (!Number.isInteger(budget.burst) || budget.burst < 1)) {
+ throw new ConfigError(`${at}.burst`, 'must be a positive integer');
+ }
+ });
+
+ return rateLimits;
+}
+
+function validateEnvironments(environments) {
+ if (environments === undefined) return {};
+ if (!isPlainObject(environments)) {
+ throw new ConfigError('environments', 'must be an object');
+ }
+
+ Object.keys(environments).forEach(name => {
+ const environment = environments[name];
+ const at = `environments.${name}`;
+ if (!isPlainObject(environment)) {
+ throw new ConfigError(at, 'must be an object');
+ }
+ rejectUnknownFields(environment, ['baseUrl', 'apiKeyEnv', 'apiKeyFile', 'apiKey', 'requiresConfirmation'], at);
+
+ if (environment.baseUrl === undefined && !DEFAULT_ENVIRONMENTS[name]) {
+ throw new ConfigError(`${at}.baseUrl`, 'is required for a new environment');
+ }
+ if (environment.baseUrl !== undefined && !/^https?:\/\/[^\s/]+/.test(environment.baseUrl)) {
+ throw new ConfigError(`${at}.baseUrl`, 'must be an http(s) URL');
+ }
+
+ const sources = ['apiKeyEnv', 'apiKeyFile', 'apiKey'].filter(field => environment[field] !== undefined);
+ if (sources.length > 1) {
+ throw new ConfigError(at, `set only one credentials source (got ${sources.join(', ')})`);
+ }
+ if (sources.length === 0 && !DEFAULT_ENVIRONMENTS[name]) {
+ throw new ConfigError(at, 'needs a credentials source: apiKeyEnv, apiKeyFile or apiKey');
+ }
+ sources.forEach(field => {
+ if (!isNonEmptyString(environment[field])) {
+ throw new ConfigError(`${at}.${field}`, 'must be a non-empty string');
+ }
+ });
+
+ if (environment.requiresConfirmation !== undefined && typeof environment.requiresConfirmation !== 'boolean') {
+ throw new ConfigError(`${at}.requiresConfirmation`, 'must be a boolean');
+ }
+ });
+
+ return environments;
+}
+
+function validateNotifiers(notifiers) {
+ if (notifiers === undefined) return [];
+ if (!Array.isArray(notifiers)) {
+ throw new ConfigError('notifiers', 'must be a list of notifiers');
+ }
+
+ const normalized = [];
+ notifiers.forEach((notifier, index) => {
+ const at = `notifiers[${index}]`;
+ let definition;
+ try {
+ definition = normalizeNotifier(notifier);
+ } catch (error) {
+ if (!(error instanceof NotifierError)) throw error;
+ throw new ConfigError(error.field ? `${at}.${error.field}` : at, error.message);
+ }
+ if (normalized.some(existing => existing.name === definition.name)) {
+ throw new ConfigError(`${at}.name`, `duplicate notifier name "${definition.name}"`);
+ }
+ normalized.push(definition);
+ });
+ return normalized;
+}
+
+function validateReportRetention(retention) {
+ const policy = {...REPORT_RETENTION_DEFAULTS};
+ if (retention === undefined) return policy;
+ if (!isPlainObject(retention)) {
+ throw new ConfigError('reportRetention', 'must be an object');
+ }
+
+ rejectUnknownFields(retention, Object.keys(policy), 'reportRetention');
+ ['enabled', 'archive'].forEach(field => {
+ if (retention[field] !== undefined && typeof retention[field] !== 'boolean') {
+ throw new ConfigError(`reportRetention.${field}`, 'must be true or false');
+ }
+ });
+ if (retention.keepLast !== undefined && (!Number.isInteger(retention.keepLast) || retention.keepLast < 1)) {
+ throw new ConfigError('reportRetention.keepLast', 'must be a positive integer');
+ }
+ ['keepDaily', 'keepWeekly', 'keepErrors'].forEach(field => {
+ if (retention[field] !== undefined && (!Number.isInteger(retention[field]) || retention[field] < 0)) {
+ throw new ConfigError(`reportRetention.${field}`, 'must be zero or a positive integer');
+ }
+ });
+ return Object.assign(policy, retention);
+}
+
+function validateLogging(logging) {
+ if (logging === undefined) return {...LOGGING_DEFAULTS};
+ if (!isPlainObject(logging)) {
+ throw new ConfigError('logging', 'must be an object');
+ }
+
+ rejectUnknownFields(logging, Object.keys(LOGGING_DEFAULTS), 'logging');
+ if (logging.level !== undefined && !LOG_LEVELS.includes(logging.level)) {
+ throw new ConfigError('logging.level', `must be one of ${LOG_LEVELS.join(', ')}`);
+ }
+ if (logging.format !== undefined && !LOG_FORMATS.includes(logging.format)) {
+ throw new ConfigError('logging.format', `must be one of ${LOG_FORMATS.join(', ')}`);
+ }
+ if (logging.runLogs !== undefined && typeof logging.runLogs !== 'boolean') {
+ throw new ConfigError('logging.runLogs', 'must be true or false');
+ }
+ return {...LOGGING_DEFAULTS, ...logging};
+}
+
+// Validates the whole document up front so a bad config never fails halfway through a run
+function validateConfig(config) {
+ if (!isPlainObject(config)) {
+ throw new ConfigError('(root)', 'must be an object');
+ }
+
+ rejectUnknownFields(config, ['accounts', 'rateLimits', 'concurrency', 'environment', 'environments', 'notifiers', 'reportRetention', 'logging'], '(root)');
+
+ if (!isPlainObject(config.accounts) || Object.keys(config.accounts).length === 0) {
+ throw new ConfigError('accounts', 'must be an object with at least one account');
+ }
+
+ const accounts = {};
+ Object.keys(config.accounts).forEach(key => {
+ accounts[key] = validateAccount(key, config.accounts[key]);
+ });
+
+ const concurrency = config.concurrency === undefined ? 1 : config.concurrency;
+ if (!Number.isInteger(concurrency) || concurrency < 1) {
+ throw new ConfigError('concurrency', 'must be a positive integer');
+ }
+
+ const environments = validateEnvironments(config.environments);
+ const environment = config.environment === undefined ? DEFAULT_ENVIRONMENT : config.environment;
+ if (!DEFAULT_ENVIRONMENTS[environment] && !environments[environment]) {
+ throw new ConfigError('environment', `unknown environment "${environment}"`);
+ }
+
+ return {
+ accounts,
+ rateLimits: validateRateLimits(config.rateLimits),
+ concurrency,
+ environment,
+ environments,
+ notifiers: validateNotifiers(config.notifiers),
+ reportRetention: validateReportRetention(config.reportRetention),
+ logging: validateLogging(config.logging)
+ };
+}
+
+function loadConfig(configPath = process.env.ACCOUNTS_CONFIG || DEFAULT_CONFIG_PATH) {
+ let raw;
+ try {
+ raw = fs.readFileSync(configPath, 'utf8');
+ } catch (error) {
+ throw new ConfigError('(file)', `cannot read ${configPath}: ${error.message}`);
+ }
+
+ let config;
+ try {
+ config = JSON.parse(raw);
+ } catch (error) {
+ throw new ConfigError('(file)', `${configPath} is not valid JSON: ${error.message}`);
+ }
+
+ return validateConfig(config);
+}
+
+module.exports = {
+ ConfigError,
+ DEFAULT_CONFIG_PATH,
+ loadConfig,
+ validateConfig
+};
@@ -0,0 +1,115 @@
+// Parses compound AT commands such as "AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0" into
+// individual directives and works out whether a queue of pending commands reaches a target.
+
+const DIRECTIVE_PATTERN = /^AT\+([A-Z0-9_]+)\s*(\?|=(.*))?$/i;
+
+const DIRECTIVE_STATUS = {
+ IDENTICAL: 'identical',
+ SUPERSEDED: 'superseded',
+ CONFLICTING: 'conflicting',
+ MISSING: 'missing'
+};
+
+// Splits on any of the separator characters outside double quotes, so "a,b" stays one piece
+function splitUnquoted(text, separators) {
+ const pieces = [''];
+ let quoted = false;
+ for (const char of text) {
+ if (char === '"') quoted = !quoted;
+ if (!quoted && separators.includes(char)) {
+ pieces.push('');
+ } else {
+ pieces[pieces.length - 1] += char;
+ }
+ }
+ return pieces;
+}
+
+function parseParam(value) {
+ const trimmed = value.trim();
+ if (trimmed === '') return null;
+ if (/^-?\d+(\.\d+)?$/.test(trimmed)) return Number(trimmed);
+ const quoted = trimmed.match(/^"(.*)"$/);
+ return quoted ? quoted[1] : trimmed;
+}
+
+function parseDirective(segment) {
+ const raw = segment.trim();
+ const match = raw.match(DIRECTIVE_PATTERN);
+ if (!match) {
+ return {name: null, params: [], query: false, raw};
+ }
+ return {
+ name: match[1].toUpperCase(),
+ params: match[3] !== undefined ? splitUnquoted(match[3], ',').map(parseParam) : [],
+ query: match[2] === '?',
+ raw
+ };
+}
+
+function parseAtCommand(command) {
+ if (!command || typeof command !== 'string') return [];
+ return splitUnquoted(command, '&;')
+ .map(segment => segment.trim())
+ .filter(segment => segment.length > 0)
+ .map(parseDirective);
+}
+
+function sameParams(a, b) {
+ return a.length === b.length && a.every((param, index) => param === b[index]);
+}
+
+function formatParams(directive) {
+ return directive.params.map(param => (param === null ? '' : String(param))).join(',');
+}
+
+// pendingCommands must be in the order the device will apply them (oldest first).
+// Per target directive:
+//   identical   - the last queued value for the directive equals the target
+//   superseded  - the target value is queued but a later command overrides it
+//   conflicting - the directive is only queued with other values
+//   missing     - nothing in the queue sets the directive
+function compareAgainstTarget(pendingCommands, targetCommand) {
+ const queued = pendingCommands
+ .flatMap(command => parseAtCommand(command))
+ .filter(directive => directive.name && !directive.query);
+
+ const directives = parseAtCommand(targetCommand)
+ .filter(directive => directive.name && !directive.query)
+ .map(target => {
+ const sameName = queued.filter(directive => directive.name === target.name);
+ const effective = sameName[sameName.length - 1];
+ let status = DIRECTIVE_STATUS.MISSING;
+
+ if (effective && sameParams(effective.params, target.params)) {
+ status = DIRECTIVE_STATUS.IDENTICAL;
+ } else if (sameName.some(directive => sameParams(directive.params, target.params))) {
+ status = DIRECTIVE_STATUS.SUPERSEDED;
+ } else if (effective) {
+ status = DIRECTIVE_STATUS.CONFLICTING;
+ }
+
+ return {
+ name: target.name,
+ target: formatParams(target),
+ queued: sameName.map(formatParams),
+ status
+ };
+ });
+
+ return {
+ directives,
+ reachesTarget: directives.length > 0 && directives.every(directive => directive.status === DIRECTIVE_STATUS.IDENTICAL)
+ };
+}
+
+function describeComparison(comparison) {
+ return comparison.directives.map(directive => `${directive.name}: ${directive.status}`).join('; ');
+}
+
+module.exports = {
+ DIRECTIVE_STATUS,
+ compareAgainstTarget,
+ describeComparison,
+ parseAtCommand
+};
@@ -0,0 +1,177 @@
+// BSFlex downlink frame layout (after removing the 7E delimiters and byte stuffing):
+//
+//   message type   2 bytes   uint16, big endian
+//   properties     2 bytes   low 10 bits hold the payload length
+//   IMEI           8 bytes   BCD, left padded with a zero nibble
+//   sequence       2 bytes   uint16, big endian
+//   payload        n bytes   command frames start with a 4 byte F0 30 sub-header, then ASCII
+//   checksum       1 byte    XOR of every byte from message type through payload
+//
+// Inside the delimiters 7E is sent as 7D 02 and 7D is sent as 7D 01.
+
+const FRAME_DELIMITER = 0x7e;
+const ESCAPE_BYTE = 0x7d;
+const HEADER_LENGTH = 14;
+const COMMAND_SUB_HEADER = [0xf0, 0x30];
+const COMMAND_SUB_HEADER_LENGTH = 4;
+const BODY_LENGTH_MASK = 0x03ff;
+
+class FrameDecodeError extends Error {
+ constructor(message) {
+ super(message);
+ this.name = 'FrameDecodeError';
+ }
+}
+
+function isProtocolFrame(value) {
+ return typeof value === 'string' && /^7E[0-9A-F]*7E$/i.test(value.trim()) && value.trim().length >= 4;
+}
+
+function hexToBytes(hex) {
+ if (hex.length % 2 !== 0) {
+ throw new FrameDecodeError(`frame has an odd number of hex digits (${hex.length})`);
+ }
+ const bytes = [];
+ for (let i = 0; i < hex.length; i += 2) {
+ bytes.push(parseInt(hex.substring(i, i + 2), 16));
+ }
+ return bytes;
+}
+
+function bytesToHex(bytes) {
+ return bytes.map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+function unescapeBytes(bytes) {
+ const result = [];
+ for (let i = 0; i < bytes.length; i++) {
+ if (bytes[i] === FRAME_DELIMITER) {
+ throw new FrameDecodeError(`unescaped 7E delimiter inside frame at byte ${i + 1}`);
+ }
+ if (bytes[i] !== ESCAPE_BYTE) {
+ result.push(bytes[i]);
+ continue;
+ }
+ const next = bytes[i + 1];
+ if (next === 0x02) {
+ result.push(FRAME_DELIMITER);
+ } else if (next === 0x01) {
+ result.push(ESCAPE_BYTE);
+ } else {
+ throw new FrameDecodeError(`invalid escape sequence 7D ${next === undefined ? '(end of frame)' : bytesToHex([next])} at byte ${i + 1}`);
+ }
+ i++;
+ }
+ return result;
+}
+
+function escapeBytes(bytes) {
+ const result = [];
+ bytes.forEach(byte => {
+ if (byte === FRAME_DELIMITER) {
+ result.push(ESCAPE_BYTE, 0x02);
+ } else if (byte === ESCAPE_BYTE) {
+ result.push(ESCAPE_BYTE, 0x01);
+ } else {
+ result.push(byte);
+ }
+ });
+ return result;
+}
+
+function xorChecksum(bytes) {
+ return bytes.reduce((checksum, byte) => checksum ^ byte, 0);
+}
+
+function decodeBcd(bytes) {
+ let digits = '';
+ bytes.forEach(byte => {
+ digits += (byte >> 4).toString(16) + (byte & 0x0f).toString(16);
+ });
+ if (/[a-f]/.test(digits)) {
+ throw new FrameDecodeError(`IMEI field is not valid BCD (${bytesToHex(bytes)})`);
+ }
+ return digits.replace(/^0+(?=\d{15})/, '');
+}
+
+function encodeBcd(digits, length) {
+ const padded = String(digits).padStart(length * 2, '0');
+ const bytes = [];
+ for (let i = 0; i < padded.length; i += 2) {
+ bytes.push(parseInt(padded.substring(i, i + 2), 16));
+ }
+ return bytes;
+}
+
+function payloadToCommand(payload) {
+ const hasSubHeader = payload.length >= COMMAND_SUB_HEADER_LENGTH &&
+ payload[0] === COMMAND_SUB_HEADER[0] && payload[1] === COMMAND_SUB_HEADER[1];
+ const text = hasSubHeader ? payload.slice(COMMAND_SUB_HEADER_LENGTH) : payload;
+
+ let command = '';
+ text.forEach(byte => {
+ if (byte >= 32 && byte <= 126) {
+ command += String.fromCharCode(byte);
+ } else if (byte === 0) {
+ command += ' ';
+ }
+ });
+ return command.trim();
+}
+
+// Throws FrameDecodeError when the frame cannot be parsed; a bad checksum is reported, not thrown
+function decodeFrame(protocolFrame) {
+ if (!isProtocolFrame(protocolFrame)) {
+ throw new FrameDecodeError('not a 7E-delimited hex frame');
+ }
+
+ const bytes = hexToBytes(protocolFrame.trim());
+ const content = unescapeBytes(bytes.slice(1, -1));
+
+ if (content.length < HEADER_LENGTH + 1) {
+ throw new FrameDecodeError(`frame is too short (${content.length} bytes, need at least ${HEADER_LENGTH + 1})`);
+ }
+
+ const checksum = content[content.length - 1];
+ const covered = content.slice(0, -1);
+ const computedChecksum = xorChecksum(covered);
+
+ const messageType = (covered[0] << 8) | covered[1];
+ const properties = (covered[2] << 8) | covered[3];
+ const payload = covered.slice(HEADER_LENGTH);
+
+ return {
+ messageType: `0x${messageType.toString(16).padStart(4, '0').toUpperCase()}`,
+ properties: properties,
+ declaredPayloadLength: properties & BODY_LENGTH_MASK,
+ imei: decodeBcd(covered.slice(4, 12)),
+ sequence: (covered[12] << 8) | covered[13],
+ payloadHex: bytesToHex(payload),
+ payloadLength: payload.length,
+ command: payloadToCommand(payload),
+ checksum: checksum,
+ computedChecksum: computedChecksum,
+ checksumValid: checksum === computedChecksum
+ };
+}
+
+function encodeFrame({messageType = 0x8300, imei, sequence = 0, command}) {
+ const payload = COMMAND_SUB_HEADER.concat([0x00, 0x00], Array.from(Buffer.from(command, 'ascii')));
+ const properties = payload.length & BODY_LENGTH_MASK;
+ const covered = [
+ messageType >> 8, messageType & 0xff,
+ properties >> 8, properties & 0xff,
+ ...encodeBcd(imei, 8),
+ (sequence >> 8) & 0xff, sequence & 0xff,
+ ...payload
+ ];
+ const content = escapeBytes(covered.concat([xorChecksum(covered)]));
+ return bytesToHex([FRAME_DELIMITER, ...content, FRAME_DELIMITER]);
+}
+
+module.exports = {
+ FrameDecodeError,
+ decodeFrame,
+ encodeFrame,
+ isProtocolFrame
+};
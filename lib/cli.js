@@ -0,0 +1,417 @@
+const { parseArgs } = require('util');
+const { ConfigError, loadConfig } = require('./account-config');
+const { CONFIRM_FLAG, EnvironmentError, resolveEnvironment } = require('./environments');
+const { createNotifiers } = require('./notifiers');
+const { createLogger } = require('./logger');
+const { REPORT_FORMATS, ReportFormatError, parseReportFormats } = require('./report-formats');
+
+const EXIT_CODES = {
+ OK: 0,
+ // The command could not do its job: API failure, unknown device, corrupt frame, missing run
+ FAILED: 1,
+ // Bad arguments, configuration or environment - nothing was attempted
+ USAGE: 2,
+ // The command worked but found something needing attention: deviations or unaccepted sends
+ ATTENTION: 3
+};
+
+const USAGE = `Usage: node automation.js [command] [options]
+
+Commands:
+ run                        Process every configured account (default)
+ audit <account>            List devices where any health rule fires
+ send <account> [imei...]   Process one account, optionally only the listed IMEIs
+ inspect <imei>             Show a device, its pending commands and the send decision
+ decode <hexframe>          Decode a BSFlex command frame
+ report                     Regenerate a workbook from the run journal
+ diff [report|dir...]       Compare past runs and chart their deviations (default: reports/)
+ prune                      Apply the report retention policy now, archiving older reports
+
+Options:
+ --json                     Print the result as JSON on stdout (logs go to stderr)
+ --env <name>               Environment to run against (staging, production, mock, ...)
+ ${CONFIRM_FLAG}       Required for production
+ --plan                     Dry run: write a plan instead of sending (run, send)
+ --execute-plan <file>      Send a saved plan (run)
+ --schedule                 Run accounts on their cron schedules (run)
+ --run <runId>              Stored run to rebuild; defaults to the latest (report)
+ --account <name>           Latest stored run for this account (report), runs to compare (diff)
+ --journal                  Compare the stored runs instead of workbooks (diff)
+ --format <list>            Report formats, comma-separated or repeated (${REPORT_FORMATS.join(', ')})
+ -h, --help                 Show this help
+
+Exit codes: 0 ok, 1 failed, 2 usage or configuration error, 3 needs attention`;
+
+const OPTIONS = {
+ json: { type: 'boolean' },
+ env: { type: 'string' },
+ 'confirm-production': { type: 'boolean' },
+ plan: { type: 'boolean' },
+ 'execute-plan': { type: 'string' },
+ schedule: { type: 'boolean' },
+ run: { type: 'string' },
+ account: { type: 'string' },
+ journal: { type: 'boolean' },
+ format: { type: 'string', multiple: true },
+ help: { type: 'boolean', short: 'h' }
+};
+
+const COMMANDS = ['run', 'audit', 'send', 'inspect', 'decode', 'report', 'diff', 'prune'];
+
+// Commands that never talk to the API and so need no credentials
+const OFFLINE_COMMANDS = ['decode', 'report', 'diff', 'prune'];
+const OFFLINE_ENVIRONMENT = { name: 'offline', baseUrl: '', apiKey: null };
+
+class UsageError extends Error {
+ constructor(message) {
+ super(message);
+ this.name = 'UsageError';
+ }
+}
+
+function parseCommandLine(argv) {
+ let parsed;
+ try {
+ parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+ } catch (error) {
+ throw new UsageError(error.message);
+ }
+
+ const [command = 'run', ...args] = parsed.positionals;
+ if (!COMMANDS.includes(command)) {
+ throw new UsageError(`Unknown command "${command}"`);
+ }
+ if (parsed.values.format) {
+ try {
+ parsed.values.format = parseReportFormats(parsed.values.format);
+ } catch (error) {
+ if (!(error instanceof ReportFormatError)) throw error;
+ throw new UsageError(error.message);
+ }
+ }
+ return { command, args, flags: parsed.values };
+}
+
+function requireArgument(args, name, command) {
+ if (!args[0]) {
+ throw new UsageError(`${command} needs <${name}>`);
+ }
+ return args[0];
+}
+
+function formatDeviations(result) {
+ const lines = [`${result.account} (${result.environment}): ${result.deviations.length} of ${result.totalDevices} devices have health rule findings`];
+ result.deviations.forEach(device => {
+ lines.push(` ${device.imei} [${device.severity}] last reported ${device.lastReported}${device.exclusion ? ` - excluded by ${device.exclusion}` : ''}`);
+ device.findings.forEach(finding => {
+ lines.push(`   ${finding.rule}: ${finding.message}${finding.remediationCommand ? '' : ' (report only)'}`);
+ });
+ });
+ if (!result.fetchComplete) {
+ lines.push('WARNING: device fetch may be truncated');
+ }
+ return lines.join('\n');
+}
+
+function formatInspection(result) {
+ const lines = [
+ `IMEI: ${result.imei}`,
+ `Account: ${result.account || 'Unknown'} (${result.environment})`,
+ 'Device:'
+ ];
+ Object.keys(result.device).sort().forEach(field => {
+ const value = result.device[field];
+ lines.push(` ${field}: ${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`);
+ });
+ if (result.status) {
+ lines.push(`Status: ${result.status.status}`);
+ result.status.findings.forEach(finding => {
+ lines.push(`   ${finding.rule} [${finding.severity}]: ${finding.message}`);
+ });
+ }
+ lines.push(`Decision: ${result.analysis.decision} - ${result.analysis.reason}`);
+ if (result.analysis.directiveStatus && result.analysis.directiveStatus !== 'N/A') {
+ lines.push(`Directives: ${result.analysis.directiveStatus}`);
+ }
+ lines.push(`Pending commands: ${result.pendingCommands.length}`);
+ result.pendingCommands.forEach(command => {
+ lines.push(` ${command.createdAt} ${command.state} ${command.command}${command.corrupt ? ` (${command.frameError})` : ''}`);
+ });
+ if (result.history.length > 0) {
+ lines.push('Recent history:');
+ result.history.forEach(entry => {
+ lines.push(` ${entry.at} ${entry.type === 'send' ? `send ${entry.status}: ${entry.response}` : `decision ${entry.decision} (${entry.status})`}`);
+ });
+ }
+ return lines.join('\n');
+}
+
+function formatDecoded(result) {
+ if (!result.frame) {
+ return `Corrupt frame: ${result.error}`;
+ }
+ return [
+ `Message type: ${result.frame.messageType}`,
+ `IMEI: ${result.frame.imei}`,
+ `Sequence: ${result.frame.sequence}`,
+ `Checksum: 0x${result.frame.checksum.toString(16).toUpperCase()} (${result.frame.checksumValid ? 'valid' : `computed 0x${result.frame.computedChecksum.toString(16).toUpperCase()}`})`,
+ `Command: ${result.command === null ? `none - ${result.error}` : result.command}`
+ ].join('\n');
+}
+
+function formatSummary(result) {
+ if (Array.isArray(result)) {
+ return result.map(formatSummary).join('\n');
+ }
+ if (result.error) {
+ return `${result.account}: ${result.error}`;
+ }
+ const parts = [`${result.account}: ${result.totalDevices !== undefined ? `${result.totalDevices} devices, ${result.deviations} deviating, ` : ''}${result.commandsSent} commands sent`];
+ if (result.commandsFailed) parts.push(`${result.commandsFailed} not accepted`);
+ if (result.excluded) parts.push(`${result.excluded} excluded`);
+ if (result.cancelledCommands) parts.push(`${result.cancelledCommands} stale pending commands cancelled`);
+ if (result.notFound && result.notFound.length > 0) parts.push(`not found: ${result.notFound.join(', ')}`);
+ if (result.rollout && result.rollout.halted) {
+ parts.push(`rollout halted after ${result.rollout.haltedAfter}, ${result.rollout.haltedDevices} devices held back`);
+ } else if (result.rollout && result.rollout.stoppedBefore) {
+ parts.push(`rollout stopped before ${result.rollout.stoppedBefore}, ${result.rollout.haltedDevices} devices skipped`);
+ }
+ if (result.plan) parts.push(`plan ${result.plan}`);
+ parts.push(`report ${formatReportFiles(result)}`);
+ return parts.join('; ');
+}
+
+function formatDiff(result) {
+ const lines = [
+ `${result.account}: compared ${result.runs} runs, ${result.baseline.generatedAt} to ${result.latest.generatedAt}`,
+ ` Fixed: ${result.fixed.length}`,
+ ...result.fixed.map(device => `   ${device.imei}: ${device.before} -> ${device.after}`),
+ ` Newly deviating: ${result.newlyDeviating.length}`,
+ ...result.newlyDeviating.map(device => `   ${device.imei}: ${device.before} -> ${device.after}`),
+ ` Stopped reporting: ${result.stoppedReporting.length}`,
+ ...result.stoppedReporting.map(device => `   ${device.imei}: last reported ${device.lastReported || 'never'} (${device.detail})`),
+ ` Pending in every run: ${result.stillPending.length}`,
+ ...result.stillPending.map(entry => `   ${entry.imei}: ${entry.command} (created ${entry.createdDate})`),
+ ` Deviating per run: ${result.trend.map(point => point.deviating).join(' ')}`,
+ ...(result.emptyRuns ? [` Runs without devices (charted, not compared): ${result.emptyRuns}`] : []),
+ ...(result.archivedFromJournal ? [` Archived runs read from the run journal: ${result.archivedFromJournal}`] : []),
+ ...(result.archivedSkipped ? [` Archived runs left out (not in the run journal): ${result.archivedSkipped}`] : []),
+ `Report: ${result.reportPath}`
+ ];
+ return lines.join('\n');
+}
+
+function formatReportFiles(result) {
+ return result.reportFiles && result.reportFiles.length > 1 ? result.reportFiles.join(', ') : result.reportPath;
+}
+
+function summaryExitCode(results) {
+ const list = Array.isArray(results) ? results : [results];
+ if (list.some(result => !result || result.error)) return EXIT_CODES.FAILED;
+ if (list.some(result => result.commandsFailed > 0 || (result.notFound && result.notFound.length > 0) ||
+ (result.rollout && result.rollout.halted))) return EXIT_CODES.ATTENTION;
+ return EXIT_CODES.OK;
+}
+
+// Runs one command and returns {result, exitCode, text}; schedule mode returns keepAlive instead
+async function runCommand({ command, args, flags }, { automation, createScheduler }) {
+ switch (command) {
+ case 'run': {
+ if (flags.schedule) {
+ const scheduler = createScheduler();
+ scheduler.start();
+ return { keepAlive: scheduler };
+ }
+ const result = flags['execute-plan']
+ ? await automation.executePlan(flags['execute-plan'])
+ : await automation.runAutomation();
+ return { result, exitCode: summaryExitCode(result), text: formatSummary(result) };
+ }
+
+ case 'audit': {
+ const account = requireArgument(args, 'account', command);
+ const result = await automation.auditAccount(account);
+ if (result.error) {
+ return { result, exitCode: EXIT_CODES.FAILED, text: formatSummary(result) };
+ }
+ return {
+ result,
+ exitCode: result.deviations.length > 0 ? EXIT_CODES.ATTENTION : EXIT_CODES.OK,
+ text: formatDeviations(result)
+ };
+ }
+
+ case 'send': {
+ const account = requireArgument(args, 'account', command);
+ const imeis = args.slice(1);
+ const result = await automation.processAccount(account, imeis.length > 0 ? { imeis } : {});
+ const normalized = result || { account, error: `No profile found for account: ${account}` };
+ return { result: normalized, exitCode: summaryExitCode(normalized), text: formatSummary(normalized) };
+ }
+
+ case 'inspect': {
+ const imei = requireArgument(args, 'imei', command);
+ const result = await automation.inspectDevice(imei);
+ if (result.error) {
+ return { result, exitCode: EXIT_CODES.FAILED, text: `${result.imei}: ${result.error}` };
+ }
+ return { result, exitCode: EXIT_CODES.OK, text: formatInspection(result) };
+ }
+
+ case 'decode': {
+ const hexFrame = requireArgument(args, 'hexframe', command).replace(/\s+/g, '');
+ const decoded = automation.decodeCommandMessage(hexFrame);
+ if (!decoded.frame && !decoded.corrupt) {
+ throw new UsageError(`${hexFrame} is not a BSFlex frame`);
+ }
+ const result = { input: hexFrame, ...decoded, command: automation.extractCommandFromFrame(hexFrame) };
+ return { result, exitCode: result.corrupt ? EXIT_CODES.FAILED : EXIT_CODES.OK, text: formatDecoded(result) };
+ }
+
+ case 'report': {
+ const result = await automation.regenerateReport(flags.run || null, flags.account || null);
+ if (result.error) {
+ return { result, exitCode: EXIT_CODES.FAILED, text: result.error };
+ }
+ return { result, exitCode: EXIT_CODES.OK, text: `Report regenerated for run ${result.runId}: ${formatReportFiles(result)}` };
+ }
+
+ case 'diff': {
+ const result = await automation.diffReports(args, { account: flags.account || null, fromJournal: Boolean(flags.journal) });
+ if (result.error) {
+ return { result, exitCode: EXIT_CODES.FAILED, text: result.error };
+ }
+ return {
+ result,
+ exitCode: result.newlyDeviating.length > 0 || result.stoppedReporting.length > 0 ? EXIT_CODES.ATTENTION : EXIT_CODES.OK,
+ text: formatDiff(result)
+ };
+ }
+
+ case 'prune': {
+ // Asking for it applies the configured policy even when automatic pruning is off
+ const result = await automation.pruneReports({ ...automation.reportRetention, enabled: true });
+ if (result.error) {
+ return { result, exitCode: EXIT_CODES.FAILED, text: `prune failed: ${result.error}` };
+ }
+ const text = result.expired === 0
+ ? 'Nothing to prune'
+ : `${result.expired} report(s) ${result.archive ? `archived to ${result.archive}` : 'deleted'}`;
+ return { result, exitCode: EXIT_CODES.OK, text };
+ }
+
+ default:
+ throw new UsageError(`Unknown command "${command}"`);
+ }
+}
+
+// Entry point for automation.js. Resolves to an exit code, or null while a scheduler keeps running.
+async function main(argv, options = {}) {
+ const stdout = options.stdout || process.stdout;
+ const stderr = options.stderr || process.stderr;
+
+ let parsed;
+ try {
+ parsed = parseCommandLine(argv);
+ } catch (error) {
+ stderr.write(`${error.message}\n\n${USAGE}\n`);
+ return EXIT_CODES.USAGE;
+ }
+
+ if (parsed.flags.help) {
+ stdout.write(`${USAGE}\n`);
+ return EXIT_CODES.OK;
+ }
+
+ // Keep stdout clean for the JSON result
+ const log = console.log;
+ if (parsed.flags.json) {
+ console.log = (...args) => console.error(...args);
+ }
+
+ try {
+ return await runParsed(parsed, options, stdout, stderr);
+ } finally {
+ if (!parsed.flags.schedule) {
+ console.log = log;
+ }
+ }
+}
+
+async function runParsed(parsed, options, stdout, stderr) {
+ const { DeviceConfigAutomation, AutomationScheduler } = require('../automation');
+
+ let config;
+ let environment;
+ try {
+ config = options.config || loadConfig();
+ environment = OFFLINE_COMMANDS.includes(parsed.command)
+ ? OFFLINE_ENVIRONMENT
+ // --env beats DECKLAR_ENV, which beats the "environment" set in the config file
+ : resolveEnvironment(parsed.flags.env || process.env.DECKLAR_ENV || config.environment, config.environments, {
+ confirmed: Boolean(parsed.flags['confirm-production'])
+ });
+ } catch (error) {
+ if (!(error instanceof ConfigError) && !(error instanceof EnvironmentError)) throw error;
+ stderr.write(`${error.message}\n`);
+ return EXIT_CODES.USAGE;
+ }
+
+ const logger = createLogger(config.logging);
+ if (environment !== OFFLINE_ENVIRONMENT) {
+ logger.info(`Environment: ${environment.name} (${environment.baseUrl})`, { environment: environment.name });
+ }
+
+ const automationOptions = {
+ dryRun: Boolean(parsed.flags.plan),
+ rateLimits: config.rateLimits,
+ concurrency: config.concurrency,
+ notifiers: createNotifiers(config.notifiers),
+ reportRetention: config.reportRetention,
+ logging: config.logging,
+ logger,
+ ...(parsed.flags.format ? { reportFormats: parsed.flags.format } : {}),
+ environment,
+ ...options.automationOptions
+ };
+
+ let outcome;
+ try {
+ outcome = await runCommand(parsed, {
+ automation: new DeviceConfigAutomation(config.accounts, automationOptions),
+ createScheduler: () => new AutomationScheduler(config.accounts, automationOptions)
+ });
+ } catch (error) {
+ if (error instanceof UsageError) {
+ stderr.write(`${error.message}\n\n${USAGE}\n`);
+ return EXIT_CODES.USAGE;
+ }
+ stderr.write(`${parsed.command} failed: ${error.message}\n`);
+ return EXIT_CODES.FAILED;
+ }
+
+ if (outcome.keepAlive) {
+ const scheduler = outcome.keepAlive;
+ logger.info('Scheduler started', { phase: 'schedule' });
+ const shutdown = (signal) => {
+ logger.info(`Received ${signal}, shutting down scheduler...`, { phase: 'schedule' });
+ scheduler.stop().then(() => {
+ logger.info('Scheduler stopped', { phase: 'schedule', status: scheduler.getStatus() });
+ process.exit(EXIT_CODES.OK);
+ });
+ };
+ process.once('SIGTERM', () => shutdown('SIGTERM'));
+ process.once('SIGINT', () => shutdown('SIGINT'));
+ return null;
+ }
+
+ stdout.write(`${parsed.flags.json ? JSON.stringify(outcome.result, null, 2) : outcome.text}\n`);
+ return outcome.exitCode;
+}
+
+module.exports = {
+ EXIT_CODES,
+ UsageError,
+ main,
+ parseCommandLine
+};
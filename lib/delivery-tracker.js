@@ -0,0 +1,176 @@
+const { compareAgainstTarget } = require('./at-commands');
+const { logger } = require('./logger');
+
+// bee_commands.state values as reported by the autocrud endpoint
+const COMMAND_STATES = {
+ 0: 'pending',
+ 1: 'sent',
+ 2: 'acknowledged',
+ 3: 'failed',
+ 4: 'expired'
+};
+
+const TERMINAL_STATES = ['acknowledged', 'failed', 'expired'];
+
+// The autocrud endpoint has no cancel call: a pending command is withdrawn by PATCHing its row
+// to expired, the terminal state the platform gives commands the device never fetched. A device
+// only picks up pending rows, so an expired one is never delivered.
+const CANCEL_STATE = 4;
+
+// Allows for clock drift between us and the API when matching created_date to our send time
+const CREATED_DATE_SKEW_SECONDS = 120;
+
+// Resolves after ms, or as soon as the (optional) AbortSignal aborts, clearing the timer
+function abortableDelay(ms, signal) {
+ return new Promise(resolve => {
+ if (signal && signal.aborted) return resolve();
+ const done = () => {
+ clearTimeout(timer);
+ if (signal) signal.removeEventListener('abort', done);
+ resolve();
+ };
+ const timer = setTimeout(done, ms);
+ if (signal) signal.addEventListener('abort', done, { once: true });
+ });
+}
+
+class DeliveryTracker {
+ constructor(fetchCommands, decodeCommand, options = {}) {
+ this.fetchCommands = fetchCommands;
+ this.decodeCommand = decodeCommand;
+ this.pollIntervalMs = (options.pollIntervalSeconds || 60) * 1000;
+ this.timeoutMs = (options.timeoutMinutes || 15) * 60 * 1000;
+ this.now = options.now || (() => new Date());
+ this.delay = options.delay || abortableDelay;
+ // Aborting ends tracking after the current poll; delay(ms, signal) should resolve on abort
+ this.signal = options.signal || null;
+ this.log = options.logger || logger;
+ this.deliveries = {};
+ }
+
+ // Starts tracking every command the send step reported as queued
+ track(sendResults) {
+ sendResults
+ .filter(result => result.status === 'Success')
+ .forEach(result => {
+ const queuedAt = result.queuedAt || this.now();
+ this.deliveries[result.imei] = {
+ imei: String(result.imei),
+ command: result.command,
+ queuedAt: queuedAt,
+ commandId: null,
+ state: 'pending',
+ transitions: [{state: 'pending', at: queuedAt}],
+ timeToDeliverySeconds: null
+ };
+ });
+ }
+
+ pendingImeis() {
+ return Object.keys(this.deliveries).filter(imei => !TERMINAL_STATES.includes(this.deliveries[imei].state));
+ }
+
+ matchesCommand(row, command) {
+ const decoded = this.decodeCommand(row.msg);
+ if (!decoded) return false;
+ return decoded === command || compareAgainstTarget([decoded], command).reachesTarget;
+ }
+
+ async poll() {
+ const imeis = this.pendingImeis();
+ if (imeis.length === 0) return;
+
+ const earliest = Math.min(...imeis.map(imei => this.deliveries[imei].queuedAt.getTime()));
+ const sinceEpoch = Math.floor(earliest / 1000) - CREATED_DATE_SKEW_SECONDS;
+ const rows = await this.fetchCommands(imeis, sinceEpoch, Math.floor(this.now().getTime() / 1000));
+ const observedAt = this.now();
+
+ imeis.forEach(imei => {
+ const delivery = this.deliveries[imei];
+ const queuedEpoch = Math.floor(delivery.queuedAt.getTime() / 1000) - CREATED_DATE_SKEW_SECONDS;
+ const candidates = rows
+ .filter(row => String(row.imei) === String(imei) && row.created_date >= queuedEpoch)
+ .filter(row => (delivery.commandId !== null ? row.id === delivery.commandId : this.matchesCommand(row, delivery.command)))
+ .sort((a, b) => b.created_date - a.created_date);
+
+ const row = candidates[0];
+ if (!row) return;
+
+ if (delivery.commandId === null && row.id !== undefined) {
+ delivery.commandId = row.id;
+ }
+ const state = COMMAND_STATES[row.state] || `unknown (${row.state})`;
+ if (state === delivery.state) return;
+
+ const at = row.updated_date ? new Date(row.updated_date * 1000) : observedAt;
+ delivery.state = state;
+ delivery.transitions.push({state, at});
+
+ if (state === 'acknowledged') {
+ delivery.timeToDeliverySeconds = Math.max(0, Math.round((at - delivery.queuedAt) / 1000));
+ }
+ });
+ }
+
+ stopped() {
+ return Boolean(this.signal && this.signal.aborted);
+ }
+
+ // Polls until every tracked command reaches a terminal state, the timeout runs out or the
+ // signal aborts
+ async run() {
+ const deadline = this.now().getTime() + this.timeoutMs;
+
+ while (this.pendingImeis().length > 0 && !this.stopped()) {
+ try {
+ await this.poll();
+ } catch (error) {
+ this.log.error('Delivery tracking poll failed', { error });
+ }
+
+ if (this.pendingImeis().length === 0 || this.stopped() || this.now().getTime() + this.pollIntervalMs > deadline) {
+ break;
+ }
+ await this.delay(this.pollIntervalMs, this.signal);
+ }
+
+ const unresolved = this.pendingImeis().length;
+ if (unresolved > 0) {
+ const reason = this.stopped() ? ' (stop requested)' : '';
+ this.log.warn(`Delivery tracking stopped with ${unresolved} command(s) not yet acknowledged${reason}`);
+ }
+
+ return this.getDeliveries();
+ }
+
+ getDeliveries() {
+ return this.deliveries;
+ }
+
+ getStats() {
+ const deliveries = Object.values(this.deliveries);
+ const times = deliveries
+ .map(delivery => delivery.timeToDeliverySeconds)
+ .filter(seconds => seconds !== null)
+ .sort((a, b) => a - b);
+
+ const stats = {tracked: deliveries.length, averageSecondsToDelivery: null, medianSecondsToDelivery: null};
+ deliveries.forEach(delivery => {
+ stats[delivery.state] = (stats[delivery.state] || 0) + 1;
+ });
+
+ if (times.length > 0) {
+ stats.averageSecondsToDelivery = Math.round(times.reduce((sum, seconds) => sum + seconds, 0) / times.length);
+ stats.medianSecondsToDelivery = times[Math.floor(times.length / 2)];
+ }
+
+ return stats;
+ }
+}
+
+module.exports = {
+ CANCEL_STATE,
+ COMMAND_STATES,
+ DeliveryTracker,
+ abortableDelay
+};
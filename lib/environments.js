@@ -0,0 +1,131 @@
+const fs = require('fs');
+
+// The host the automation has always run against
+const STAGING_BASE_URL = 'https://view-staging.decklar.com';
+
+// The key lib/mock-decklar-server.js accepts unless it is given another
+const MOCK_API_KEY = 'mock-api-key';
+
+// Named Decklar environments. Each says where the API lives and where its key comes from:
+// apiKeyEnv names an environment variable, apiKeyFile a file holding the key, and apiKey a
+// literal (only sensible for the local mock). config/accounts.json may override or add entries.
+// Production has no built-in host: it comes from environments.production.baseUrl in the config
+// or, failing that, the variable named by baseUrlEnv.
+const DEFAULT_ENVIRONMENTS = {
+ staging: {
+ baseUrl: STAGING_BASE_URL,
+ apiKeyEnv: 'API_KEY',
+ requiresConfirmation: false
+ },
+ production: {
+ baseUrlEnv: 'DECKLAR_PRODUCTION_BASE_URL',
+ apiKeyEnv: 'DECKLAR_PRODUCTION_API_KEY',
+ requiresConfirmation: true
+ },
+ mock: {
+ baseUrl: 'http://127.0.0.1:4010',
+ apiKey: MOCK_API_KEY,
+ requiresConfirmation: false
+ }
+};
+
+const DEFAULT_ENVIRONMENT = 'staging';
+
+const CONFIRM_FLAG = '--confirm-production';
+
+class EnvironmentError extends Error {
+ constructor(environment, message) {
+ super(`Environment "${environment}": ${message}`);
+ this.name = 'EnvironmentError';
+ this.environment = environment;
+ }
+}
+
+function readApiKey(name, definition, env) {
+ if (definition.apiKeyEnv) {
+ const value = env[definition.apiKeyEnv];
+ if (!value || !value.trim()) {
+ throw new EnvironmentError(name, `no API key - set the ${definition.apiKeyEnv} environment variable`);
+ }
+ return value.trim();
+ }
+
+ if (definition.apiKeyFile) {
+ let value;
+ try {
+ value = fs.readFileSync(definition.apiKeyFile, 'utf8').trim();
+ } catch (error) {
+ throw new EnvironmentError(name, `cannot read API key file ${definition.apiKeyFile}: ${error.message}`);
+ }
+ if (!value) {
+ throw new EnvironmentError(name, `API key file ${definition.apiKeyFile} is empty`);
+ }
+ return value;
+ }
+
+ if (definition.apiKey) {
+ return definition.apiKey;
+ }
+
+ throw new EnvironmentError(name, 'no credentials source configured (apiKeyEnv, apiKeyFile or apiKey)');
+}
+
+function readBaseUrl(name, definition, env) {
+ const value = definition.baseUrl || (definition.baseUrlEnv && env[definition.baseUrlEnv]);
+ if (!value || !value.trim()) {
+ const fromEnv = definition.baseUrlEnv ? ` or the ${definition.baseUrlEnv} environment variable` : '';
+ throw new EnvironmentError(name, `no API host - set environments.${name}.baseUrl in the config${fromEnv}`);
+ }
+ return value.trim().replace(/\/+$/, '');
+}
+
+const CREDENTIAL_FIELDS = ['apiKeyEnv', 'apiKeyFile', 'apiKey'];
+
+// A configured entry replaces the built-in credentials source only when it names one itself
+function mergeDefinition(builtIn, override) {
+ if (!builtIn) return override;
+ if (!override) return builtIn;
+
+ const merged = {...builtIn, ...override};
+ if (CREDENTIAL_FIELDS.some(field => override[field] !== undefined)) {
+ CREDENTIAL_FIELDS.filter(field => override[field] === undefined).forEach(field => delete merged[field]);
+ }
+ return merged;
+}
+
+// Picks the environment and loads its credentials, throwing before any request is made when
+// the key is missing or a confirmation-only environment was not confirmed
+function resolveEnvironment(name, environments = {}, options = {}) {
+ const env = options.env || process.env;
+ const definition = mergeDefinition(DEFAULT_ENVIRONMENTS[name], environments[name]);
+
+ if (!definition) {
+ const available = Object.keys({...DEFAULT_ENVIRONMENTS, ...environments});
+ throw new EnvironmentError(name, `unknown environment (available: ${available.join(', ')})`);
+ }
+
+ const baseUrl = readBaseUrl(name, definition, env);
+
+ // Production always needs the flag, whatever the config says
+ const requiresConfirmation = name === 'production' || Boolean(definition.requiresConfirmation);
+ if (requiresConfirmation && !options.confirmed) {
+ throw new EnvironmentError(name, `points at ${baseUrl}; pass ${CONFIRM_FLAG} to run against it`);
+ }
+
+ return {
+ name,
+ baseUrl,
+ apiKey: readApiKey(name, definition, env),
+ requiresConfirmation
+ };
+}
+
+module.exports = {
+ CONFIRM_FLAG,
+ DEFAULT_ENVIRONMENT,
+ DEFAULT_ENVIRONMENTS,
+ EnvironmentError,
+ MOCK_API_KEY,
+ STAGING_BASE_URL,
+ resolveEnvironment
+};
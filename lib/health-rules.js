@@ -0,0 +1,247 @@
+// Per-account device health rules. Every rule has a type (how the device is checked), a
+// severity and optionally a remediation command that fixes what it found. The profile's
+// expectedSettings become "setting" rules remediated by the profile command; everything else
+// comes from the account's healthRules list. New checks are added with registerRuleType.
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const HEALTHY_STATUS = 'Normal';
+
+// Used when an account does not list its own healthRules: none, so an unchanged profile is
+// checked against its expectedSettings only, exactly as before health rules existed. no_comm,
+// battery and the other types are opt-in through the account's healthRules, for example:
+//
+//   "healthRules": [
+//     { "id": "no_comm", "type": "no_comm", "severity": "critical" },
+//     { "id": "battery_low", "type": "battery", "states": ["Low", "Drained"], "severity": "warning" },
+//     { "id": "silent_12h", "type": "silent", "hours": 12, "severity": "warning" }
+//   ]
+//
+// Opting in changes the account's report status and send set, so do it deliberately.
+const DEFAULT_HEALTH_RULES = [];
+
+class RuleError extends Error {
+ constructor(field, message) {
+ super(message);
+ this.name = 'RuleError';
+ this.field = field;
+ }
+}
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function stringList(rule, field, defaults) {
+ if (rule[field] === undefined) return defaults;
+ if (!Array.isArray(rule[field]) || rule[field].length === 0 || !rule[field].every(isNonEmptyString)) {
+ throw new RuleError(field, 'must be a non-empty list of strings');
+ }
+ return rule[field];
+}
+
+// Compares dotted version strings numerically, so 1.10 is newer than 1.9
+function compareVersions(a, b) {
+ const left = String(a).split(/[.-]/).map(part => parseInt(part, 10) || 0);
+ const right = String(b).split(/[.-]/).map(part => parseInt(part, 10) || 0);
+ for (let i = 0; i < Math.max(left.length, right.length); i++) {
+ const diff = (left[i] || 0) - (right[i] || 0);
+ if (diff !== 0) return diff;
+ }
+ return 0;
+}
+
+const display = (value) => (value === undefined || value === null || value === '' ? 'N/A' : value);
+
+// Each type turns the rule's own fields into params and checks a device against them,
+// returning a message when the rule fires and null otherwise
+const RULE_TYPES = {
+ setting: {
+ params(rule) {
+ if (!isNonEmptyString(rule.field)) throw new RuleError('field', 'must name a device field');
+ if (!['string', 'number', 'boolean'].includes(typeof rule.expected)) {
+ throw new RuleError('expected', 'must be a string, number or boolean');
+ }
+ return {field: rule.field, expected: rule.expected};
+ },
+ evaluate(device, {field, expected}) {
+ return device[field] === expected ? null : `${field}: ${display(device[field])} (expected ${expected})`;
+ }
+ },
+
+ no_comm: {
+ params(rule) {
+ return {states: stringList(rule, 'states', ['NONTWK', 'NOCOMM'])};
+ },
+ evaluate(device, {states}) {
+ return states.includes(device.communication) ? `communication: ${device.communication}` : null;
+ }
+ },
+
+ battery: {
+ params(rule) {
+ return {states: stringList(rule, 'states', ['Low', 'Drained'])};
+ },
+ evaluate(device, {states}) {
+ return states.includes(device.battery_state) ? `battery_state: ${device.battery_state}` : null;
+ }
+ },
+
+ silent: {
+ params(rule) {
+ if (typeof rule.hours !== 'number' || !isFinite(rule.hours) || rule.hours <= 0) {
+ throw new RuleError('hours', 'must be a positive number of hours');
+ }
+ return {hours: rule.hours};
+ },
+ evaluate(device, {hours}, context) {
+ if (context.hoursSinceLastReport === null) return 'never reported';
+ return context.hoursSinceLastReport > hours
+ ? `silent for ${context.hoursSinceLastReport.toFixed(1)}h (limit ${hours}h)`
+ : null;
+ }
+ },
+
+ firmware: {
+ params(rule) {
+ const field = rule.field === undefined ? 'firmware_version' : rule.field;
+ if (!isNonEmptyString(field)) throw new RuleError('field', 'must name a device field');
+ if (rule.minimum === undefined && rule.allowed === undefined) {
+ throw new RuleError('minimum', 'set minimum or allowed');
+ }
+ if (rule.minimum !== undefined && !isNonEmptyString(rule.minimum)) {
+ throw new RuleError('minimum', 'must be a version string');
+ }
+ return {field, minimum: rule.minimum, allowed: stringList(rule, 'allowed', null)};
+ },
+ evaluate(device, {field, minimum, allowed}) {
+ const version = device[field];
+ if (version === undefined || version === null || version === '') return `${field}: unknown`;
+ if (allowed && !allowed.includes(String(version))) return `${field}: ${version} (allowed ${allowed.join(', ')})`;
+ if (minimum && compareVersions(version, minimum) < 0) return `${field}: ${version} (minimum ${minimum})`;
+ return null;
+ }
+ }
+};
+
+const RULE_FIELDS = ['id', 'type', 'severity', 'remediationCommand', 'enabled'];
+
+function registerRuleType(type, definition) {
+ if (typeof definition.params !== 'function' || typeof definition.evaluate !== 'function') {
+ throw new Error(`Rule type ${type} needs params(rule) and evaluate(device, params, context)`);
+ }
+ RULE_TYPES[type] = definition;
+}
+
+// Validates one configured rule; throws RuleError naming the offending field
+function normalizeRule(rule) {
+ if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+ throw new RuleError(null, 'must be an object');
+ }
+ const definition = RULE_TYPES[rule.type];
+ if (!definition) {
+ throw new RuleError('type', `unknown rule type "${rule.type}" (available: ${Object.keys(RULE_TYPES).join(', ')})`);
+ }
+ const severity = rule.severity === undefined ? 'warning' : rule.severity;
+ if (!SEVERITIES.includes(severity)) {
+ throw new RuleError('severity', `must be one of ${SEVERITIES.join(', ')}`);
+ }
+ if (rule.remediationCommand !== undefined && !isNonEmptyString(rule.remediationCommand)) {
+ throw new RuleError('remediationCommand', 'must be a non-empty command string');
+ }
+ if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+ throw new RuleError('enabled', 'must be true or false');
+ }
+ const id = rule.id === undefined ? rule.type : rule.id;
+ if (!isNonEmptyString(id)) {
+ throw new RuleError('id', 'must be a non-empty string');
+ }
+
+ // Anything that is not a common field belongs to the rule type
+ const typeFields = {};
+ Object.keys(rule).filter(key => !RULE_FIELDS.includes(key)).forEach(key => {
+ typeFields[key] = rule[key];
+ });
+
+ return {
+ id,
+ type: rule.type,
+ severity,
+ remediationCommand: rule.remediationCommand ? rule.remediationCommand.trim() : null,
+ enabled: rule.enabled !== false,
+ params: definition.params(typeFields)
+ };
+}
+
+// The profile's expected settings as rules, so they are reported like any other finding
+function settingRules(expectedSettings, profileCommand) {
+ return Object.keys(expectedSettings).map(field => normalizeRule({
+ id: `${field}_mismatch`,
+ type: 'setting',
+ field,
+ expected: expectedSettings[field],
+ severity: 'warning',
+ remediationCommand: profileCommand
+ }));
+}
+
+// Runs every enabled rule and returns the ones that fired, most severe first
+function evaluateRules(device, rules, context) {
+ return rules
+ .filter(rule => rule.enabled)
+ .map(rule => {
+ const message = RULE_TYPES[rule.type].evaluate(device, rule.params, context);
+ return message === null ? null : {
+ rule: rule.id,
+ type: rule.type,
+ severity: rule.severity,
+ message,
+ remediationCommand: rule.remediationCommand
+ };
+ })
+ .filter(Boolean)
+ .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+function highestSeverity(findings) {
+ return findings.length > 0 ? findings[0].severity : null;
+}
+
+function describeFindings(findings) {
+ return findings.length > 0
+ ? findings.map(finding => `${finding.rule} [${finding.severity}]`).join('; ')
+ : HEALTHY_STATUS;
+}
+
+// One command covering every remediation the findings ask for. A single distinct command is
+// returned unchanged; several are merged directive by directive, dropping repeats.
+function remediationFor(findings) {
+ const commands = [];
+ findings.forEach(finding => {
+ if (finding.remediationCommand && !commands.includes(finding.remediationCommand)) {
+ commands.push(finding.remediationCommand);
+ }
+ });
+ if (commands.length <= 1) return commands[0] || null;
+
+ const directives = [];
+ commands.forEach(command => {
+ command.split(/\s*[&;]\s*/).filter(Boolean).forEach(directive => {
+ if (!directives.includes(directive)) directives.push(directive);
+ });
+ });
+ return directives.join(' & ');
+}
+
+module.exports = {
+ DEFAULT_HEALTH_RULES,
+ HEALTHY_STATUS,
+ RuleError,
+ SEVERITIES,
+ compareVersions,
+ describeFindings,
+ evaluateRules,
+ highestSeverity,
+ normalizeRule,
+ registerRuleType,
+ remediationFor,
+ settingRules
+};
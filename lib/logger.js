@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+// Leveled logger writing one JSON object per line. Context fields (runId, account, imei, phase)
+// are attached with child(); credentials are redacted from every entry before it is written.
+// The level and console format come from config (logging.level/format) or, overriding it, the
+// LOG_LEVEL and LOG_FORMAT environment variables.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['json', 'text'];
+
+const LOGGING_DEFAULTS = {level: 'info', format: 'json', runLogs: true};
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged, whatever object they turn up in
+const SECRET_FIELDS = /^(apikey|api_key|x-api-key|authorization|password|pass|secret|token)$/i;
+
+// Errors carry their request config (and with it the apikey header); keep only what explains them
+function serializeError(error) {
+ return {
+ name: error.name,
+ message: error.message,
+ ...(error.code ? { code: error.code } : {}),
+ ...(error.response ? { status: error.response.status } : {})
+ };
+}
+
+function redact(value, secrets, seen = new WeakSet()) {
+ if (typeof value === 'string') {
+ return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+ }
+ if (value instanceof Error) return redact(serializeError(value), secrets, seen);
+ if (value instanceof Date) return value.toISOString();
+ if (value === null || typeof value !== 'object') return value;
+ if (seen.has(value)) return '[Circular]';
+ seen.add(value);
+ if (Array.isArray(value)) return value.map(item => redact(item, secrets, seen));
+
+ const result = {};
+ Object.keys(value).forEach(key => {
+ result[key] = SECRET_FIELDS.test(key) ? REDACTED : redact(value[key], secrets, seen);
+ });
+ return result;
+}
+
+// Console output keeps the existing stream split, so --json's redirect of console.log still applies
+function consoleSink(format) {
+ return (entry) => {
+ const write = entry.level === 'error' ? console.error : entry.level === 'warn' ? console.warn : console.log;
+ if (format === 'text') {
+ const { time, level, message, phase, ...fields } = entry;
+ const context = Object.keys(fields).map(key => `${key}=${typeof fields[key] === 'object' ? JSON.stringify(fields[key]) : fields[key]}`);
+ write(`${time} ${level.toUpperCase()}${phase ? ` [${phase}]` : ''} ${message}${context.length > 0 ? ` ${context.join(' ')}` : ''}`);
+ } else {
+ write(JSON.stringify(entry));
+ }
+ };
+}
+
+// Appends JSON lines to a file; moveTo() relocates it (the run log follows its report)
+class FileSink {
+ constructor(filePath) {
+ this.filePath = filePath;
+ this.write = this.write.bind(this);
+ }
+
+ write(entry) {
+ fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+ fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+ }
+
+ moveTo(filePath) {
+ if (filePath === this.filePath) return;
+ fs.mkdirSync(path.dirname(filePath), { recursive: true });
+ if (fs.existsSync(this.filePath)) {
+ fs.renameSync(this.filePath, filePath);
+ }
+ this.filePath = filePath;
+ }
+}
+
+class Logger {
+ constructor(options = {}) {
+ this.level = options.level || LOGGING_DEFAULTS.level;
+ this.fields = options.fields || {};
+ this.sinks = options.sinks || [consoleSink(options.format || LOGGING_DEFAULTS.format)];
+ this.secrets = (options.secrets || []).filter(Boolean);
+ this.now = options.now || (() => new Date());
+ }
+
+ // A logger sharing this one's sinks with extra context fields and optionally extra sinks
+ child(fields = {}, options = {}) {
+ return new Logger({
+ level: this.level,
+ fields: {...this.fields, ...fields},
+ sinks: this.sinks.concat(options.sinks || []),
+ secrets: this.secrets.concat(options.secrets || []),
+ now: this.now
+ });
+ }
+
+ isEnabled(level) {
+ return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+ }
+
+ log(level, message, fields = {}) {
+ if (!this.isEnabled(level)) return;
+ const entry = redact({time: this.now().toISOString(), level, message, ...this.fields, ...fields}, this.secrets);
+ this.sinks.forEach(sink => {
+ try {
+ sink(entry);
+ } catch (error) {
+ // A broken sink must not take the run down with it
+ console.error(`Log sink failed: ${error.message}`);
+ }
+ });
+ }
+
+ debug(message, fields) {
+ this.log('debug', message, fields);
+ }
+
+ info(message, fields) {
+ this.log('info', message, fields);
+ }
+
+ warn(message, fields) {
+ this.log('warn', message, fields);
+ }
+
+ error(message, fields) {
+ this.log('error', message, fields);
+ }
+}
+
+// LOG_LEVEL and LOG_FORMAT beat the config so a single run can be made verbose
+function resolveLogging(logging = {}, env = process.env) {
+ const resolved = {...LOGGING_DEFAULTS, ...logging};
+ if (env.LOG_LEVEL) resolved.level = env.LOG_LEVEL.toLowerCase();
+ if (env.LOG_FORMAT) resolved.format = env.LOG_FORMAT.toLowerCase();
+ if (!LOG_LEVELS.includes(resolved.level)) resolved.level = LOGGING_DEFAULTS.level;
+ if (!LOG_FORMATS.includes(resolved.format)) resolved.format = LOGGING_DEFAULTS.format;
+ return resolved;
+}
+
+function createLogger(logging = {}, options = {}) {
+ const resolved = resolveLogging(logging);
+ return new Logger({level: resolved.level, format: resolved.format, ...options});
+}
+
+// For modules without a logger of their own
+const logger = createLogger();
+
+module.exports = {
+ FileSink,
+ LOGGING_DEFAULTS,
+ LOG_FORMATS,
+ LOG_LEVELS,
+ Logger,
+ REDACTED,
+ createLogger,
+ logger,
+ redact,
+ resolveLogging
+};
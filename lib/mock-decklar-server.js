@@ -0,0 +1,338 @@
+// Local stand-in for the Decklar API: /services/v2/bees, the bee_commands autocrud endpoint
+// (RBQL filters, sorting and pagination) and /services/command/send_commands. Fleets and
+// failures are scriptable from JS or, when run standalone, through the /__mock endpoints.
+
+const http = require('http');
+const { URL } = require('url');
+const { encodeFrame } = require('./bsflex-frame');
+const { parseAtCommand } = require('./at-commands');
+
+const { MOCK_API_KEY: DEFAULT_API_KEY } = require('./environments');
+
+function epochNow() {
+ return Math.floor(Date.now() / 1000);
+}
+
+function readBody(req) {
+ return new Promise((resolve, reject) => {
+ let body = '';
+ req.on('data', chunk => {
+ body += chunk;
+ });
+ req.on('end', () => resolve(body));
+ req.on('error', reject);
+ });
+}
+
+// Supports the subset of the $filter syntax the automation sends:
+// field eq 'value' joined by "and", with optional parenthesised "or" groups
+function matchesFilter(device, filter) {
+ if (!filter) return true;
+
+ const clauses = [];
+ let depth = 0;
+ let current = '';
+ filter.split(/(\s+and\s+|\(|\))/i).forEach(part => {
+ if (part === '(') depth++;
+ if (part === ')') depth--;
+ if (/^\s+and\s+$/i.test(part) && depth === 0) {
+ clauses.push(current);
+ current = '';
+ } else {
+ current += part;
+ }
+ });
+ clauses.push(current);
+
+ return clauses.every(clause => clause
+ .replace(/^\s*\(|\)\s*$/g, '')
+ .split(/\s+or\s+/i)
+ .some(condition => {
+ const match = condition.trim().match(/^(\w+)\s+eq\s+'([^']*)'$/);
+ return !match || String(device[match[1]]) === match[2];
+ }));
+}
+
+function matchesRbqlFilter(row, filter) {
+ const value = row[filter.name];
+ if (filter.isNull === false) return value !== null && value !== undefined;
+ if (filter.isNull === true) return value === null || value === undefined;
+
+ switch (filter.op) {
+ case 'in':
+ return filter.values.map(String).includes(String(value));
+ case 'ne':
+ return filter.values ? !filter.values.map(String).includes(String(value)) : String(value) !== String(filter.value);
+ case 'eq':
+ return String(value) === String(filter.value);
+ case 'gte':
+ return value >= filter.value;
+ case 'lte':
+ return value <= filter.value;
+ case 'gt':
+ return value > filter.value;
+ case 'lt':
+ return value < filter.value;
+ default:
+ return true;
+ }
+}
+
+class MockDecklarServer {
+ constructor(options = {}) {
+ this.apiKey = options.apiKey || DEFAULT_API_KEY;
+ this.autoAdvance = Boolean(options.autoAdvance);
+ this.devices = [];
+ this.commands = [];
+ this.failures = [];
+ this.requests = [];
+ this.nextCommandId = 1;
+ this.server = http.createServer((req, res) => {
+ this.handle(req, res).catch(error => {
+ this.respond(res, 500, {error: error.message});
+ });
+ });
+ }
+
+ listen(port = 0) {
+ return new Promise(resolve => {
+ this.server.listen(port, '127.0.0.1', () => {
+ this.port = this.server.address().port;
+ this.baseUrl = `http://127.0.0.1:${this.port}`;
+ resolve(this.baseUrl);
+ });
+ });
+ }
+
+ close() {
+ return new Promise(resolve => {
+ if (this.server.closeAllConnections) this.server.closeAllConnections();
+ this.server.close(() => resolve());
+ });
+ }
+
+ setFleet(devices) {
+ this.devices = devices.map(device => ({
+ active: '1',
+ device_type: 'BSFlex',
+ last_message_timestamp: epochNow(),
+ ...device,
+ imei: String(device.imei)
+ }));
+ }
+
+ // Adds a bee_commands row; pass command for a BSFlex frame, or msg for a raw message
+ addCommand({imei, command, msg, state = 0, createdAgoSeconds = 60}) {
+ const created = epochNow() - createdAgoSeconds;
+ const row = {
+ id: this.nextCommandId++,
+ imei: String(imei),
+ msg: msg !== undefined ? msg : encodeFrame({imei: String(imei), sequence: this.nextCommandId, command}),
+ state,
+ created_date: created,
+ updated_date: created
+ };
+ this.commands.push(row);
+ return row;
+ }
+
+ // Queues a failure for the next matching request(s):
+ // {path, method, status, body, headers, times, delayMs, afterHandling}
+ // afterHandling processes the request normally before failing, like a timeout after the server accepted it.
+ injectFailure(failure) {
+ this.failures.push({method: null, times: 1, status: 500, body: {error: 'Injected failure'}, headers: {}, ...failure});
+ }
+
+ takeFailure(method, pathname) {
+ const failure = this.failures.find(candidate =>
+ pathname.endsWith(candidate.path) && (!candidate.method || candidate.method === method) && candidate.times > 0);
+ if (!failure) return null;
+ failure.times--;
+ if (failure.times === 0) {
+ this.failures.splice(this.failures.indexOf(failure), 1);
+ }
+ return failure;
+ }
+
+ // Moves commands one step along pending -> sent -> acknowledged; acknowledged TIMEGAP
+ // commands update the device's ping_frequency like real hardware would
+ advanceCommands() {
+ const now = epochNow();
+ this.commands.forEach(row => {
+ if (row.state !== 0 && row.state !== 1) return;
+ row.state += 1;
+ row.updated_date = now;
+ if (row.state === 2 && row.command) {
+ this.applyCommand(row.imei, row.command);
+ }
+ });
+ }
+
+ applyCommand(imei, command) {
+ const device = this.devices.find(candidate => candidate.imei === String(imei));
+ if (!device) return;
+ parseAtCommand(command).forEach(directive => {
+ if (directive.name === 'TIMEGAP' && typeof directive.params[1] === 'number') {
+ device.ping_frequency = directive.params[1];
+ }
+ });
+ }
+
+ respond(res, status, body, headers = {}) {
+ if (res.headersSent) return;
+ res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+ res.end(JSON.stringify(body));
+ }
+
+ async handle(req, res) {
+ const url = new URL(req.url, 'http://localhost');
+ const rawBody = await readBody(req);
+ this.requests.push({method: req.method, path: url.pathname, query: url.search, body: rawBody});
+
+ if (url.pathname.startsWith('/__mock/')) {
+ return this.handleAdmin(req, res, url, rawBody);
+ }
+
+ if (req.headers.apikey !== this.apiKey) {
+ return this.respond(res, 401, {error: 'Invalid API key'});
+ }
+
+ const failure = this.takeFailure(req.method, url.pathname);
+ if (failure && !failure.afterHandling) {
+ if (failure.delayMs) await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+ return this.respond(res, failure.status, failure.body, failure.headers);
+ }
+
+ let status = 404;
+ let body = {error: `No mock route for ${req.method} ${url.pathname}`};
+
+ if (req.method === 'GET' && url.pathname === '/services/v2/bees') {
+ [status, body] = this.listBees(url);
+ } else if (req.method === 'GET' && url.pathname === '/services/v2/autocrud/bee_commands') {
+ [status, body] = this.listCommands(url);
+ } else if (['PUT', 'PATCH'].includes(req.method) && url.pathname.startsWith('/services/v2/autocrud/bee_commands/')) {
+ [status, body] = this.updateCommand(url.pathname.split('/').pop(), rawBody);
+ } else if (req.method === 'POST' && url.pathname === '/services/command/send_commands') {
+ [status, body] = this.sendCommands(rawBody);
+ }
+
+ if (failure) {
+ if (failure.delayMs) await new Promise(resolve => setTimeout(resolve, failure.delayMs));
+ return this.respond(res, failure.status, failure.body, failure.headers);
+ }
+ return this.respond(res, status, body);
+ }
+
+ listBees(url) {
+ const filter = url.searchParams.get('$filter');
+ const offset = Number(url.searchParams.get('$offset') || 0);
+ const size = Number(url.searchParams.get('$size') || 1000);
+ const matching = this.devices.filter(device => matchesFilter(device, filter));
+
+ const count = predicate => ({doc_count: matching.filter(predicate).length});
+ const buckets = {};
+ matching.forEach(device => {
+ const key = device.geohash ? device.geohash[0] : 's';
+ buckets[key] = (buckets[key] || 0) + 1;
+ });
+
+ return [200, {
+ total: matching.length,
+ data: matching.slice(offset, offset + size),
+ aggregations: {
+ zoom1: {buckets: Object.keys(buckets).map(key => ({key, doc_count: buckets[key]}))},
+ on_asset: count(device => device.asset_uuid && device.asset_name !== 'unallocated'),
+ on_shipment: count(device => device.shipment_name && device.shipment_name !== 'unallocated'),
+ nocomm: count(device => ['NONTWK', 'NOCOMM'].includes(device.communication)),
+ battery_status_low: count(device => ['Low', 'Drained'].includes(device.battery_state))
+ }
+ }];
+ }
+
+ listCommands(url) {
+ if (this.autoAdvance) {
+ this.advanceCommands();
+ }
+
+ const rbql = JSON.parse(url.searchParams.get('rbql') || '{}');
+ const filters = rbql.filters || [];
+ let rows = this.commands.filter(row => filters.every(filter => matchesRbqlFilter(row, filter)));
+
+ (rbql.sort || []).slice().reverse().forEach(({name, order}) => {
+ rows = rows.slice().sort((a, b) => (order === 'desc' ? b[name] - a[name] : a[name] - b[name]));
+ });
+
+ const pageSize = (rbql.pagination && rbql.pagination.page_size) || 100;
+ const pageNum = (rbql.pagination && rbql.pagination.page_num) || 1;
+ const page = rows.slice((pageNum - 1) * pageSize, pageNum * pageSize).map(row => {
+ const {command, ...visible} = row;
+ return visible;
+ });
+
+ return [200, {total: rows.length, data: page}];
+ }
+
+ updateCommand(id, rawBody) {
+ const row = this.commands.find(candidate => String(candidate.id) === String(id));
+ if (!row) return [404, {error: `No bee_command ${id}`}];
+ const update = rawBody ? JSON.parse(rawBody) : {};
+ if (update.state !== undefined) {
+ row.state = Number(update.state);
+ row.updated_date = epochNow();
+ }
+ return [200, {data: row}];
+ }
+
+ sendCommands(rawBody) {
+ const envelope = JSON.parse(rawBody || '{}');
+ const request = typeof envelope.data === 'string' ? JSON.parse(envelope.data) : envelope.data || {};
+ const results = (request.imeis || []).map(imei => {
+ const device = this.devices.find(candidate => candidate.imei === String(imei));
+ if (!device) {
+ return {imei: String(imei), status: 'failed', message: 'Device not found'};
+ }
+ if (device.requiresPassword && !request.password) {
+ return {imei: String(imei), status: 'failed', message: 'Password required'};
+ }
+ (request.commands || []).forEach(command => {
+ const row = this.addCommand({imei, command, createdAgoSeconds: 0});
+ row.command = command;
+ });
+ return {imei: String(imei), status: 'queued'};
+ });
+ return [200, {results}];
+ }
+
+ async handleAdmin(req, res, url, rawBody) {
+ const body = rawBody ? JSON.parse(rawBody) : {};
+ if (req.method === 'POST' && url.pathname === '/__mock/fleet') {
+ this.setFleet(body.devices || []);
+ } else if (req.method === 'POST' && url.pathname === '/__mock/commands') {
+ (body.commands || []).forEach(command => this.addCommand(command));
+ } else if (req.method === 'POST' && url.pathname === '/__mock/failures') {
+ this.injectFailure(body);
+ } else if (req.method === 'POST' && url.pathname === '/__mock/advance') {
+ this.advanceCommands();
+ } else if (req.method === 'POST' && url.pathname === '/__mock/reset') {
+ this.devices = [];
+ this.commands = [];
+ this.failures = [];
+ this.requests = [];
+ } else if (req.method !== 'GET' || url.pathname !== '/__mock/state') {
+ return this.respond(res, 404, {error: `No admin route for ${req.method} ${url.pathname}`});
+ }
+ return this.respond(res, 200, {devices: this.devices, commands: this.commands, failures: this.failures});
+ }
+}
+
+module.exports = {
+ DEFAULT_API_KEY,
+ MockDecklarServer
+};
+
+if (require.main === module) {
+ const server = new MockDecklarServer({autoAdvance: process.argv.includes('--auto-advance')});
+ server.listen(Number(process.env.MOCK_PORT || 4010)).then(baseUrl => {
+ console.log(`Mock Decklar API listening on ${baseUrl} (apikey: ${server.apiKey})`);
+ });
+}
@@ -0,0 +1,320 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Run summary notifiers. Each one gets the processAccount result and decides from its
+// thresholds (overridable per account) whether the run is worth an alert:
+//   always             - notify after every run
+//   onError            - the run failed (default on)
+//   onRolloutHalt      - a staged rollout halted (default on)
+//   deviationPercent   - more than this percentage of devices deviates
+//   deviationIncrease  - deviations grew by at least this many since the previous run
+//   commandsFailed     - at least this many sends were not accepted
+//   escalated          - at least this many devices were escalated
+const DEFAULT_THRESHOLDS = {
+ always: false,
+ onError: true,
+ onRolloutHalt: true,
+ deviationPercent: null,
+ deviationIncrease: null,
+ commandsFailed: null,
+ escalated: null
+};
+
+const BOOLEAN_THRESHOLDS = ['always', 'onError', 'onRolloutHalt'];
+
+class NotifierError extends Error {
+ constructor(field, message) {
+ super(message);
+ this.name = 'NotifierError';
+ this.field = field;
+ }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function normalizeThresholds(thresholds, field) {
+ if (thresholds === undefined) return {};
+ if (!isPlainObject(thresholds)) throw new NotifierError(field, 'must be an object');
+
+ Object.keys(thresholds).forEach(key => {
+ const value = thresholds[key];
+ if (!(key in DEFAULT_THRESHOLDS)) {
+ throw new NotifierError(`${field}.${key}`, `unknown threshold (allowed: ${Object.keys(DEFAULT_THRESHOLDS).join(', ')})`);
+ }
+ if (BOOLEAN_THRESHOLDS.includes(key) ? typeof value !== 'boolean' : (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+ throw new NotifierError(`${field}.${key}`, BOOLEAN_THRESHOLDS.includes(key) ? 'must be true or false' : 'must be zero or a positive number');
+ }
+ });
+ return {...thresholds};
+}
+
+// Why this run deserves an alert; an empty list means the notifier stays quiet
+function triggersFor(result, thresholds, previous = null) {
+ const triggers = [];
+ if (result.error) {
+ if (thresholds.onError) triggers.push(`Run failed: ${result.error}`);
+ return triggers;
+ }
+
+ if (thresholds.always) {
+ triggers.push('Run finished');
+ }
+
+ const percent = result.totalDevices > 0 ? result.deviations / result.totalDevices * 100 : 0;
+ if (thresholds.deviationPercent !== null && percent > thresholds.deviationPercent) {
+ triggers.push(`${percent.toFixed(1)}% of devices deviating (threshold ${thresholds.deviationPercent}%)`);
+ }
+ if (thresholds.deviationIncrease !== null && previous && typeof previous.deviations === 'number' &&
+ result.deviations - previous.deviations >= thresholds.deviationIncrease) {
+ triggers.push(`Deviations rose from ${previous.deviations} to ${result.deviations} since the previous run`);
+ }
+ if (thresholds.commandsFailed !== null && result.commandsFailed > 0 && result.commandsFailed >= thresholds.commandsFailed) {
+ triggers.push(`${result.commandsFailed} commands not accepted`);
+ }
+ if (thresholds.escalated !== null && result.escalated > 0 && result.escalated >= thresholds.escalated) {
+ triggers.push(`${result.escalated} devices escalated`);
+ }
+ if (thresholds.onRolloutHalt && result.rollout && result.rollout.halted) {
+ triggers.push(`Rollout halted after ${result.rollout.haltedAfter}`);
+ }
+ return triggers;
+}
+
+// Reads field from source, or from the environment variable named by its fieldEnv counterpart
+function readSecret(source, field, notifierName) {
+ const envField = `${field}Env`;
+ if (source[envField]) {
+ const value = process.env[source[envField]];
+ if (!isNonEmptyString(value)) {
+ throw new Error(`Notifier ${notifierName}: set the ${source[envField]} environment variable`);
+ }
+ return value.trim();
+ }
+ return source[field];
+}
+
+class Notifier {
+ constructor(definition, dependencies = {}) {
+ this.definition = definition;
+ this.name = definition.name;
+ this.httpClient = dependencies.httpClient || axios;
+ }
+
+ thresholdsFor(account) {
+ return {...DEFAULT_THRESHOLDS, ...this.definition.thresholds, ...(this.definition.accounts[account] || {})};
+ }
+
+ // Returns the triggers it alerted on, or an empty list when no threshold was crossed
+ async notify(result, previous = null) {
+ const triggers = triggersFor(result, this.thresholdsFor(result.account), previous);
+ if (triggers.length > 0) {
+ await this.deliver(result, triggers);
+ }
+ return triggers;
+ }
+
+ headline(result, triggers) {
+ return `Device automation ${result.account}${result.environment ? ` (${result.environment})` : ''}: ${triggers.join('; ')}`;
+ }
+
+ post(data) {
+ return this.httpClient({
+ method: 'POST',
+ url: readSecret(this.definition, 'url', this.name),
+ headers: { 'Content-Type': 'application/json', ...(this.definition.headers || {}) },
+ data,
+ timeout: 10000
+ });
+ }
+}
+
+// Posts {type, account, triggers, result} to any endpoint that accepts JSON
+class WebhookNotifier extends Notifier {
+ deliver(result, triggers) {
+ return this.post({ type: 'run_summary', account: result.account, triggers, result });
+ }
+}
+
+// Posts a Slack incoming-webhook message: a headline plus the run counts as attachment fields
+class SlackNotifier extends Notifier {
+ deliver(result, triggers) {
+ const fields = [
+ ['Devices', result.totalDevices],
+ ['Deviating', result.deviations],
+ ['Commands sent', result.commandsSent],
+ ['Not accepted', result.commandsFailed],
+ ['Escalated', result.escalated],
+ ['Run ID', result.runId],
+ ['Report', result.reportPath ? path.basename(result.reportPath) : undefined]
+ ]
+ .filter(([, value]) => value !== undefined && value !== null)
+ .map(([title, value]) => ({ title, value: String(value), short: true }));
+
+ return this.post({
+ text: this.headline(result, triggers),
+ attachments: [{ color: result.error ? 'danger' : 'warning', fields }]
+ });
+ }
+}
+
+// Emails the summary over SMTP with the run's workbook attached
+class EmailNotifier extends Notifier {
+ constructor(definition, dependencies = {}) {
+ super(definition, dependencies);
+ this.createTransport = dependencies.createTransport || nodemailer.createTransport;
+ }
+
+ deliver(result, triggers) {
+ const smtp = this.definition.smtp;
+ const transport = this.createTransport({
+ host: smtp.host,
+ port: smtp.port,
+ secure: smtp.secure,
+ ...(smtp.user ? { auth: { user: smtp.user, pass: readSecret(smtp, 'password', this.name) } } : {})
+ });
+
+ const attachReport = this.definition.attachReport && result.reportPath && fs.existsSync(result.reportPath);
+ return transport.sendMail({
+ from: this.definition.from,
+ to: this.definition.to.join(', '),
+ subject: this.headline(result, triggers),
+ text: `${triggers.map(trigger => `- ${trigger}`).join('\n')}\n\n${JSON.stringify(result, null, 2)}\n`,
+ attachments: attachReport ? [{ filename: path.basename(result.reportPath), path: result.reportPath }] : []
+ });
+ }
+}
+
+function urlFields(definition) {
+ if (definition.url === undefined && definition.urlEnv === undefined) {
+ throw new NotifierError('url', 'set url or urlEnv');
+ }
+ if (definition.url !== undefined && !/^https?:\/\/[^\s/]+/.test(definition.url)) {
+ throw new NotifierError('url', 'must be an http(s) URL');
+ }
+ if (definition.urlEnv !== undefined && !isNonEmptyString(definition.urlEnv)) {
+ throw new NotifierError('urlEnv', 'must name an environment variable');
+ }
+ return {url: definition.url, urlEnv: definition.urlEnv};
+}
+
+// Each type lists its own fields and turns them into the options its notifier reads
+const NOTIFIER_TYPES = {
+ webhook: {
+ fields: ['url', 'urlEnv', 'headers'],
+ options(definition) {
+ if (definition.headers !== undefined &&
+ (!isPlainObject(definition.headers) || !Object.values(definition.headers).every(value => typeof value === 'string'))) {
+ throw new NotifierError('headers', 'must be an object of header strings');
+ }
+ return {...urlFields(definition), headers: definition.headers || {}};
+ },
+ Notifier: WebhookNotifier
+ },
+
+ slack: {
+ fields: ['url', 'urlEnv'],
+ options: urlFields,
+ Notifier: SlackNotifier
+ },
+
+ email: {
+ fields: ['smtp', 'from', 'to', 'attachReport'],
+ options(definition) {
+ const smtp = definition.smtp;
+ if (!isPlainObject(smtp) || !isNonEmptyString(smtp.host)) {
+ throw new NotifierError('smtp.host', 'must name the SMTP server');
+ }
+ Object.keys(smtp).forEach(key => {
+ if (!['host', 'port', 'secure', 'user', 'passwordEnv'].includes(key)) {
+ throw new NotifierError(`smtp.${key}`, 'unknown field (allowed: host, port, secure, user, passwordEnv)');
+ }
+ });
+ if (smtp.port !== undefined && (!Number.isInteger(smtp.port) || smtp.port < 1 || smtp.port > 65535)) {
+ throw new NotifierError('smtp.port', 'must be a port number');
+ }
+ if (smtp.secure !== undefined && typeof smtp.secure !== 'boolean') {
+ throw new NotifierError('smtp.secure', 'must be true or false');
+ }
+ if (smtp.user !== undefined && (!isNonEmptyString(smtp.user) || !isNonEmptyString(smtp.passwordEnv))) {
+ throw new NotifierError('smtp.passwordEnv', 'must name the environment variable holding the password for smtp.user');
+ }
+ if (!isNonEmptyString(definition.from)) {
+ throw new NotifierError('from', 'must be an email address');
+ }
+ const to = typeof definition.to === 'string' ? [definition.to] : definition.to;
+ if (!Array.isArray(to) || to.length === 0 || !to.every(isNonEmptyString)) {
+ throw new NotifierError('to', 'must be an address or a non-empty list of addresses');
+ }
+ if (definition.attachReport !== undefined && typeof definition.attachReport !== 'boolean') {
+ throw new NotifierError('attachReport', 'must be true or false');
+ }
+ const port = smtp.port || (smtp.secure ? 465 : 587);
+ return {
+ smtp: {...smtp, port, secure: smtp.secure === undefined ? port === 465 : smtp.secure},
+ from: definition.from,
+ to,
+ attachReport: definition.attachReport !== false
+ };
+ },
+ Notifier: EmailNotifier
+ }
+};
+
+const COMMON_FIELDS = ['type', 'name', 'thresholds', 'accounts'];
+
+// Validates one configured notifier; throws NotifierError naming the offending field
+function normalizeNotifier(definition) {
+ if (!isPlainObject(definition)) {
+ throw new NotifierError(null, 'must be an object');
+ }
+ const type = NOTIFIER_TYPES[definition.type];
+ if (!type) {
+ throw new NotifierError('type', `unknown notifier type "${definition.type}" (available: ${Object.keys(NOTIFIER_TYPES).join(', ')})`);
+ }
+ Object.keys(definition).forEach(key => {
+ if (!COMMON_FIELDS.includes(key) && !type.fields.includes(key)) {
+ throw new NotifierError(key, `unknown field (allowed: ${COMMON_FIELDS.concat(type.fields).join(', ')})`);
+ }
+ });
+ const name = definition.name === undefined ? definition.type : definition.name;
+ if (!isNonEmptyString(name)) {
+ throw new NotifierError('name', 'must be a non-empty string');
+ }
+
+ const accounts = {};
+ if (definition.accounts !== undefined) {
+ if (!isPlainObject(definition.accounts)) throw new NotifierError('accounts', 'must map account names to thresholds');
+ Object.keys(definition.accounts).forEach(account => {
+ accounts[account] = normalizeThresholds(definition.accounts[account], `accounts.${account}`);
+ });
+ }
+
+ return {
+ type: definition.type,
+ name,
+ thresholds: normalizeThresholds(definition.thresholds, 'thresholds'),
+ accounts,
+ ...type.options(definition)
+ };
+}
+
+// dependencies: httpClient for webhook/slack, createTransport (nodemailer's by default) for email
+function createNotifiers(definitions = [], dependencies = {}) {
+ return definitions.map(definition => new NOTIFIER_TYPES[definition.type].Notifier(definition, dependencies));
+}
+
+module.exports = {
+ DEFAULT_THRESHOLDS,
+ EmailNotifier,
+ NOTIFIER_TYPES,
+ NotifierError,
+ SlackNotifier,
+ WebhookNotifier,
+ createNotifiers,
+ normalizeNotifier,
+ triggersFor
+};
@@ -0,0 +1,33 @@
+const { DIRECTIVE_STATUS, compareAgainstTarget } = require('./at-commands');
+
+// Picks the pending commands in one device's queue worth expiring before the profile is sent.
+// Only commands still pending (state 0), with an id to cancel by and older than olderThanHours
+// qualify, and only when they are corrupt, set a directive of the command about to be sent to
+// another value, or sit in a queue already at the pending threshold.
+
+function staleReason(entry, queue, commandToSend, pendingCommandThreshold) {
+ if (entry.corrupt) {
+ return 'Corrupt frame';
+ }
+ if (compareAgainstTarget([entry.extracted], commandToSend).directives
+ .some(directive => directive.status === DIRECTIVE_STATUS.CONFLICTING)) {
+ return 'Conflicts with the profile';
+ }
+ if (queue.length >= pendingCommandThreshold) {
+ return `Stuck queue (${queue.length} pending)`;
+ }
+ return null;
+}
+
+// Returns [{entry, reason}] in queue order; nowEpoch and created_date are epoch seconds
+function selectStaleCommands(queue, commandToSend, options, nowEpoch) {
+ const cutoff = nowEpoch - options.olderThanHours * 60 * 60;
+ return queue
+ .filter(entry => entry.state === 0 && entry.created_date <= cutoff && entry.id !== undefined && entry.id !== null)
+ .map(entry => ({entry, reason: staleReason(entry, queue, commandToSend, options.pendingCommandThreshold)}))
+ .filter(candidate => candidate.reason !== null);
+}
+
+module.exports = {
+ selectStaleCommands
+};
@@ -0,0 +1,94 @@
+// Token buckets per Decklar endpoint. Every request (including retries and polls) takes a
+// token from its endpoint's bucket first, so concurrent account runs share one budget. When the
+// API answers with Retry-After, backOff() holds the whole endpoint for that long.
+
+const DEFAULT_BUDGETS = {
+ bees: {requestsPerSecond: 2, burst: 4},
+ bee_commands: {requestsPerSecond: 4, burst: 8},
+ send_commands: {requestsPerSecond: 4, burst: 1}
+};
+
+class TokenBucket {
+ constructor(requestsPerSecond, burst, now = () => Date.now()) {
+ this.refillPerMs = requestsPerSecond / 1000;
+ this.capacity = burst;
+ this.tokens = burst;
+ this.now = now;
+ this.lastRefill = now();
+ this.blockedUntil = 0;
+ this.queue = Promise.resolve();
+ }
+
+ refill() {
+ const current = this.now();
+ if (current <= this.lastRefill) return;
+ this.tokens = Math.min(this.capacity, this.tokens + (current - this.lastRefill) * this.refillPerMs);
+ this.lastRefill = current;
+ }
+
+ // Callers are served in arrival order; each waits until a whole token is available
+ take(delay) {
+ const turn = this.queue.then(async () => {
+ const blocked = this.blockedUntil - this.now();
+ if (blocked > 0) {
+ await delay(blocked);
+ }
+ this.refill();
+ if (this.tokens < 1) {
+ await delay(Math.ceil((1 - this.tokens) / this.refillPerMs));
+ this.refill();
+ }
+ this.tokens -= 1;
+ });
+ this.queue = turn.catch(() => {});
+ return turn;
+ }
+
+ // No token is handed out for ms; afterwards the bucket resumes at its steady rate, without a burst
+ pause(ms) {
+ this.blockedUntil = Math.max(this.blockedUntil, this.now() + ms);
+ this.tokens = Math.min(this.tokens, 1);
+ this.lastRefill = this.blockedUntil;
+ }
+}
+
+class RateLimiter {
+ constructor(budgets = {}, options = {}) {
+ this.delay = options.delay || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+ this.buckets = {};
+
+ const merged = {...DEFAULT_BUDGETS, ...budgets};
+ Object.keys(merged).forEach(endpoint => {
+ const budget = merged[endpoint];
+ this.buckets[endpoint] = new TokenBucket(budget.requestsPerSecond, budget.burst || 1, options.now);
+ });
+ }
+
+ endpointFor(url) {
+ if (!url) return null;
+ if (url.includes('/send_commands')) return 'send_commands';
+ if (url.includes('/bee_commands')) return 'bee_commands';
+ if (url.includes('/bees')) return 'bees';
+ return null;
+ }
+
+ async acquire(url) {
+ const bucket = this.buckets[this.endpointFor(url)];
+ if (bucket) {
+ await bucket.take(this.delay);
+ }
+ }
+
+ backOff(url, ms) {
+ const bucket = this.buckets[this.endpointFor(url)];
+ if (bucket) {
+ bucket.pause(ms);
+ }
+ }
+}
+
+module.exports = {
+ DEFAULT_BUDGETS,
+ RateLimiter,
+ TokenBucket
+};
@@ -0,0 +1,288 @@
+const Excel = require('exceljs');
+const fs = require('fs');
+const path = require('path');
+const { HEALTHY_STATUS } = require('./health-rules');
+
+// Compares past runs. Each run becomes a snapshot - {label, account, generatedAt, devices, pending} -
+// read either from a device_report_*.xlsx workbook or from the run journal, so reports written
+// before the journal existed can still be compared. The earliest snapshot is the baseline and
+// the latest the current state; the trend covers every snapshot in between. Snapshots without
+// devices - the empty workbooks failed runs used to leave in reports/ - say nothing about the
+// fleet, so they are charted in the trend but never picked as the baseline or the latest.
+
+const REPORT_PATTERN = /^device_report_(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)\.xlsx$/;
+
+// device_report_<account>_2025-09-02T18-09-59-857Z.xlsx -> {account, generatedAt}
+function parseReportFilename(filepath) {
+ const match = REPORT_PATTERN.exec(path.basename(filepath));
+ if (!match) return null;
+ const [date, time] = match[2].split('T');
+ const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+ return {account: match[1], generatedAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`)};
+}
+
+// Expands directories to the workbooks they hold, optionally only one account's
+function listReportFiles(sources, account = null) {
+ const files = [];
+ sources.forEach(source => {
+ if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+ fs.readdirSync(source)
+ .filter(name => REPORT_PATTERN.test(name))
+ .forEach(name => files.push(path.join(source, name)));
+ } else {
+ files.push(source);
+ }
+ });
+ return files.filter(file => {
+ const parsed = parseReportFilename(file);
+ return !account || (parsed && parsed.account === account);
+ });
+}
+
+// Rows as objects keyed by header text; columns were added over time, so nothing relies on positions
+function sheetRecords(worksheet) {
+ if (!worksheet || worksheet.rowCount < 2) return [];
+ const headers = [];
+ worksheet.getRow(1).eachCell((cell, column) => {
+ headers[column] = cell.text.trim();
+ });
+ const records = [];
+ worksheet.eachRow((row, rowNumber) => {
+ if (rowNumber === 1) return;
+ const record = {};
+ headers.forEach((header, column) => {
+ if (header) record[header] = row.getCell(column).text;
+ });
+ records.push(record);
+ });
+ return records;
+}
+
+const pendingKey = (entry) => `${entry.imei}|${entry.command}|${entry.createdDate}`;
+
+async function readReportSnapshot(filepath) {
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(filepath);
+
+ const status = workbook.getWorksheet('Device Status Report');
+ if (!status) {
+ throw new Error(`${filepath} has no Device Status Report sheet`);
+ }
+ const parsed = parseReportFilename(filepath) || {};
+ const runDetails = {};
+ sheetRecords(workbook.getWorksheet('Run Details')).forEach(record => {
+ runDetails[record.Field] = record.Value;
+ });
+
+ return {
+ label: path.basename(filepath),
+ account: runDetails.Account || parsed.account || 'Unknown',
+ generatedAt: parsed.generatedAt ||
+ (runDetails['Generated At'] ? new Date(`${runDetails['Generated At'].replace(' ', 'T')}Z`) : fs.statSync(filepath).mtime),
+ devices: sheetRecords(status).map(record => ({
+ imei: record.IMEI,
+ status: record.Status,
+ lastReported: record['Last Reported'] || null
+ })),
+ pending: sheetRecords(workbook.getWorksheet('Pending Commands Details')).map(record => ({
+ imei: record.IMEI,
+ command: record['Command Content'],
+ state: record['Command State'],
+ createdDate: record['Created Date']
+ }))
+ };
+}
+
+// The same snapshot built from a stored run's journal records
+function journalSnapshot(run, records) {
+ const decisions = records.filter(record => record.type === 'decision');
+ const pending = [];
+ decisions.forEach(record => {
+ ((record.analysis && record.analysis.commands) || []).forEach(command => {
+ pending.push({imei: record.imei, command: command.command, state: command.state, createdDate: command.created_date});
+ });
+ });
+
+ return {
+ label: `run ${run.runId}`,
+ account: run.account,
+ generatedAt: new Date(run.finishedAt || run.at),
+ devices: decisions.map(record => ({
+ imei: record.imei,
+ status: record.device.status,
+ lastReported: record.device.lastReported || null
+ })),
+ pending
+ };
+}
+
+const isDeviating = (device) => device.status !== HEALTHY_STATUS;
+
+const hasDevices = (snapshot) => snapshot.devices.length > 0;
+
+// The snapshots diffSnapshots can compare, oldest first
+function comparableSnapshots(snapshots) {
+ return snapshots.filter(hasDevices).sort((a, b) => a.generatedAt - b.generatedAt);
+}
+
+function countDeviating(snapshot) {
+ return snapshot.devices.filter(isDeviating).length;
+}
+
+// Compares the baseline (earliest) with the latest snapshot that has devices; commands count as
+// stuck when every compared snapshot lists the same command, created at the same time, for the device
+function diffSnapshots(snapshots) {
+ const compared = comparableSnapshots(snapshots);
+ if (compared.length < 2) {
+ throw new Error(`Need at least two runs with devices to compare, found ${compared.length}`);
+ }
+ const ordered = [...snapshots].sort((a, b) => a.generatedAt - b.generatedAt);
+ const baseline = compared[0];
+ const latest = compared[compared.length - 1];
+ const before = new Map(baseline.devices.map(device => [device.imei, device]));
+ const after = new Map(latest.devices.map(device => [device.imei, device]));
+
+ const fixed = [];
+ const newlyDeviating = [];
+ latest.devices.forEach(device => {
+ const previous = before.get(device.imei);
+ if (previous && isDeviating(previous) && !isDeviating(device)) {
+ fixed.push({imei: device.imei, before: previous.status, after: device.status});
+ } else if ((!previous || !isDeviating(previous)) && isDeviating(device)) {
+ newlyDeviating.push({imei: device.imei, before: previous ? previous.status : 'Not in baseline', after: device.status});
+ }
+ });
+
+ // Gone from the latest run, or still showing the report it had at the baseline
+ const stoppedReporting = [];
+ baseline.devices.forEach(device => {
+ const current = after.get(device.imei);
+ if (!current) {
+ stoppedReporting.push({imei: device.imei, lastReported: device.lastReported, detail: 'Missing from the latest run'});
+ } else if (device.lastReported && current.lastReported === device.lastReported) {
+ stoppedReporting.push({imei: device.imei, lastReported: current.lastReported, detail: 'No report since the baseline run'});
+ }
+ });
+
+ const stillPending = compared.slice(1).reduce(
+ (common, snapshot) => {
+ const keys = new Set(snapshot.pending.map(pendingKey));
+ return common.filter(entry => keys.has(pendingKey(entry)));
+ },
+ baseline.pending
+ ).map(entry => ({...entry, runs: compared.length}));
+
+ const trend = ordered.map((snapshot, index) => {
+ const deviating = countDeviating(snapshot);
+ const previous = index > 0 ? countDeviating(ordered[index - 1]) : null;
+ return {
+ run: snapshot.label,
+ account: snapshot.account,
+ generatedAt: snapshot.generatedAt.toISOString(),
+ devices: snapshot.devices.length,
+ deviating,
+ normal: snapshot.devices.length - deviating,
+ deviationRate: snapshot.devices.length > 0 ? deviating / snapshot.devices.length : null,
+ change: previous === null ? null : deviating - previous,
+ pendingCommands: snapshot.pending.length
+ };
+ });
+
+ return {
+ baseline: {run: baseline.label, generatedAt: baseline.generatedAt.toISOString()},
+ latest: {run: latest.label, generatedAt: latest.generatedAt.toISOString()},
+ runs: compared.length,
+ emptyRuns: ordered.length - compared.length,
+ fixed,
+ newlyDeviating,
+ stoppedReporting,
+ stillPending,
+ trend
+ };
+}
+
+const DIFF_SHEETS = [
+ ['Fixed', 'fixed', [
+ {header: 'IMEI', key: 'imei', width: 20},
+ {header: 'Baseline Status', key: 'before', width: 35},
+ {header: 'Latest Status', key: 'after', width: 35}
+ ]],
+ ['Newly Deviating', 'newlyDeviating', [
+ {header: 'IMEI', key: 'imei', width: 20},
+ {header: 'Baseline Status', key: 'before', width: 35},
+ {header: 'Latest Status', key: 'after', width: 35}
+ ]],
+ ['Stopped Reporting', 'stoppedReporting', [
+ {header: 'IMEI', key: 'imei', width: 20},
+ {header: 'Last Reported', key: 'lastReported', width: 20},
+ {header: 'Detail', key: 'detail', width: 35}
+ ]],
+ ['Still Pending', 'stillPending', [
+ {header: 'IMEI', key: 'imei', width: 20},
+ {header: 'Command', key: 'command', width: 50},
+ {header: 'State', key: 'state', width: 12},
+ {header: 'Created Date', key: 'createdDate', width: 25},
+ {header: 'Runs', key: 'runs', width: 8}
+ ]],
+ ['Trend', 'trend', [
+ {header: 'Run', key: 'run', width: 55},
+ {header: 'Account', key: 'account', width: 20},
+ {header: 'Generated At', key: 'generatedAt', width: 25},
+ {header: 'Devices', key: 'devices', width: 10},
+ {header: 'Deviating', key: 'deviating', width: 10},
+ {header: 'Normal', key: 'normal', width: 10},
+ {header: 'Deviation Rate', key: 'deviationRate', width: 15},
+ {header: 'Change', key: 'change', width: 10},
+ {header: 'Pending Commands', key: 'pendingCommands', width: 18}
+ ]]
+];
+
+function buildDiffWorkbook(diff) {
+ const workbook = new Excel.Workbook();
+
+ const summary = workbook.addWorksheet('Summary');
+ summary.columns = [
+ {header: 'Field', key: 'field', width: 25},
+ {header: 'Value', key: 'value', width: 60}
+ ];
+ [
+ ['Baseline', `${diff.baseline.run} (${diff.baseline.generatedAt})`],
+ ['Latest', `${diff.latest.run} (${diff.latest.generatedAt})`],
+ ['Runs compared', diff.runs],
+ ['Runs without devices', diff.emptyRuns],
+ ['Fixed', diff.fixed.length],
+ ['Newly deviating', diff.newlyDeviating.length],
+ ['Stopped reporting', diff.stoppedReporting.length],
+ ['Still pending', diff.stillPending.length],
+ ['Archived runs from the journal', diff.archivedFromJournal || 0],
+ ['Archived runs left out', diff.archivedSkipped || 0]
+ ].forEach(([field, value]) => summary.addRow({field, value}));
+
+ const worksheets = [summary];
+ DIFF_SHEETS.forEach(([name, key, columns]) => {
+ const worksheet = workbook.addWorksheet(name);
+ worksheet.columns = columns;
+ diff[key].forEach(row => worksheet.addRow(row));
+ worksheet.views = [{state: 'frozen', ySplit: 1}];
+ worksheets.push(worksheet);
+ });
+ workbook.getWorksheet('Trend').getColumn('deviationRate').numFmt = '0.0%';
+
+ worksheets.forEach(worksheet => {
+ worksheet.getRow(1).eachCell(cell => {
+ cell.font = {bold: true};
+ cell.fill = {type: 'pattern', pattern: 'solid', fgColor: {argb: 'FFE0E0E0'}};
+ });
+ });
+ return workbook;
+}
+
+module.exports = {
+ buildDiffWorkbook,
+ comparableSnapshots,
+ diffSnapshots,
+ journalSnapshot,
+ listReportFiles,
+ parseReportFilename,
+ readReportSnapshot
+};
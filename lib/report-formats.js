@@ -0,0 +1,186 @@
+const fs = require('fs');
+
+// Report outputs besides the xlsx workbook. Every format carries the same three datasets -
+// deviceStatus, commandAnalysis and pendingCommands - each {title, columns: [{header, key}], rows}.
+const REPORT_FORMATS = ['xlsx', 'csv', 'json', 'html'];
+
+// Bump when a column is renamed or removed; adding columns keeps the version
+const JSON_SCHEMA_VERSION = 1;
+
+const CSV_SUFFIXES = {
+ deviceStatus: 'device_status',
+ commandAnalysis: 'command_analysis',
+ pendingCommands: 'pending_commands'
+};
+
+class ReportFormatError extends Error {
+ constructor(message) {
+ super(message);
+ this.name = 'ReportFormatError';
+ }
+}
+
+// Accepts a list and/or comma-separated strings, e.g. ['xlsx,csv', 'html']
+function parseReportFormats(formats) {
+ const list = [].concat(formats || [])
+ .flatMap(format => String(format).split(','))
+ .map(format => format.trim().toLowerCase())
+ .filter(Boolean);
+ const unknown = list.filter(format => !REPORT_FORMATS.includes(format));
+ if (unknown.length > 0) {
+ throw new ReportFormatError(`Unknown report format ${unknown.join(', ')} (available: ${REPORT_FORMATS.join(', ')})`);
+ }
+ return list.length > 0 ? [...new Set(list)] : ['xlsx'];
+}
+
+function cellValue(value) {
+ if (value === undefined || value === null) return null;
+ if (value instanceof Date) return value.toISOString();
+ return value;
+}
+
+function datasetRecords(dataset) {
+ return dataset.rows.map(row => {
+ const record = {};
+ dataset.columns.forEach(column => {
+ record[column.key] = cellValue(row[column.key]);
+ });
+ return record;
+ });
+}
+
+function csvField(value) {
+ const text = value === null ? '' : String(value);
+ return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV file per dataset, named <basePath>_<dataset>.csv; returns the paths written
+function writeCsvReports(datasets, basePath) {
+ return Object.keys(CSV_SUFFIXES).map(name => {
+ const dataset = datasets[name];
+ const lines = [dataset.columns.map(column => csvField(column.header)).join(',')];
+ datasetRecords(dataset).forEach(record => {
+ lines.push(dataset.columns.map(column => csvField(record[column.key])).join(','));
+ });
+ const filepath = `${basePath}_${CSV_SUFFIXES[name]}.csv`;
+ fs.writeFileSync(filepath, lines.join('\r\n') + '\r\n');
+ return filepath;
+ });
+}
+
+// {schema, schemaVersion, run, datasets: {<name>: {columns, rows}}} - every row has every column key
+function buildJsonReport(datasets, run) {
+ const document = {
+ schema: 'device-automation-report',
+ schemaVersion: JSON_SCHEMA_VERSION,
+ run,
+ datasets: {}
+ };
+ Object.keys(CSV_SUFFIXES).forEach(name => {
+ document.datasets[name] = {
+ columns: datasets[name].columns.map(({header, key}) => ({header, key})),
+ rows: datasetRecords(datasets[name])
+ };
+ });
+ return document;
+}
+
+function writeJsonReport(datasets, run, filepath) {
+ fs.writeFileSync(filepath, JSON.stringify(buildJsonReport(datasets, run), null, 2));
+ return filepath;
+}
+
+function escapeHtml(value) {
+ return String(value === null ? '' : value)
+ .replace(/&/g, '&amp;')
+ .replace(/</g, '&lt;')
+ .replace(/>/g, '&gt;')
+ .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 32px; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; }
+dt { font-weight: bold; }
+table { border-collapse: collapse; font-size: 12px; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; white-space: pre-wrap; }
+th { background: #e0e0e0; cursor: pointer; position: sticky; top: 0; }
+th[aria-sort="ascending"]::after { content: " \\25B2"; }
+th[aria-sort="descending"]::after { content: " \\25BC"; }
+tr:nth-child(even) td { background: #f7f7f7; }`;
+
+// Click a header to sort by it; numbers sort numerically, everything else as text
+const HTML_SCRIPT = `
+document.querySelectorAll('table').forEach(function (table) {
+ table.querySelectorAll('th').forEach(function (th, index) {
+ th.addEventListener('click', function () {
+ var ascending = th.getAttribute('aria-sort') !== 'ascending';
+ table.querySelectorAll('th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+ th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+ var body = table.tBodies[0];
+ var rows = Array.prototype.slice.call(body.rows);
+ rows.sort(function (a, b) {
+ var x = a.cells[index].textContent, y = b.cells[index].textContent;
+ var nx = parseFloat(x), ny = parseFloat(y);
+ var result = !isNaN(nx) && !isNaN(ny) && String(nx) === x.trim() && String(ny) === y.trim()
+ ? nx - ny
+ : x.localeCompare(y, undefined, {numeric: true});
+ return ascending ? result : -result;
+ });
+ rows.forEach(function (row) { body.appendChild(row); });
+ });
+ });
+});`;
+
+// A single file with inline styles and script - no external assets to fetch
+function renderHtmlReport(datasets, run) {
+ const details = Object.keys(run)
+ .map(key => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(run[key])}</dd>`)
+ .join('');
+
+ const tables = Object.keys(CSV_SUFFIXES).map(name => {
+ const dataset = datasets[name];
+ const header = dataset.columns.map(column => `<th>${escapeHtml(column.header)}</th>`).join('');
+ const rows = datasetRecords(dataset)
+ .map(record => `<tr>${dataset.columns.map(column => `<td>${escapeHtml(record[column.key])}</td>`).join('')}</tr>`)
+ .join('\n');
+ return `<h2>${escapeHtml(dataset.title)} (${dataset.rows.length})</h2>\n` +
+ `<table id="${name}">\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+ }).join('\n');
+
+ return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Device report ${escapeHtml(run.account)}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>Device report ${escapeHtml(run.account)}</h1>
+<dl>${details}</dl>
+${tables}
+<script>${HTML_SCRIPT}
+</script>
+</body>
+</html>
+`;
+}
+
+function writeHtmlReport(datasets, run, filepath) {
+ fs.writeFileSync(filepath, renderHtmlReport(datasets, run));
+ return filepath;
+}
+
+module.exports = {
+ JSON_SCHEMA_VERSION,
+ REPORT_FORMATS,
+ ReportFormatError,
+ buildJsonReport,
+ parseReportFormats,
+ renderHtmlReport,
+ writeCsvReports,
+ writeHtmlReport,
+ writeJsonReport
+};
@@ -0,0 +1,226 @@
+const archiver = require('archiver');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Keeps the reports directory from growing without bound. Every report is listed in
+// reports/index.json with its run metadata, as are saved plans (kind "plan") and diff workbooks
+// (kind "diff"). Entries that fall outside the retention policy are moved into a zip under
+// reports/archive/ (or deleted when archiving is off) and stay in the index with their new
+// location. Reports written on error paths live in reports/errors/.
+
+const REPORT_RETENTION_DEFAULTS = {enabled: false, keepLast: 20, keepDaily: 7, keepWeekly: 4, keepErrors: 10, archive: true};
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const ERRORS_DIR = 'errors';
+const ARCHIVE_DIR = 'archive';
+
+// device_report_<account>_<timestamp>[_error] plus the format suffix; one report can span
+// several files (xlsx, the three csv datasets, json, html and the run log) sharing that base name
+const REPORT_FILE_PATTERN = /^(device_report_(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)(_error)?)(\.xlsx|\.json|\.html|\.log|_[a-z_]+\.csv)$/;
+
+// Other files written to the reports directory, found on disk the same way: [kind, pattern]
+const ARTIFACT_FILE_PATTERNS = [
+ ['plan', /^(plan_(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z))(\.json)$/],
+ ['diff', /^(report_diff_(.+)_(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z))(\.xlsx)$/]
+];
+
+// {id, account, timestamp, kind} for a file name the index knows how to group, or null
+function parseIndexedFile(name) {
+ const report = REPORT_FILE_PATTERN.exec(name);
+ if (report) {
+ return {id: report[1], account: report[2], timestamp: report[3], kind: report[4] ? 'error' : 'result'};
+ }
+ for (const [kind, pattern] of ARTIFACT_FILE_PATTERNS) {
+ const match = pattern.exec(name);
+ if (match) return {id: match[1], account: match[2], timestamp: match[3], kind};
+ }
+ return null;
+}
+
+function reportBaseName(account, timestamp, isError = false) {
+ return `device_report_${account}_${timestamp}${isError ? '_error' : ''}`;
+}
+
+// 2025-09-02T18-09-59-857Z -> 2025-09-02T18:09:59.857Z
+function timestampToIso(timestamp) {
+ const [date, time] = timestamp.split('T');
+ const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+ return `${date}T${hours}:${minutes}:${seconds}.${millis}Z`;
+}
+
+const dayOf = (entry) => entry.generatedAt.slice(0, 10);
+
+// The Monday starting the (UTC) week the report was written in
+function weekOf(entry) {
+ const date = new Date(entry.generatedAt);
+ const sinceMonday = (date.getUTCDay() + 6) % 7;
+ return new Date(date.getTime() - sinceMonday * 86400000).toISOString().slice(0, 10);
+}
+
+// Entries the policy no longer keeps. Per account and kind, results, plans and diffs keep the
+// newest keepLast entries plus the newest of each of the last keepDaily days and keepWeekly
+// weeks; error reports keep only the newest keepErrors.
+function selectExpired(entries, policy) {
+ const groups = {};
+ entries.filter(entry => entry.status === 'kept').forEach(entry => {
+ const key = `${entry.account}|${entry.kind}`;
+ (groups[key] = groups[key] || []).push(entry);
+ });
+
+ const expired = [];
+ Object.values(groups).forEach(group => {
+ const newestFirst = group.sort((a, b) => b.generatedAt.localeCompare(a.generatedAt));
+ const keep = new Set();
+ if (newestFirst[0].kind === 'error') {
+ newestFirst.slice(0, policy.keepErrors).forEach(entry => keep.add(entry));
+ } else {
+ newestFirst.slice(0, policy.keepLast).forEach(entry => keep.add(entry));
+ [[dayOf, policy.keepDaily], [weekOf, policy.keepWeekly]].forEach(([periodOf, periods]) => {
+ const seen = new Set();
+ newestFirst.forEach(entry => {
+ const period = periodOf(entry);
+ if (!seen.has(period) && seen.size < periods) {
+ seen.add(period);
+ keep.add(entry);
+ }
+ });
+ });
+ }
+ newestFirst.filter(entry => !keep.has(entry)).forEach(entry => expired.push(entry));
+ });
+ return expired;
+}
+
+function archiveFiles(baseDir, files, archivePath) {
+ return new Promise((resolve, reject) => {
+ fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+ const output = fs.createWriteStream(archivePath);
+ const archive = archiver('zip', { zlib: { level: 9 } });
+ output.on('close', resolve);
+ archive.on('error', reject);
+ archive.pipe(output);
+ files.forEach(file => archive.file(path.join(baseDir, file), { name: file }));
+ archive.finalize();
+ });
+}
+
+// Pruning is serialized per directory so concurrent account runs never archive the same files
+const pruning = new Map();
+
+class ReportIndex {
+ constructor(reportsDir) {
+ this.reportsDir = reportsDir;
+ this.filePath = path.join(reportsDir, INDEX_FILE);
+ }
+
+ read() {
+ if (!fs.existsSync(this.filePath)) return [];
+ try {
+ return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).reports || [];
+ } catch (error) {
+ logger.warn(`Rebuilding unreadable report index ${this.filePath}`, { error });
+ return [];
+ }
+ }
+
+ save(entries) {
+ fs.mkdirSync(this.reportsDir, { recursive: true });
+ const sorted = [...entries].sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+ fs.writeFileSync(this.filePath, JSON.stringify({version: INDEX_VERSION, reports: sorted}, null, 2));
+ }
+
+ // Index entries plus any report file on disk the index does not know about yet (reports written
+ // before the index existed); entries whose files have all gone are marked missing
+ load() {
+ const entries = this.read();
+ const known = new Set();
+ entries.forEach(entry => entry.files.forEach(file => known.add(file)));
+
+ const discovered = {};
+ ['.', ERRORS_DIR].forEach(dir => {
+ const absolute = path.join(this.reportsDir, dir);
+ if (!fs.existsSync(absolute)) return;
+ fs.readdirSync(absolute).forEach(name => {
+ const parsed = parseIndexedFile(name);
+ const file = path.join(dir, name);
+ if (!parsed || known.has(file)) return;
+ const { id, account, timestamp, kind } = parsed;
+ const entry = discovered[id] = discovered[id] || {
+ id,
+ account,
+ kind,
+ generatedAt: timestampToIso(timestamp),
+ runId: null,
+ files: [],
+ status: 'kept',
+ source: 'Found on disk'
+ };
+ entry.files.push(file);
+ });
+ });
+
+ entries.forEach(entry => {
+ if (entry.status === 'kept' && !entry.files.some(file => fs.existsSync(path.join(this.reportsDir, file)))) {
+ entry.status = 'missing';
+ }
+ });
+ return entries.concat(Object.values(discovered));
+ }
+
+ // Adds or replaces one report's entry; read and written synchronously so concurrent runs
+ // in the same process cannot interleave
+ record(entry) {
+ const entries = this.load().filter(existing => existing.id !== entry.id);
+ entries.push({status: 'kept', ...entry});
+ this.save(entries);
+ }
+
+ async applyRetention(policy, now = new Date()) {
+ const previous = pruning.get(this.reportsDir) || Promise.resolve();
+ const current = previous.catch(() => {}).then(() => this.prune(policy, now));
+ pruning.set(this.reportsDir, current);
+ return current;
+ }
+
+ async prune(policy, now) {
+ // Saved first so reports found on disk stay indexed once their files are archived
+ const current = this.load();
+ this.save(current);
+ const expired = selectExpired(current, policy);
+ if (expired.length === 0) {
+ return {expired: 0, archive: null};
+ }
+
+ const files = expired.flatMap(entry => entry.files)
+ .filter(file => fs.existsSync(path.join(this.reportsDir, file)));
+ let archive = null;
+ if (policy.archive && files.length > 0) {
+ archive = path.join(ARCHIVE_DIR, `device_reports_${now.toISOString().replace(/[:.]/g, '-')}.zip`);
+ await archiveFiles(this.reportsDir, files, path.join(this.reportsDir, archive));
+ }
+ files.forEach(file => fs.unlinkSync(path.join(this.reportsDir, file)));
+
+ // Reload: other runs may have recorded reports while the archive was being written
+ const ids = new Set(expired.map(entry => entry.id));
+ const entries = this.load();
+ entries.filter(entry => ids.has(entry.id)).forEach(entry => {
+ entry.status = archive ? 'archived' : 'deleted';
+ entry.archive = archive;
+ entry.prunedAt = now.toISOString();
+ });
+ this.save(entries);
+ return {expired: expired.length, archive};
+ }
+}
+
+module.exports = {
+ ARCHIVE_DIR,
+ ERRORS_DIR,
+ INDEX_FILE,
+ REPORT_RETENTION_DEFAULTS,
+ ReportIndex,
+ reportBaseName,
+ selectExpired
+};
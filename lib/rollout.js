@@ -0,0 +1,41 @@
+// Splits the devices of one run into a canary stage and follow-up waves. Each stage is sent,
+// given time to apply, and verified against the bees API before the next one starts.
+
+// Result of a stage whose wait a stop request cut short: sent, but never given time to verify
+const UNVERIFIED_STOPPED = 'Unverified (stopped)';
+
+function stageSize(total, percent, minimum) {
+ return Math.min(total, Math.max(minimum, Math.ceil(total * percent / 100)));
+}
+
+// Returns [{name, imeis}] - the canary first, then waves of wavePercent of the whole run
+function planStages(imeis, options) {
+ const stages = [];
+ const canarySize = stageSize(imeis.length, options.canaryPercent, options.minCanaryDevices);
+ stages.push({ name: 'Canary', imeis: imeis.slice(0, canarySize) });
+
+ const waveSize = stageSize(imeis.length, options.wavePercent, 1);
+ for (let start = canarySize, wave = 1; start < imeis.length; start += waveSize, wave++) {
+ stages.push({ name: `Wave ${wave}`, imeis: imeis.slice(start, start + waveSize) });
+ }
+ return stages;
+}
+
+// A device fails its stage when the send was not accepted or the setting never showed up
+function stageFailureRate(stage) {
+ if (stage.imeis.length === 0) return 0;
+ return stage.failed.length / stage.imeis.length;
+}
+
+// Halts when strictly more than failureThreshold of the stage failed; a threshold of 0 halts on
+// the first failure and 1 never halts
+function shouldHalt(stage, options) {
+ return stageFailureRate(stage) > options.failureThreshold;
+}
+
+module.exports = {
+ UNVERIFIED_STOPPED,
+ planStages,
+ shouldHalt,
+ stageFailureRate
+};
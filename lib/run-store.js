@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', 'data', 'history.jsonl');
+
+// Append-only JSON-lines journal of runs, per-device decisions, sends and cancellations.
+// Per-device remediation state is derived from the journal rather than stored separately,
+// so the journal stays the single source of truth. options.now is the clock that stamps
+// each record (the automation passes its own).
+class RunStore {
+ constructor(filePath = process.env.RUN_STORE_PATH || DEFAULT_STORE_PATH, options = {}) {
+ this.filePath = filePath;
+ this.now = options.now || (() => new Date());
+ this.deviceState = null;
+ }
+
+ append(record) {
+ fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+ fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+ if (this.deviceState) {
+ this.applyToDeviceState(record);
+ }
+ }
+
+ readAll() {
+ if (!fs.existsSync(this.filePath)) return [];
+
+ return fs.readFileSync(this.filePath, 'utf8')
+ .split('\n')
+ .filter(line => line.trim().length > 0)
+ .map((line, index) => {
+ try {
+ return JSON.parse(line);
+ } catch (error) {
+ logger.warn(`Skipping unreadable line ${index + 1} in ${this.filePath}`);
+ return null;
+ }
+ })
+ .filter(Boolean);
+ }
+
+ recordRun(run) {
+ this.append({ type: 'run', at: this.now().toISOString(), ...run });
+ }
+
+ recordDecision(runId, account, device, analysis) {
+ this.append({
+ type: 'decision',
+ at: this.now().toISOString(),
+ runId,
+ account,
+ imei: device.imei,
+ device,
+ analysis
+ });
+ }
+
+ recordSend(runId, account, result) {
+ this.append({
+ type: 'send',
+ at: this.now().toISOString(),
+ runId,
+ account,
+ imei: result.imei,
+ command: result.command,
+ status: result.status,
+ outcome: result.outcome,
+ attempts: result.attempts,
+ response: result.response
+ });
+ }
+
+ applyToDeviceState(record) {
+ if (!record.imei || (record.type !== 'decision' && record.type !== 'send')) return;
+
+ const state = this.deviceState[record.imei] || {
+ lastPingFrequency: undefined,
+ lastCommand: null,
+ resendCount: 0,
+ lastSentAt: null
+ };
+
+ if (record.type === 'decision') {
+ // Any change in the reported setting means the earlier sends had an effect
+ if (state.lastPingFrequency !== undefined && record.device.currentPingFrequency !== state.lastPingFrequency) {
+ state.resendCount = 0;
+ state.lastCommand = null;
+ }
+ state.lastPingFrequency = record.device.currentPingFrequency;
+ } else if (record.status === 'Success') {
+ state.resendCount = state.lastCommand === record.command ? state.resendCount + 1 : 1;
+ state.lastCommand = record.command;
+ state.lastSentAt = record.at;
+ }
+
+ this.deviceState[record.imei] = state;
+ }
+
+ loadDeviceState() {
+ if (!this.deviceState) {
+ this.deviceState = {};
+ this.readAll().forEach(record => this.applyToDeviceState(record));
+ }
+ return this.deviceState;
+ }
+
+ // How many times the command has already been re-sent while the device kept the same ping_frequency
+ getRemediationState(imei, currentPingFrequency, command) {
+ const state = this.loadDeviceState()[imei];
+ const unchanged = state && state.lastPingFrequency === currentPingFrequency && state.lastCommand === command;
+
+ return {
+ resendCount: unchanged ? state.resendCount : 0,
+ lastSentAt: unchanged ? state.lastSentAt : null
+ };
+ }
+
+ recordCancellation(runId, account, cancellation) {
+ this.append({
+ type: 'cancellation',
+ at: this.now().toISOString(),
+ runId,
+ account,
+ ...cancellation
+ });
+ }
+
+ getRuns(account = null) {
+ return this.readAll().filter(record => record.type === 'run' && (!account || record.account === account));
+ }
+
+ getRunRecords(runId) {
+ return this.readAll().filter(record => record.runId === runId);
+ }
+
+ getDeviceHistory(imei) {
+ return this.readAll().filter(record => record.imei === imei);
+ }
+}
+
+module.exports = {
+ DEFAULT_STORE_PATH,
+ RunStore
+};
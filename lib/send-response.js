@@ -0,0 +1,137 @@
+// Turns a send_commands response body into one outcome per IMEI. The endpoint has answered
+// with a few different shapes over time, so every known shape is accepted here.
+
+const SEND_OUTCOMES = {
+ ACCEPTED: 'accepted',
+ REJECTED: 'rejected',
+ UNKNOWN_DEVICE: 'unknown_device',
+ PASSWORD_REQUIRED: 'password_required',
+ ERROR: 'error'
+};
+
+// Outcomes worth sending again; unknown devices and password prompts will fail the same way.
+// An error means no usable answer came back at all - a failed request, or an error status with
+// no per-IMEI results. The server may still have queued the command (a timeout after accepting
+// it) and makeRequest has already retried it after checking bee_commands, so sending it again
+// here could queue the command twice.
+const RETRYABLE_OUTCOMES = [SEND_OUTCOMES.REJECTED];
+
+function parseBody(body) {
+ if (typeof body !== 'string') return body;
+ try {
+ return JSON.parse(body);
+ } catch (error) {
+ return body;
+ }
+}
+
+function classify(entry) {
+ if (entry === true) return {outcome: SEND_OUTCOMES.ACCEPTED, reason: 'Command queued successfully'};
+ if (entry === false) return {outcome: SEND_OUTCOMES.REJECTED, reason: 'Rejected by API'};
+
+ const message = typeof entry === 'string'
+ ? entry
+ : [entry.message, entry.error, entry.reason, entry.status, entry.result].filter(value => typeof value === 'string').join(' - ');
+ const explicitSuccess = typeof entry === 'object' && (entry.success === true || entry.accepted === true);
+ const explicitFailure = typeof entry === 'object' && (entry.success === false || entry.accepted === false);
+
+ if (/password/i.test(message)) {
+ return {outcome: SEND_OUTCOMES.PASSWORD_REQUIRED, reason: message || 'Password required'};
+ }
+ if (/not found|unknown (device|imei)|invalid imei|does not exist|no such|not registered/i.test(message)) {
+ return {outcome: SEND_OUTCOMES.UNKNOWN_DEVICE, reason: message || 'Unknown device'};
+ }
+ if (explicitSuccess || (!explicitFailure && /success|queued|accepted|^ok$/i.test(message))) {
+ return {outcome: SEND_OUTCOMES.ACCEPTED, reason: message || 'Command queued successfully'};
+ }
+ return {outcome: SEND_OUTCOMES.REJECTED, reason: message || 'Rejected by API'};
+}
+
+function entriesFromList(list) {
+ const entries = {};
+ list.forEach(item => {
+ if (item && typeof item === 'object' && item.imei !== undefined) {
+ entries[String(item.imei)] = item;
+ }
+ });
+ return entries;
+}
+
+function findEntries(body) {
+ if (Array.isArray(body)) return entriesFromList(body);
+ if (!body || typeof body !== 'object') return {};
+
+ for (const key of ['results', 'data', 'imeis', 'devices']) {
+ const value = parseBody(body[key]);
+ if (Array.isArray(value) && value.some(item => item && item.imei !== undefined)) {
+ return entriesFromList(value);
+ }
+ if (value && typeof value === 'object' && !Array.isArray(value)) {
+ const nested = findEntries(value);
+ if (Object.keys(nested).length > 0) return nested;
+ }
+ }
+
+ const entries = {};
+ ['success', 'succeeded', 'accepted', 'queued'].forEach(key => {
+ if (Array.isArray(body[key])) {
+ body[key].forEach(imei => {
+ entries[String(imei)] = {success: true, message: 'Command queued successfully'};
+ });
+ }
+ });
+ ['failed', 'failures', 'rejected', 'errors'].forEach(key => {
+ if (Array.isArray(body[key])) {
+ body[key].forEach(item => {
+ if (item && typeof item === 'object') {
+ entries[String(item.imei)] = {success: false, ...item};
+ } else {
+ entries[String(item)] = {success: false, message: 'Rejected by API'};
+ }
+ });
+ }
+ });
+ ['invalid_imeis', 'unknown_imeis', 'not_found'].forEach(key => {
+ if (Array.isArray(body[key])) {
+ body[key].forEach(imei => {
+ entries[String(imei)] = {success: false, message: 'Unknown device'};
+ });
+ }
+ });
+ if (Object.keys(entries).length > 0) return entries;
+
+ // Keyed by IMEI: { "359...": { status: ... } } or { "359...": "message" }
+ Object.keys(body).forEach(key => {
+ if (/^\d{12,}$/.test(key)) {
+ entries[key] = body[key];
+ }
+ });
+ return entries;
+}
+
+function parseSendResponse(httpStatus, body, imeis) {
+ const parsed = parseBody(body);
+ const entries = findEntries(parsed);
+ const ok = httpStatus >= 200 && httpStatus < 300;
+ const outcomes = {};
+
+ imeis.forEach(imei => {
+ if (entries[imei] !== undefined) {
+ outcomes[imei] = classify(entries[imei]);
+ } else if (Object.keys(entries).length > 0) {
+ outcomes[imei] = {outcome: SEND_OUTCOMES.REJECTED, reason: 'Missing from API response'};
+ } else if (ok) {
+ outcomes[imei] = {outcome: SEND_OUTCOMES.ACCEPTED, reason: 'Command queued successfully'};
+ } else {
+ outcomes[imei] = {outcome: SEND_OUTCOMES.ERROR, reason: `API Error ${httpStatus}: ${JSON.stringify(parsed)}`};
+ }
+ });
+
+ return outcomes;
+}
+
+module.exports = {
+ RETRYABLE_OUTCOMES,
+ SEND_OUTCOMES,
+ parseSendResponse
+};
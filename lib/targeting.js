@@ -0,0 +1,53 @@
+// Per-account allow and deny lists. Each list may name IMEIs, asset names, shipment names or
+// tags; names and tags accept * wildcards, so ["*"] under shipments means "on any shipment".
+// A deny match always wins; once an allowlist has entries, devices matching none are excluded.
+
+const TARGET_FIELDS = {
+ imeis: device => [String(device.imei || '').replace(/\D/g, '')],
+ assets: device => [device.asset_name],
+ shipments: device => [device.shipment_name],
+ tags: device => (Array.isArray(device.tags) ? device.tags : String(device.tags || '').split(','))
+};
+
+// Placeholder values the API uses for "not on an asset/shipment" never match a pattern
+const UNALLOCATED = ['', 'unallocated'];
+
+function patternMatches(pattern, value) {
+ if (value === undefined || value === null) return false;
+ const text = String(value).trim();
+ if (UNALLOCATED.includes(text.toLowerCase())) return false;
+ const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+ return new RegExp(`^${escaped}$`, 'i').test(text);
+}
+
+// Returns the first entry of the list the device matches, e.g. {field: 'shipments', pattern: '*', value: 'SHP-1'}
+function findMatch(device, list) {
+ for (const field of Object.keys(TARGET_FIELDS)) {
+ const values = TARGET_FIELDS[field](device);
+ for (const pattern of list[field] || []) {
+ const value = values.find(candidate => patternMatches(pattern, candidate));
+ if (value !== undefined) return {field, pattern, value: String(value).trim()};
+ }
+ }
+ return null;
+}
+
+const hasEntries = (list) => Object.keys(TARGET_FIELDS).some(field => (list[field] || []).length > 0);
+
+// Returns why the device is left out of the run, or null when it may be acted on
+function exclusionFor(device, targeting) {
+ if (!targeting) return null;
+ const denied = findMatch(device, targeting.deny);
+ if (denied) {
+ return `denylist ${denied.field} "${denied.pattern}" (${denied.value})`;
+ }
+ if (hasEntries(targeting.allow) && !findMatch(device, targeting.allow)) {
+ return 'not on the allowlist';
+ }
+ return null;
+}
+
+module.exports = {
+ TARGET_FIELDS,
+ exclusionFor
+};
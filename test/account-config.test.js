@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createAutomation } = require('../automation');
+const { ConfigError, loadConfig, validateConfig } = require('../lib/account-config');
+const { ACCOUNT, testAccount } = require('./helpers');
+
+function configWith(overrides) {
+ return {accounts: {[ACCOUNT]: testAccount(overrides)}};
+}
+
+// Asserts the document is rejected with a ConfigError naming exactly that field
+function assertRejected(document, field) {
+ assert.throws(() => validateConfig(document), error => {
+ assert.ok(error instanceof ConfigError, error.message);
+ assert.strictEqual(error.field, field);
+ assert.ok(error.message.includes(`"${field}"`), error.message);
+ return true;
+ });
+}
+
+test('fills in the account defaults', () => {
+ const account = validateConfig(configWith({})).accounts[ACCOUNT];
+
+ assert.strictEqual(account.accountName, ACCOUNT);
+ assert.deepStrictEqual(account.lookbackHours, {devices: 48, pendingCommands: 24});
+ assert.strictEqual(account.deliveryTracking.enabled, false);
+ assert.strictEqual(account.remediation.maxResends, 3);
+});
+
+test('account errors name the broken field', () => {
+ assertRejected(configWith({lookbackHours: {devices: -1}}), `accounts.${ACCOUNT}.lookbackHours.devices`);
+ assertRejected(configWith({lookbackHours: {weeks: 1}}), `accounts.${ACCOUNT}.lookbackHours.weeks`);
+ assertRejected(configWith({profileCommand: undefined}), `accounts.${ACCOUNT}.profileCommand`);
+ assertRejected(configWith({profileCommand: '  '}), `accounts.${ACCOUNT}.profileCommand`);
+ assertRejected(configWith({deviceTypes: ['BSFlex', '']}), `accounts.${ACCOUNT}.deviceTypes[1]`);
+ assertRejected(configWith({expectedSettings: {ping_frequency: null}}), `accounts.${ACCOUNT}.expectedSettings.ping_frequency`);
+ assertRejected(configWith({pendingCommandThreshold: 0}), `accounts.${ACCOUNT}.pendingCommandThreshold`);
+ assertRejected(configWith({schedule: 'every hour'}), `accounts.${ACCOUNT}.schedule`);
+ assertRejected(configWith({timezone: 'Mars/Olympus'}), `accounts.${ACCOUNT}.timezone`);
+ assertRejected(configWith({deliveryTracking: {enabled: 'yes'}}), `accounts.${ACCOUNT}.deliveryTracking.enabled`);
+ assertRejected(configWith({profileComand: 'AT+TIMEGAP=0,600,1,600'}), `accounts.${ACCOUNT}.profileComand`);
+ assertRejected({accounts: {}}, 'accounts');
+});
+
+test('loadConfig and createAutomation report the same field', () => {
+ const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decklar-config-'));
+ try {
+ const configPath = path.join(dir, 'accounts.json');
+ fs.writeFileSync(configPath, JSON.stringify(configWith({lookbackHours: {devices: 0}})));
+ assert.throws(() => loadConfig(configPath), {field: `accounts.${ACCOUNT}.lookbackHours.devices`});
+ assert.throws(() => createAutomation({configPath}), {field: `accounts.${ACCOUNT}.lookbackHours.devices`});
+ assert.throws(() => createAutomation({config: configWith({profileCommand: 42})}), {field: `accounts.${ACCOUNT}.profileCommand`});
+
+ fs.writeFileSync(configPath, '{"accounts": ');
+ assert.throws(() => loadConfig(configPath), {name: 'ConfigError', field: '(file)'});
+ } finally {
+ fs.rmSync(dir, { recursive: true, force: true });
+ }
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DIRECTIVE_STATUS, compareAgainstTarget, describeComparison, parseAtCommand } = require('../lib/at-commands');
+
+test('splits compound commands and keeps quoted commas and separators in one parameter', () => {
+ const directives = parseAtCommand('AT+TIMEGAP=0,600,1,600 & AT+APN="iot,fast;eu",1; AT+GETCFG?');
+
+ assert.deepStrictEqual(directives.map(({name, params, query}) => ({name, params, query})), [
+ {name: 'TIMEGAP', params: [0, 600, 1, 600], query: false},
+ {name: 'APN', params: ['iot,fast;eu', 1], query: false},
+ {name: 'GETCFG', params: [], query: true}
+ ]);
+ assert.deepStrictEqual(parseAtCommand('REBOOT'), [{name: null, params: [], query: false, raw: 'REBOOT'}]);
+ assert.deepStrictEqual(parseAtCommand(null), []);
+});
+
+test('classifies each target directive against the pending queue, oldest first', () => {
+ const target = 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0 & AT+APN="iot,fast",1';
+ const comparison = compareAgainstTarget([
+ 'AT+TIMEGAP=0,600,1,600',
+ 'AT+TIMEGAP=0,300,1,300 & AT+SAMPLEMODE=1,0',
+ 'AT+APN="iot,fast",1'
+ ], target);
+
+ assert.deepStrictEqual(comparison.directives.map(directive => directive.status), [
+ DIRECTIVE_STATUS.SUPERSEDED,
+ DIRECTIVE_STATUS.CONFLICTING,
+ DIRECTIVE_STATUS.IDENTICAL
+ ]);
+ assert.strictEqual(comparison.reachesTarget, false);
+ assert.strictEqual(describeComparison(comparison), 'TIMEGAP: superseded; SAMPLEMODE: conflicting; APN: identical');
+});
+
+test('reaches the target only when every directive is identical', () => {
+ const target = 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0';
+
+ assert.strictEqual(compareAgainstTarget(['AT+SAMPLEMODE=0,0', 'AT+TIMEGAP=0,600,1,600'], target).reachesTarget, true);
+ assert.strictEqual(compareAgainstTarget(['AT+TIMEGAP=0,600,1,600'], target).directives[1].status, DIRECTIVE_STATUS.MISSING);
+ assert.strictEqual(compareAgainstTarget([], 'AT+GETCFG?').reachesTarget, false);
+});
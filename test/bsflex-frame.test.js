@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { FrameDecodeError, decodeFrame, encodeFrame, isProtocolFrame } = require('../lib/bsflex-frame');
+
+const IMEI = '359000000000001';
+const asciiHex = (text) => Buffer.from(text, 'ascii').toString('hex').toUpperCase();
+
+test('unstuffs 7D 02 and 7D 01 back to 7E and 7D', () => {
+ // A sequence of 0x7E7D forces both escapes into the frame
+ const frame = encodeFrame({imei: IMEI, sequence: 0x7e7d, command: 'AT+TIMEGAP=0,600,1,600'});
+ assert.ok(frame.includes('7D027D01'));
+ assert.ok(isProtocolFrame(frame));
+
+ const decoded = decodeFrame(frame);
+
+ assert.strictEqual(decoded.sequence, 0x7e7d);
+ assert.strictEqual(decoded.imei, IMEI);
+ assert.strictEqual(decoded.messageType, '0x8300');
+ assert.strictEqual(decoded.command, 'AT+TIMEGAP=0,600,1,600');
+ assert.strictEqual(decoded.declaredPayloadLength, decoded.payloadLength);
+ assert.strictEqual(decoded.checksumValid, true);
+});
+
+test('reports a checksum mismatch without throwing', () => {
+ const frame = encodeFrame({imei: IMEI, sequence: 7, command: 'AT+SAMPLEMODE=0,0'});
+ const tampered = frame.replace(asciiHex('SAMPLE'), asciiHex('SIMPLE'));
+
+ const decoded = decodeFrame(tampered);
+
+ assert.strictEqual(decoded.command, 'AT+SIMPLEMODE=0,0');
+ assert.strictEqual(decoded.checksumValid, false);
+ assert.notStrictEqual(decoded.checksum, decoded.computedChecksum);
+});
+
+test('rejects frames that cannot be parsed', () => {
+ const frame = encodeFrame({imei: IMEI, sequence: 1, command: 'AT+GETCFG'});
+ const content = frame.slice(2, -2);
+
+ assert.throws(() => decodeFrame('7E0102'), FrameDecodeError);
+ assert.throws(() => decodeFrame(`7E${content}7D037E`), /invalid escape sequence 7D 03/);
+ assert.throws(() => decodeFrame(`7E${content.slice(0, 4)}7E${content.slice(4)}7E`), /unescaped 7E delimiter/);
+ assert.throws(() => decodeFrame('7E00017E'), /too short/);
+ assert.throws(() => decodeFrame('AT+GETCFG'), /not a 7E-delimited hex frame/);
+});
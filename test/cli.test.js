@@ -0,0 +1,163 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { EXIT_CODES, main } = require('../lib/cli');
+const { validateConfig } = require('../lib/account-config');
+const { encodeFrame } = require('../lib/bsflex-frame');
+const { RunStore } = require('../lib/run-store');
+const { ACCOUNT, startMockEnvironment, stopMockEnvironment, testAccount } = require('./helpers');
+
+let server;
+let workDir;
+
+function output() {
+ const chunks = [];
+ return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+// Runs the CLI against the mock server with a throwaway journal and reports directory
+async function run(argv) {
+ const stdout = output();
+ const stderr = output();
+ const config = validateConfig({
+ environment: 'mock',
+ environments: {mock: {baseUrl: server.baseUrl}},
+ accounts: {[ACCOUNT]: testAccount()}
+ });
+
+ const exitCode = await main(argv, {
+ config,
+ stdout,
+ stderr,
+ automationOptions: {
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl'))
+ }
+ });
+ return { exitCode, stdout: stdout.text(), stderr: stderr.text() };
+}
+
+beforeEach(async () => {
+ ({ server, workDir } = await startMockEnvironment('decklar-cli-'));
+ server.setFleet([
+ {imei: '359000000000001', account_name: ACCOUNT, ping_frequency: 600},
+ {imei: '359000000000002', account_name: ACCOUNT, ping_frequency: 300}
+ ]);
+});
+
+afterEach(() => stopMockEnvironment({ server, workDir }));
+
+test('audit exits 3 and lists deviations as JSON', async () => {
+ const { exitCode, stdout } = await run(['audit', ACCOUNT, '--json']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.ATTENTION);
+ const result = JSON.parse(stdout);
+ assert.deepStrictEqual(result.deviations.map(device => device.imei), ['359000000000002']);
+ assert.strictEqual(server.commands.length, 0);
+});
+
+test('send only touches the listed IMEIs', async () => {
+ server.setFleet([
+ {imei: '359000000000002', account_name: ACCOUNT, ping_frequency: 300},
+ {imei: '359000000000003', account_name: ACCOUNT, ping_frequency: 300}
+ ]);
+
+ const { exitCode, stdout } = await run(['send', ACCOUNT, '359000000000002', '--json']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.OK);
+ assert.strictEqual(JSON.parse(stdout).commandsSent, 1);
+ assert.deepStrictEqual(server.commands.map(row => row.imei), ['359000000000002']);
+});
+
+test('inspect explains the decision for one device', async () => {
+ const { exitCode, stdout } = await run(['inspect', '359000000000002', '--json']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.OK);
+ const result = JSON.parse(stdout);
+ assert.strictEqual(result.account, ACCOUNT);
+ assert.strictEqual(result.analysis.decision, 'Send Command');
+ assert.strictEqual((await run(['inspect', '359999999999999'])).exitCode, EXIT_CODES.FAILED);
+});
+
+test('decode works offline and fails on corrupt frames', async () => {
+ const frame = encodeFrame({imei: '359000000000002', sequence: 7, command: 'AT+TIMEGAP=0,600,1,600'});
+
+ const decoded = await run(['decode', frame, '--json']);
+ assert.strictEqual(decoded.exitCode, EXIT_CODES.OK);
+ assert.strictEqual(JSON.parse(decoded.stdout).command, 'AT+TIMEGAP=0,600,1,600');
+
+ const corrupt = await run(['decode', frame.slice(0, -4) + '00' + frame.slice(-2)]);
+ assert.strictEqual(corrupt.exitCode, EXIT_CODES.FAILED);
+ assert.strictEqual(server.requests.length, 0);
+});
+
+test('report rebuilds the workbook of the latest stored run', async () => {
+ await run(['send', ACCOUNT]);
+
+ const { exitCode, stdout } = await run(['report', '--json']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.OK);
+ assert.ok(fs.existsSync(JSON.parse(stdout).reportPath));
+ assert.strictEqual((await run(['report', '--run', 'missing'])).exitCode, EXIT_CODES.FAILED);
+});
+
+test('diff compares stored runs', async () => {
+ await run(['send', ACCOUNT]);
+ server.advanceCommands();
+ server.advanceCommands();
+ server.devices.forEach(device => {
+ device.last_message_timestamp += 60;
+ });
+ await run(['send', ACCOUNT]);
+
+ const { exitCode, stdout } = await run(['diff', '--journal', '--json']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.OK);
+ const result = JSON.parse(stdout);
+ assert.strictEqual(result.runs, 2);
+ assert.deepStrictEqual(result.fixed.map(device => device.imei), ['359000000000002']);
+ assert.strictEqual(result.trend.length, 2);
+ assert.ok(fs.existsSync(result.reportPath));
+ assert.strictEqual((await run(['diff', path.join(workDir, 'missing')])).exitCode, EXIT_CODES.FAILED);
+});
+
+test('usage errors exit 2', async () => {
+ assert.strictEqual((await run(['explode'])).exitCode, EXIT_CODES.USAGE);
+ assert.strictEqual((await run(['audit'])).exitCode, EXIT_CODES.USAGE);
+ assert.strictEqual((await run(['audit', ACCOUNT, '--bogus'])).exitCode, EXIT_CODES.USAGE);
+ assert.strictEqual((await run(['send', ACCOUNT, '--format', 'pdf'])).exitCode, EXIT_CODES.USAGE);
+});
+
+test('an invalid config file exits 2 naming the broken field', async () => {
+ const configPath = path.join(workDir, 'accounts.json');
+ fs.writeFileSync(configPath, JSON.stringify({accounts: {[ACCOUNT]: testAccount({lookbackHours: {devices: 'two days'}})}}));
+ const stdout = output();
+ const stderr = output();
+ const previousPath = process.env.ACCOUNTS_CONFIG;
+ process.env.ACCOUNTS_CONFIG = configPath;
+ try {
+ assert.strictEqual(await main(['audit', ACCOUNT], { stdout, stderr }), EXIT_CODES.USAGE);
+ } finally {
+ if (previousPath === undefined) delete process.env.ACCOUNTS_CONFIG;
+ else process.env.ACCOUNTS_CONFIG = previousPath;
+ }
+ assert.match(stderr.text(), /"accounts\.PQE_Testing\.lookbackHours\.devices"/);
+});
+
+test('--format writes every requested report format', async () => {
+ const { exitCode, stdout } = await run(['send', ACCOUNT, '--json', '--format', 'csv,json', '--format', 'html']);
+
+ assert.strictEqual(exitCode, EXIT_CODES.OK);
+ const result = JSON.parse(stdout);
+ assert.deepStrictEqual(result.reportFiles.map(file => path.basename(file).replace(/^device_report_.*Z/, '')), [
+ '_device_status.csv',
+ '_command_analysis.csv',
+ '_pending_commands.csv',
+ '.json',
+ '.html'
+ ]);
+ assert.strictEqual(result.reportPath, result.reportFiles[0]);
+ assert.ok(result.reportFiles.every(file => fs.existsSync(file)));
+});
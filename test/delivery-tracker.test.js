@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { DeliveryTracker } = require('../lib/delivery-tracker');
+
+const QUEUED_AT = new Date('2026-03-01T12:00:00Z');
+const COMMAND = 'AT+TIMEGAP=0,600,1,600';
+const epoch = (date) => Math.floor(date.getTime() / 1000);
+
+function trackerFor(fetchCommands, options = {}) {
+ const tracker = new DeliveryTracker(fetchCommands, message => message, {
+ now: () => new Date(QUEUED_AT.getTime() + 30000),
+ ...options
+ });
+ tracker.track([{imei: '359000000000001', command: COMMAND, status: 'Success', queuedAt: QUEUED_AT}]);
+ return tracker;
+}
+
+test('matches bee_commands rows whose IMEI comes back as a number', async () => {
+ const tracker = trackerFor(async () => [
+ {id: 41, imei: 359000000000001, msg: COMMAND, state: 2, created_date: epoch(QUEUED_AT), updated_date: epoch(QUEUED_AT) + 20}
+ ]);
+
+ await tracker.poll();
+
+ const delivery = tracker.getDeliveries()['359000000000001'];
+ assert.strictEqual(delivery.state, 'acknowledged');
+ assert.strictEqual(delivery.commandId, 41);
+ assert.strictEqual(delivery.timeToDeliverySeconds, 20);
+});
+
+test('an aborted signal ends tracking without waiting out the poll interval', async () => {
+ const controller = new AbortController();
+ let polls = 0;
+ const tracker = trackerFor(async () => {
+ polls++;
+ setTimeout(() => controller.abort(), 20);
+ return [];
+ }, {pollIntervalSeconds: 60, timeoutMinutes: 15, signal: controller.signal});
+
+ const startedAt = Date.now();
+ await tracker.run();
+
+ assert.ok(Date.now() - startedAt < 5000);
+ assert.strictEqual(polls, 1);
+ assert.deepStrictEqual(tracker.getStats(), {tracked: 1, averageSecondsToDelivery: null, medianSecondsToDelivery: null, pending: 1});
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { EnvironmentError, resolveEnvironment } = require('../lib/environments');
+const { ConfigError, validateConfig } = require('../lib/account-config');
+
+const ACCOUNTS = {PQE_Testing: {deviceTypes: ['BSFlex'], expectedSettings: {ping_frequency: 600}, profileCommand: 'AT+TIMEGAP=0,600,1,600'}};
+
+test('reads the staging key from API_KEY', () => {
+ const environment = resolveEnvironment('staging', {}, {env: {API_KEY: 'staging-key'}});
+
+ assert.strictEqual(environment.baseUrl, 'https://view-staging.decklar.com');
+ assert.strictEqual(environment.apiKey, 'staging-key');
+});
+
+test('fails fast when the key is missing', () => {
+ assert.throws(() => resolveEnvironment('staging', {}, {env: {}}), error =>
+ error instanceof EnvironmentError && /API_KEY/.test(error.message));
+});
+
+test('production needs explicit confirmation even when the config disables it', () => {
+ const env = {DECKLAR_PRODUCTION_API_KEY: 'production-key', DECKLAR_PRODUCTION_BASE_URL: 'https://decklar.example.com/'};
+ const environments = {production: {requiresConfirmation: false}};
+
+ assert.throws(() => resolveEnvironment('production', environments, {env}), /--confirm-production/);
+ const environment = resolveEnvironment('production', environments, {env, confirmed: true});
+ assert.strictEqual(environment.apiKey, 'production-key');
+ assert.strictEqual(environment.baseUrl, 'https://decklar.example.com');
+});
+
+test('production has no built-in host; it comes from the config or DECKLAR_PRODUCTION_BASE_URL', () => {
+ const env = {DECKLAR_PRODUCTION_API_KEY: 'production-key'};
+
+ assert.throws(() => resolveEnvironment('production', {}, {env, confirmed: true}), error =>
+ error instanceof EnvironmentError && /environments\.production\.baseUrl/.test(error.message) && /DECKLAR_PRODUCTION_BASE_URL/.test(error.message));
+ const configured = {production: {baseUrl: 'https://decklar.example.com'}};
+ assert.strictEqual(resolveEnvironment('production', configured, {env, confirmed: true}).baseUrl, 'https://decklar.example.com');
+});
+
+test('an override with its own credentials source replaces the built-in one', () => {
+ const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'decklar-env-'));
+ const keyFile = path.join(dir, 'key');
+ fs.writeFileSync(keyFile, 'file-key\n');
+
+ try {
+ const environment = resolveEnvironment('staging', {staging: {apiKeyFile: keyFile}}, {env: {}});
+ assert.strictEqual(environment.apiKey, 'file-key');
+ } finally {
+ fs.rmSync(dir, { recursive: true, force: true });
+ }
+});
+
+test('config rejects unknown environments and ambiguous credentials', () => {
+ assert.throws(() => validateConfig({accounts: ACCOUNTS, environment: 'qa'}), ConfigError);
+ assert.throws(() => validateConfig({
+ accounts: ACCOUNTS,
+ environments: {qa: {baseUrl: 'https://qa.example.com', apiKeyEnv: 'QA_KEY', apiKey: 'literal'}}
+ }), error => error.field === 'environments.qa');
+
+ const config = validateConfig({
+ accounts: ACCOUNTS,
+ environment: 'qa',
+ environments: {qa: {baseUrl: 'https://qa.example.com', apiKeyEnv: 'QA_KEY'}}
+ });
+ assert.strictEqual(config.environment, 'qa');
+});
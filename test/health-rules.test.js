@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { ConfigError, DEFAULT_CONFIG_PATH, loadConfig, validateConfig } = require('../lib/account-config');
+const { compareVersions, evaluateRules, remediationFor } = require('../lib/health-rules');
+
+function accountWith(healthRules) {
+ return validateConfig({
+ accounts: {
+ PQE_Testing: {
+ deviceTypes: ['BSFlex'],
+ expectedSettings: {ping_frequency: 600},
+ profileCommand: 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0',
+ healthRules
+ }
+ }
+ }).accounts.PQE_Testing;
+}
+
+test('without healthRules only the expected settings are checked', () => {
+ const rules = accountWith(undefined).healthRules;
+
+ assert.deepStrictEqual(rules.map(rule => [rule.id, rule.type]), [['ping_frequency_mismatch', 'setting']]);
+ // Out of contact and on a low battery, but on the expected ping_frequency: healthy, as before
+ assert.deepStrictEqual(evaluateRules({ping_frequency: 600, communication: 'NOCOMM', battery_state: 'Low'}, rules, {}), []);
+ assert.deepStrictEqual(evaluateRules({ping_frequency: '600'}, rules, {}).map(finding => finding.rule), ['ping_frequency_mismatch']);
+});
+
+test('the shipped accounts check their expected settings only', () => {
+ const { accounts } = loadConfig(DEFAULT_CONFIG_PATH);
+
+ Object.values(accounts).forEach(account => {
+ assert.ok(account.healthRules.every(rule => rule.type === 'setting'), account.accountName);
+ });
+});
+
+test('no_comm and battery checks are opt-in', () => {
+ const rules = accountWith([{type: 'no_comm', severity: 'critical'}, {type: 'battery'}]).healthRules;
+
+ assert.deepStrictEqual(rules.map(rule => rule.id), ['ping_frequency_mismatch', 'no_comm', 'battery']);
+});
+
+test('rule config errors name the offending field', () => {
+ assert.throws(() => accountWith([{type: 'silent'}]), error =>
+ error instanceof ConfigError && error.field === 'accounts.PQE_Testing.healthRules[0].hours');
+ assert.throws(() => accountWith([{type: 'battery', severity: 'fatal'}]), error =>
+ error.field === 'accounts.PQE_Testing.healthRules[0].severity');
+ assert.throws(() => accountWith([{type: 'no_comm'}, {type: 'no_comm'}]), /duplicate rule id/);
+ assert.throws(() => accountWith([{type: 'unknown'}]), /unknown rule type/);
+});
+
+test('silent and firmware rules', () => {
+ const rules = accountWith([
+ {id: 'silent', type: 'silent', hours: 12, severity: 'critical'},
+ {id: 'firmware', type: 'firmware', minimum: '2.4.10'}
+ ]).healthRules;
+
+ const findings = evaluateRules({ping_frequency: 600, firmware_version: '2.4.9'}, rules, {hoursSinceLastReport: 20});
+ assert.deepStrictEqual(findings.map(finding => finding.rule), ['silent', 'firmware']);
+ assert.strictEqual(evaluateRules({ping_frequency: 600, firmware_version: '2.4.10'}, rules, {hoursSinceLastReport: 1}).length, 0);
+ assert.ok(compareVersions('1.10', '1.9') > 0);
+});
+
+test('remediation commands are merged without repeating directives', () => {
+ assert.strictEqual(remediationFor([{remediationCommand: 'AT+A=1 & AT+B=2'}, {remediationCommand: 'AT+A=1 & AT+B=2'}]), 'AT+A=1 & AT+B=2');
+ assert.strictEqual(remediationFor([{remediationCommand: 'AT+A=1 & AT+B=2'}, {remediationCommand: 'AT+B=2; AT+C=3'}]), 'AT+A=1 & AT+B=2 & AT+C=3');
+ assert.strictEqual(remediationFor([{remediationCommand: null}]), null);
+});
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MockDecklarServer } = require('../lib/mock-decklar-server');
+
+// Shared fixtures for the tests that run the automation against the mock Decklar server
+
+const ACCOUNT = 'PQE_Testing';
+const PROFILE_COMMAND = 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0';
+const FAST_LIMITS = {
+ bees: {requestsPerSecond: 1000, burst: 1000},
+ bee_commands: {requestsPerSecond: 1000, burst: 1000},
+ send_commands: {requestsPerSecond: 1000, burst: 1000}
+};
+
+// The PQE_Testing account as the tests configure it, before validateConfig
+function testAccount(overrides = {}) {
+ return {
+ deviceTypes: ['BSFlex'],
+ expectedSettings: {ping_frequency: 600},
+ profileCommand: PROFILE_COMMAND,
+ ...overrides
+ };
+}
+
+function device(imei, pingFrequency) {
+ return {imei, account_name: ACCOUNT, ping_frequency: pingFrequency};
+}
+
+// Starts a mock server and a throwaway working directory; pair with stopMockEnvironment
+async function startMockEnvironment(prefix) {
+ const workDir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+ const server = new MockDecklarServer();
+ await server.listen();
+ return { server, workDir };
+}
+
+async function stopMockEnvironment({ server, workDir }) {
+ await server.close();
+ fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+module.exports = {
+ ACCOUNT,
+ FAST_LIMITS,
+ PROFILE_COMMAND,
+ device,
+ startMockEnvironment,
+ stopMockEnvironment,
+ testAccount
+};
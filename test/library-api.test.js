@@ -0,0 +1,266 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const { AUTOMATION_EVENTS, AutomationScheduler, DeviceConfigAutomation, createAutomation } = require('../automation');
+const { validateConfig } = require('../lib/account-config');
+const { resolveEnvironment } = require('../lib/environments');
+const { RunStore } = require('../lib/run-store');
+const { ACCOUNT, FAST_LIMITS, startMockEnvironment, stopMockEnvironment, testAccount } = require('./helpers');
+
+let server;
+let workDir;
+
+function configDocument() {
+ return {
+ environment: 'mock',
+ environments: {mock: {baseUrl: server.baseUrl}},
+ rateLimits: FAST_LIMITS,
+ accounts: {[ACCOUNT]: testAccount()}
+ };
+}
+
+beforeEach(async () => {
+ ({ server, workDir } = await startMockEnvironment('decklar-lib-'));
+});
+
+afterEach(() => stopMockEnvironment({ server, workDir }));
+
+test('createAutomation builds an instance from a config document', () => {
+ const automation = createAutomation({config: configDocument(), runStore: new RunStore(path.join(workDir, 'history.jsonl'))});
+
+ assert.ok(automation instanceof DeviceConfigAutomation);
+ assert.strictEqual(automation.environment, 'mock');
+ assert.strictEqual(automation.baseUrl, server.baseUrl);
+ assert.deepStrictEqual(Object.keys(automation.accountProfiles), [ACCOUNT]);
+});
+
+test('emits lifecycle events and uses the injected HTTP client, clock and report writer', async () => {
+ server.setFleet([
+ {imei: '359000000000501', account_name: ACCOUNT, ping_frequency: 600},
+ {imei: '359000000000502', account_name: ACCOUNT, ping_frequency: 300}
+ ]);
+
+ const requests = [];
+ const written = [];
+ const automation = createAutomation({
+ config: configDocument(),
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl')),
+ httpClient: (config) => {
+ requests.push(`${config.method} ${config.url.split('?')[0]}`);
+ return axios(config);
+ },
+ now: () => new Date('2026-03-01T12:00:00Z'),
+ reportWriter: async (workbook, filepath) => {
+ written.push({sheets: workbook.worksheets.map(sheet => sheet.name), filepath});
+ }
+ });
+
+ const events = [];
+ AUTOMATION_EVENTS.forEach(event => automation.on(event, payload => events.push([event, payload])));
+ // A failing listener must not break the run
+ automation.on('deviationFound', () => {
+ throw new Error('listener bug');
+ });
+
+ // The mock's devices report "now"; the fixed clock keeps them inside the lookback window
+ server.devices.forEach(device => {
+ device.last_message_timestamp = Math.floor(Date.parse('2026-03-01T11:00:00Z') / 1000);
+ });
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 1);
+ assert.ok(requests.includes(`POST ${server.baseUrl}/services/command/send_commands`));
+ assert.strictEqual(written.length, 1);
+ assert.match(written[0].filepath, /device_report_PQE_Testing_2026-03-01T12-00-00-000Z\.xlsx$/);
+ assert.strictEqual(written[0].sheets[0], 'Summary');
+
+ const named = (event) => events.filter(([name]) => name === event).map(([, payload]) => payload);
+ assert.strictEqual(named('devicesFetched')[0].devices.length, 2);
+ assert.deepStrictEqual(named('deviationFound').map(payload => payload.device.imei), ['359000000000502']);
+ assert.deepStrictEqual(named('decisionMade').map(payload => [payload.imei, payload.decision]), [['359000000000502', 'Send Command']]);
+ assert.deepStrictEqual(named('batchSent')[0].imeis, ['359000000000502']);
+ assert.strictEqual(named('reportWritten')[0].reportPath, written[0].filepath);
+ assert.ok(events.every(([, payload]) => payload.account === ACCOUNT && payload.runId === result.runId));
+ assert.deepStrictEqual(events.map(([name]) => name),
+ ['devicesFetched', 'deviationFound', 'batchSent', 'decisionMade', 'reportWritten']);
+});
+
+test('releases forked account runs once they settle', async () => {
+ server.setFleet([{imei: '359000000000503', account_name: ACCOUNT, ping_frequency: 600}]);
+ const automation = createAutomation({
+ config: configDocument(),
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl'))
+ });
+ const forked = [];
+ const fork = automation.forkForAccount.bind(automation);
+ automation.forkForAccount = () => {
+ const child = fork();
+ forked.push(child);
+ return child;
+ };
+ const fetched = [];
+ automation.on('devicesFetched', payload => fetched.push(payload.account));
+
+ await automation.runAutomation();
+ await automation.runAutomation();
+
+ assert.deepStrictEqual(fetched, [ACCOUNT, ACCOUNT]);
+ assert.strictEqual(forked.length, 2);
+ assert.deepStrictEqual(automation.children, []);
+ forked.forEach(child => {
+ AUTOMATION_EVENTS.forEach(event => assert.strictEqual(child.listenerCount(event), 0));
+ });
+});
+
+test('the injected clock stamps the run journal and the scheduler state', async () => {
+ server.setFleet([{imei: '359000000000504', account_name: ACCOUNT, ping_frequency: 300}]);
+ server.devices[0].last_message_timestamp = Math.floor(Date.parse('2026-03-01T11:00:00Z') / 1000);
+ const document = configDocument();
+ document.accounts[ACCOUNT].schedule = '0 3 * * *';
+ const journal = path.join(workDir, 'history.jsonl');
+ const fixed = new Date('2026-03-01T12:00:00Z');
+
+ // Neither is given a run store, so each builds its own from RUN_STORE_PATH and its clock
+ const previousPath = process.env.RUN_STORE_PATH;
+ process.env.RUN_STORE_PATH = journal;
+ let scheduler;
+ try {
+ scheduler = new AutomationScheduler(validateConfig(document).accounts, {
+ environment: resolveEnvironment('mock', {mock: {baseUrl: server.baseUrl}}),
+ rateLimits: document.rateLimits,
+ reportsDir: path.join(workDir, 'reports'),
+ now: () => fixed
+ });
+ } finally {
+ if (previousPath === undefined) delete process.env.RUN_STORE_PATH;
+ else process.env.RUN_STORE_PATH = previousPath;
+ }
+
+ scheduler.start();
+ await scheduler.runAccount(ACCOUNT);
+ const state = scheduler.getStatus()[ACCOUNT];
+ await scheduler.stop();
+
+ assert.strictEqual(state.lastResult.commandsSent, 1);
+ assert.deepStrictEqual([state.lastRunStarted, state.lastRunFinished], [fixed, fixed]);
+ const records = fs.readFileSync(journal, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+ assert.deepStrictEqual([...new Set(records.map(record => record.type))].sort(), ['decision', 'run', 'send']);
+ assert.ok(records.every(record => record.at === fixed.toISOString()));
+});
+
+// Holds every request until open() is called; arrived resolves once the first one comes in
+function gatedHttpClient() {
+ let open;
+ let arrive;
+ const gate = new Promise(resolve => {
+ open = resolve;
+ });
+ const arrived = new Promise(resolve => {
+ arrive = resolve;
+ });
+ const client = async (config) => {
+ arrive();
+ await gate;
+ return axios(config);
+ };
+ return { client, open, arrived };
+}
+
+function scheduledAutomation(httpClient, written) {
+ const document = configDocument();
+ document.accounts[ACCOUNT].schedule = '0 3 * * *';
+ return new AutomationScheduler(validateConfig(document).accounts, {
+ environment: resolveEnvironment('mock', {mock: {baseUrl: server.baseUrl}}),
+ rateLimits: document.rateLimits,
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl')),
+ httpClient,
+ reportWriter: async (workbook, filepath) => {
+ written.push(filepath);
+ }
+ });
+}
+
+test('a tick that fires while the previous run is still going is skipped and counted', async () => {
+ server.setFleet([{imei: '359000000000505', account_name: ACCOUNT, ping_frequency: 600}]);
+ const { client, open, arrived } = gatedHttpClient();
+ const written = [];
+ const scheduler = scheduledAutomation(client, written);
+ scheduler.start();
+
+ const first = scheduler.runAccount(ACCOUNT);
+ await arrived;
+ const second = scheduler.runAccount(ACCOUNT);
+
+ assert.strictEqual(await second, undefined);
+ assert.strictEqual(scheduler.getStatus()[ACCOUNT].skippedRuns, 1);
+ assert.strictEqual(scheduler.getStatus()[ACCOUNT].running, true);
+
+ open();
+ await first;
+ await scheduler.stop();
+ assert.strictEqual(written.length, 1);
+ assert.strictEqual(scheduler.getStatus()[ACCOUNT].running, false);
+});
+
+test('stop() lets the in-flight run write its report and starts no new ones', async () => {
+ server.setFleet([{imei: '359000000000506', account_name: ACCOUNT, ping_frequency: 600}]);
+ const { client, open, arrived } = gatedHttpClient();
+ const written = [];
+ const scheduler = scheduledAutomation(client, written);
+ scheduler.start();
+
+ scheduler.runAccount(ACCOUNT);
+ await arrived;
+ let stopped = false;
+ const stopping = scheduler.stop().then(() => {
+ stopped = true;
+ });
+
+ // The run is parked on its first request, so stop() must still be waiting for it
+ await new Promise(resolve => setImmediate(resolve));
+ assert.strictEqual(stopped, false);
+ assert.deepStrictEqual(written, []);
+
+ open();
+ await stopping;
+ assert.strictEqual(written.length, 1);
+ assert.strictEqual(scheduler.getStatus()[ACCOUNT].lastResult.totalDevices, 1);
+
+ assert.strictEqual(await scheduler.runAccount(ACCOUNT), undefined);
+ assert.strictEqual(written.length, 1);
+});
+
+test('runAutomation finishes the current account on a stop request and starts no others', async () => {
+ server.setFleet([
+ {imei: '359000000000507', account_name: ACCOUNT, ping_frequency: 600},
+ {imei: '359000000000508', account_name: 'Second_Account', ping_frequency: 600}
+ ]);
+ const { client, open, arrived } = gatedHttpClient();
+ const written = [];
+ const document = configDocument();
+ document.accounts.Second_Account = testAccount();
+ const automation = createAutomation({
+ config: document,
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl')),
+ httpClient: client,
+ reportWriter: async (workbook, filepath) => {
+ written.push(filepath);
+ }
+ });
+
+ const running = automation.runAutomation();
+ await arrived;
+ automation.requestStop();
+ open();
+ const results = await running;
+
+ assert.deepStrictEqual(results.map(result => result.account), [ACCOUNT]);
+ assert.strictEqual(written.length, 1);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { Logger, REDACTED, resolveLogging } = require('../lib/logger');
+
+function capture(options = {}) {
+ const entries = [];
+ const logger = new Logger({
+ sinks: [entry => entries.push(entry)],
+ now: () => new Date('2026-03-01T12:00:00Z'),
+ ...options
+ });
+ return { logger, entries };
+}
+
+test('drops entries below the level and carries child fields', () => {
+ const { logger, entries } = capture({level: 'info'});
+ const run = logger.child({runId: 'run-1', account: 'PQE_Testing'});
+
+ run.debug('not written', {phase: 'pending'});
+ run.info('Fetched 2 devices', {phase: 'fetch'});
+ run.child({imei: '359000000000001'}).warn('Send not accepted', {phase: 'send'});
+
+ assert.deepStrictEqual(entries, [
+ {time: '2026-03-01T12:00:00.000Z', level: 'info', message: 'Fetched 2 devices', runId: 'run-1', account: 'PQE_Testing', phase: 'fetch'},
+ {
+ time: '2026-03-01T12:00:00.000Z',
+ level: 'warn',
+ message: 'Send not accepted',
+ runId: 'run-1',
+ account: 'PQE_Testing',
+ imei: '359000000000001',
+ phase: 'send'
+ }
+ ]);
+ assert.strictEqual(run.isEnabled('debug'), false);
+});
+
+test('redacts the apikey header and known secrets wherever they appear', () => {
+ const { logger, entries } = capture({secrets: ['mock-api-key']});
+ const error = new Error('Request failed with status code 401');
+ error.config = {headers: {apikey: 'mock-api-key'}};
+ error.response = {status: 401};
+
+ logger.error('GET http://localhost/bees?apikey=mock-api-key failed', {
+ error,
+ request: {headers: {apikey: 'mock-api-key', Accept: 'application/json'}}
+ });
+
+ assert.strictEqual(entries[0].message, `GET http://localhost/bees?apikey=${REDACTED} failed`);
+ assert.deepStrictEqual(entries[0].error, {name: 'Error', message: 'Request failed with status code 401', status: 401});
+ assert.deepStrictEqual(entries[0].request.headers, {apikey: REDACTED, Accept: 'application/json'});
+ assert.ok(!JSON.stringify(entries).includes('mock-api-key'));
+});
+
+test('LOG_LEVEL and LOG_FORMAT override the config', () => {
+ assert.deepStrictEqual(resolveLogging({level: 'warn'}, {}), {level: 'warn', format: 'json', runLogs: true});
+ assert.deepStrictEqual(resolveLogging({level: 'warn'}, {LOG_LEVEL: 'DEBUG', LOG_FORMAT: 'text'}),
+ {level: 'debug', format: 'text', runLogs: true});
+ assert.strictEqual(resolveLogging({}, {LOG_LEVEL: 'loud'}).level, 'info');
+});
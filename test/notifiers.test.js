@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const path = require('path');
+
+const { createAutomation } = require('../automation');
+const { ConfigError, validateConfig } = require('../lib/account-config');
+const { createNotifiers, normalizeNotifier, triggersFor, DEFAULT_THRESHOLDS } = require('../lib/notifiers');
+const { RunStore } = require('../lib/run-store');
+const { ACCOUNT, startMockEnvironment, stopMockEnvironment, testAccount } = require('./helpers');
+
+let server;
+let workDir;
+
+beforeEach(async () => {
+ ({ server, workDir } = await startMockEnvironment('decklar-notify-'));
+});
+
+afterEach(() => stopMockEnvironment({ server, workDir }));
+
+function configDocument(notifiers) {
+ return {
+ environment: 'mock',
+ environments: {mock: {baseUrl: server.baseUrl}},
+ accounts: {[ACCOUNT]: testAccount()},
+ notifiers
+ };
+}
+
+test('alerts only when a threshold is crossed, with per-account overrides', () => {
+ const result = {account: ACCOUNT, totalDevices: 10, deviations: 3, commandsFailed: 0, escalated: 0};
+ const thresholds = {...DEFAULT_THRESHOLDS, deviationPercent: 50};
+
+ assert.deepStrictEqual(triggersFor(result, thresholds), []);
+ assert.deepStrictEqual(triggersFor(result, {...thresholds, deviationPercent: 20}),
+ ['30.0% of devices deviating (threshold 20%)']);
+ assert.deepStrictEqual(triggersFor(result, {...thresholds, deviationIncrease: 2}, {deviations: 1}),
+ ['Deviations rose from 1 to 3 since the previous run']);
+ assert.deepStrictEqual(triggersFor({account: ACCOUNT, error: 'boom'}, thresholds), ['Run failed: boom']);
+
+ const [notifier] = createNotifiers([normalizeNotifier({
+ type: 'webhook',
+ url: 'https://hooks.example.com/runs',
+ thresholds: {deviationPercent: 50},
+ accounts: {[ACCOUNT]: {deviationPercent: 10}}
+ })]);
+ assert.strictEqual(notifier.thresholdsFor(ACCOUNT).deviationPercent, 10);
+ assert.strictEqual(notifier.thresholdsFor('Other').deviationPercent, 50);
+});
+
+test('rejects an invalid notifier with the path of the bad field', () => {
+ assert.throws(() => validateConfig({
+ accounts: configDocument().accounts,
+ notifiers: [{type: 'email', smtp: {host: 'smtp.example.com'}, from: 'ops@example.com', to: []}]
+ }), error => error instanceof ConfigError && error.field === 'notifiers[0].to');
+});
+
+test('sends the processAccount result to webhook, Slack and email notifiers after a run', async () => {
+ server.setFleet([
+ {imei: '359000000000601', account_name: ACCOUNT, ping_frequency: 300},
+ {imei: '359000000000602', account_name: ACCOUNT, ping_frequency: 600}
+ ]);
+
+ const posts = [];
+ const mails = [];
+ const automation = createAutomation({
+ // Notifier posts are captured; Decklar API calls go through to the mock
+ httpClient: async (request) => {
+ if (!request.url.startsWith(server.baseUrl)) {
+ posts.push(request);
+ return {status: 200, data: {}};
+ }
+ return axios(request);
+ },
+ createTransport: () => ({
+ sendMail: async (message) => {
+ mails.push(message);
+ }
+ }),
+ config: configDocument([
+ {type: 'webhook', url: 'https://hooks.example.com/runs', thresholds: {always: true}},
+ {type: 'slack', url: 'https://hooks.slack.example.com/T000/B000', thresholds: {deviationPercent: 25}},
+ {type: 'email', smtp: {host: 'smtp.example.com'}, from: 'ops@example.com', to: 'fleet@example.com',
+ thresholds: {deviationPercent: 90}, accounts: {[ACCOUNT]: {deviationPercent: 10}}},
+ {name: 'quiet', type: 'webhook', url: 'https://hooks.example.com/quiet', thresholds: {deviationPercent: 80}}
+ ]),
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl'))
+ });
+
+ const [result] = await automation.runAutomation();
+
+ assert.deepStrictEqual(posts.map(request => request.url),
+ ['https://hooks.example.com/runs', 'https://hooks.slack.example.com/T000/B000']);
+ assert.deepStrictEqual(posts[0].data.result.runId, result.runId);
+ assert.deepStrictEqual(posts[0].data.triggers, ['Run finished']);
+ assert.match(posts[1].data.text, /^Device automation PQE_Testing \(mock\): 50\.0% of devices deviating/);
+ assert.ok(posts[1].data.attachments[0].fields.some(field => field.title === 'Deviating' && field.value === '1'));
+
+ assert.strictEqual(mails.length, 1);
+ assert.strictEqual(mails[0].to, 'fleet@example.com');
+ assert.strictEqual(mails[0].attachments[0].path, result.reportPath);
+ assert.match(mails[0].text, /"commandsSent": 1/);
+
+ assert.deepStrictEqual(result.notifications.map(notification => [notification.notifier, notification.sent]),
+ [['webhook', true], ['slack', true], ['email', true], ['quiet', false]]);
+});
+
+test('a failing notifier is logged without failing the run', async () => {
+ server.setFleet([{imei: '359000000000603', account_name: ACCOUNT, ping_frequency: 600}]);
+ const automation = createAutomation({
+ config: configDocument([{type: 'webhook', url: 'https://hooks.example.com/runs', thresholds: {always: true}}]),
+ httpClient: async (request) => {
+ if (!request.url.startsWith(server.baseUrl)) throw new Error('connect ECONNREFUSED');
+ return axios(request);
+ },
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl'))
+ });
+
+ const [result] = await automation.runAutomation();
+
+ assert.strictEqual(result.error, undefined);
+ assert.deepStrictEqual(result.notifications, [{notifier: 'webhook', sent: false, triggers: [], error: 'connect ECONNREFUSED'}]);
+});
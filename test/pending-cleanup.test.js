@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { selectStaleCommands } = require('../lib/pending-cleanup');
+
+const NOW = 1772366400;
+const HOUR = 3600;
+const PROFILE_COMMAND = 'AT+TIMEGAP=0,600,1,600 & AT+SAMPLEMODE=0,0';
+const OPTIONS = {olderThanHours: 24, pendingCommandThreshold: 5};
+
+function pending(id, extracted, ageHours, extra = {}) {
+ return {id, extracted, state: 0, created_date: NOW - ageHours * HOUR, corrupt: false, ...extra};
+}
+
+const reasons = (selected) => selected.map(({entry, reason}) => [entry.id, reason]);
+
+test('picks old corrupt and conflicting commands, leaving ones that agree with the profile', () => {
+ const queue = [
+ pending(1, 'Corrupt frame', 48, {corrupt: true}),
+ pending(2, 'AT+TIMEGAP=0,300,1,300', 30),
+ pending(3, 'AT+TIMEGAP=0,600,1,600', 30),
+ pending(4, 'AT+GETCFG?', 30)
+ ];
+
+ assert.deepStrictEqual(reasons(selectStaleCommands(queue, PROFILE_COMMAND, OPTIONS, NOW)),
+ [[1, 'Corrupt frame'], [2, 'Conflicts with the profile']]);
+});
+
+test('leaves recent, already sent and id-less commands alone', () => {
+ const queue = [
+ pending(1, 'AT+TIMEGAP=0,300,1,300', 2),
+ pending(2, 'AT+TIMEGAP=0,300,1,300', 30, {state: 1}),
+ pending(undefined, 'AT+TIMEGAP=0,300,1,300', 30)
+ ];
+
+ assert.deepStrictEqual(selectStaleCommands(queue, PROFILE_COMMAND, OPTIONS, NOW), []);
+});
+
+test('a queue at the pending threshold has all of its old commands picked', () => {
+ const queue = [1, 2, 3, 4].map(id => pending(id, 'AT+GETCFG?', 30)).concat([pending(5, 'AT+GETCFG?', 1)]);
+
+ assert.deepStrictEqual(reasons(selectStaleCommands(queue, PROFILE_COMMAND, OPTIONS, NOW)),
+ [1, 2, 3, 4].map(id => [id, 'Stuck queue (5 pending)']));
+});
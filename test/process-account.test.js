@@ -0,0 +1,636 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Excel = require('exceljs');
+
+const { DeviceConfigAutomation } = require('../automation');
+const { validateConfig } = require('../lib/account-config');
+const { resolveEnvironment } = require('../lib/environments');
+const { RunStore } = require('../lib/run-store');
+const { ACCOUNT, FAST_LIMITS, PROFILE_COMMAND, device, startMockEnvironment, stopMockEnvironment, testAccount } = require('./helpers');
+
+let server;
+let workDir;
+
+function buildAutomation(accountOverrides = {}, options = {}) {
+ const { accounts } = validateConfig({
+ accounts: {[ACCOUNT]: testAccount(accountOverrides)}
+ });
+
+ return new DeviceConfigAutomation(accounts, {
+ environment: resolveEnvironment('mock', {mock: {baseUrl: server.baseUrl}}),
+ reportsDir: path.join(workDir, 'reports'),
+ runStore: new RunStore(path.join(workDir, 'history.jsonl')),
+ rateLimits: FAST_LIMITS,
+ ...options
+ });
+}
+
+function sendRequests() {
+ return server.requests.filter(request => request.path === '/services/command/send_commands');
+}
+
+// Returns the Device Status Report sheet as one object per row, keyed by header
+async function readStatusSheet(reportPath) {
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(reportPath);
+ const sheet = workbook.getWorksheet('Device Status Report');
+ const headers = sheet.getRow(1).values;
+ const rows = {};
+
+ sheet.eachRow((row, rowNumber) => {
+ if (rowNumber === 1) return;
+ const record = {};
+ row.values.forEach((value, index) => {
+ record[headers[index]] = value;
+ });
+ rows[record.IMEI] = record;
+ });
+ return rows;
+}
+
+beforeEach(async () => {
+ ({ server, workDir } = await startMockEnvironment('decklar-e2e-'));
+});
+
+afterEach(() => stopMockEnvironment({ server, workDir }));
+
+test('sends the profile command only to deviating devices', async () => {
+ server.setFleet([device('359000000000001', 600), device('359000000000002', 300)]);
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(result.totalDevices, 2);
+ assert.strictEqual(result.deviations, 1);
+ assert.strictEqual(result.commandsSent, 1);
+ assert.strictEqual(sendRequests().length, 1);
+ assert.deepStrictEqual(server.commands.map(row => row.imei), ['359000000000002']);
+ // Delivery tracking is opt-in, so the run never polls bee_commands after the send
+ assert.strictEqual(result.delivery, undefined);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000001'].Status, 'Normal');
+ assert.strictEqual(rows['359000000000002'].Status, 'ping_frequency_mismatch [warning]');
+ assert.strictEqual(rows['359000000000002'].Severity, 'warning');
+ assert.strictEqual(rows['359000000000002']['Command Decision'], 'Send Command');
+ assert.strictEqual(rows['359000000000002']['Command Status'], 'Success');
+ assert.strictEqual(rows['359000000000002']['Send Outcome'], 'accepted');
+ assert.strictEqual(result.environment, 'mock');
+});
+
+test('records the environment in the report', async () => {
+ server.setFleet([device('359000000000010', 600)]);
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(result.reportPath);
+ const details = {};
+ workbook.getWorksheet('Run Details').eachRow((row, rowNumber) => {
+ if (rowNumber > 1) details[row.getCell(1).value] = row.getCell(2).value;
+ });
+ assert.strictEqual(details.Environment, 'mock');
+ assert.strictEqual(details['Base URL'], server.baseUrl);
+});
+
+test('lists every fired rule and only remediates rules that have a command', async () => {
+ server.setFleet([
+ {...device('359000000000011', 300), communication: 'NOCOMM', battery_state: 'Low'},
+ {...device('359000000000012', 600), battery_state: 'Drained', firmware_version: '1.10.0'},
+ {...device('359000000000013', 600), firmware_version: '1.9.0'}
+ ]);
+
+ const result = await buildAutomation({
+ healthRules: [
+ {id: 'no_comm', type: 'no_comm', severity: 'critical'},
+ {id: 'battery_low', type: 'battery', severity: 'warning'},
+ {id: 'firmware', type: 'firmware', minimum: '1.10.0', severity: 'info', remediationCommand: 'AT+FWUPDATE=1'}
+ ]
+ }).processAccount(ACCOUNT);
+
+ assert.strictEqual(result.deviations, 3);
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000011'].Status,
+ 'no_comm [critical]; ping_frequency_mismatch [warning]; battery_low [warning]; firmware [info]');
+ assert.strictEqual(rows['359000000000011'].Severity, 'critical');
+ assert.strictEqual(rows['359000000000012']['Command Decision'], 'Report Only');
+
+ // Each device gets the merged remediation of its own findings
+ const sent = {};
+ server.commands.forEach(row => {
+ sent[row.imei] = row.command;
+ });
+ assert.deepStrictEqual(sent, {
+ '359000000000011': `${PROFILE_COMMAND} & AT+FWUPDATE=1`,
+ '359000000000013': 'AT+FWUPDATE=1'
+ });
+});
+
+test('a profile without healthRules decides on ping_frequency alone, as before health rules', async () => {
+ server.setFleet([
+ {...device('359000000000018', 600), communication: 'NOCOMM', battery_state: 'Low'},
+ {...device('359000000000019', 600), battery_state: 'Drained'},
+ {...device('359000000000020', 300), communication: 'NOCOMM'}
+ ]);
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 1);
+ assert.deepStrictEqual(sendRequests().map(request => JSON.parse(JSON.parse(request.body).data).imeis), [['359000000000020']]);
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000018'].Status, 'Normal');
+ assert.strictEqual(rows['359000000000019'].Status, 'Normal');
+ assert.strictEqual(rows['359000000000020'].Status, 'ping_frequency_mismatch [warning]');
+ assert.strictEqual(rows['359000000000020']['Command Decision'], 'Send Command');
+});
+
+test('opens with a summary sheet built from the run and the bees aggregations', async () => {
+ server.setFleet([
+ device('359000000000014', 600),
+ {...device('359000000000015', 300), asset_uuid: 'a-1', asset_name: 'Pallet 7'},
+ {...device('359000000000016', 300), battery_state: 'Low', geohash: 'u4pruyd'},
+ {...device('359000000000017', 600), communication: 'NOCOMM'}
+ ]);
+
+ const result = await buildAutomation({healthRules: [{type: 'no_comm', severity: 'critical'}]}).processAccount(ACCOUNT);
+
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(result.reportPath);
+ assert.strictEqual(workbook.worksheets[0].name, 'Summary');
+
+ const summary = {};
+ workbook.getWorksheet('Summary').eachRow(row => {
+ summary[`${row.getCell(1).value}|${row.getCell(3).value || ''}`] = row.getCell(2).value;
+ });
+ assert.strictEqual(summary['Devices reported|'], 4);
+ assert.strictEqual(summary['Devices with findings|'], 3);
+ assert.strictEqual(summary['Deviation rate|Devices with any health rule finding'], 0.75);
+ assert.strictEqual(summary['Send Command|No pending commands found'], 2);
+ assert.strictEqual(summary['Report Only|No remediation command for no_comm'], 1);
+ assert.strictEqual(summary['Send success rate|'], 1);
+ assert.strictEqual(summary['On asset (on_asset)|'], 1);
+ assert.strictEqual(summary['No comm (nocomm)|'], 1);
+ assert.strictEqual(summary['Battery low or drained (battery_status_low)|'], 1);
+ assert.strictEqual(summary['u|'], 1);
+
+ const statusSheet = workbook.getWorksheet('Device Status Report');
+ assert.strictEqual(statusSheet.views[0].state, 'frozen');
+ assert.ok(statusSheet.autoFilter);
+});
+
+test('fetches every page of a large fleet', async () => {
+ const fleet = [];
+ for (let i = 0; i < 2500; i++) {
+ fleet.push(device(String(359100000000000 + i), 600));
+ }
+ server.setFleet(fleet);
+
+ const automation = buildAutomation();
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(result.totalDevices, 2500);
+ assert.strictEqual(automation.fetchStats.devices.pages, 3);
+ assert.strictEqual(automation.fetchStats.devices.complete, true);
+ assert.strictEqual(sendRequests().length, 0);
+});
+
+test('pages each IMEI chunk of the pending command lookup without dropping rows at the boundaries', async () => {
+ const imeis = Array.from({length: 250}, (_, index) => String(359200000000000 + index));
+ server.setFleet(imeis.map(imei => device(imei, 300)));
+ imeis.forEach(imei => {
+ server.addCommand({imei, command: 'AT+LED=1'});
+ server.addCommand({imei, command: 'AT+GPS=1'});
+ });
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ // 100 + 100 + 50 IMEIs; the first two chunks hold 200 rows each, two pages of 100
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(result.reportPath);
+ const pending = workbook.getWorksheet('Fetch Summary').getRow(3).values.slice(1);
+ assert.deepStrictEqual(pending, ['Pending Commands (bee_commands)', 3, 5, 500, 500, 'Yes']);
+
+ const rows = await readStatusSheet(result.reportPath);
+ [0, 99, 100, 199, 200, 249].forEach(index => {
+ assert.strictEqual(rows[imeis[index]]['Pending Command Count'], 2, imeis[index]);
+ });
+ assert.ok(imeis.every(imei => rows[imei]['Pending Command Count'] === 2));
+});
+
+test('does not send when pending commands already reach the target', async () => {
+ server.setFleet([device('359000000000003', 300)]);
+ server.addCommand({imei: '359000000000003', command: PROFILE_COMMAND});
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 0);
+ assert.strictEqual(sendRequests().length, 0);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000003']['Command Decision'], 'Do Not Send');
+ assert.strictEqual(rows['359000000000003']['Pending Command Count'], 1);
+});
+
+test('reports corrupt pending frames and still sends', async () => {
+ server.setFleet([device('359000000000004', 300)]);
+ server.addCommand({imei: '359000000000004', msg: '7e830000ff7e'});
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 1);
+
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(result.reportPath);
+ const pendingSheet = workbook.getWorksheet('Pending Commands Details');
+ const extracted = pendingSheet.getRow(2).values.find(value => typeof value === 'string' && value.startsWith('Corrupt frame'));
+ assert.ok(extracted, 'corrupt frame is flagged in the pending commands sheet');
+});
+
+test('retries a send that failed before reaching the server without queuing it twice', async () => {
+ server.setFleet([device('359000000000005', 300)]);
+ server.injectFailure({path: '/send_commands', status: 503, headers: {'Retry-After': '0'}});
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(sendRequests().length, 2);
+ assert.strictEqual(server.commands.length, 1);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000005']['Command Status'], 'Success');
+});
+
+test('does not resend when bee_commands shows the failed request was queued', async () => {
+ server.setFleet([device('359000000000006', 300)]);
+ server.injectFailure({path: '/send_commands', status: 503, headers: {'Retry-After': '0'}, afterHandling: true});
+
+ const result = await buildAutomation().processAccount(ACCOUNT);
+
+ assert.strictEqual(sendRequests().length, 1);
+ assert.strictEqual(server.commands.length, 1);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000006']['Send Outcome'], 'accepted');
+});
+
+test('does not resend a batch whose last attempt timed out after the server queued it', async () => {
+ const imeis = ['359000000000011', '359000000000012'];
+ server.setFleet(imeis.map(imei => device(imei, 300)));
+ server.injectFailure({path: '/send_commands', status: 504, times: 2});
+ server.injectFailure({path: '/send_commands', status: 504, afterHandling: true});
+ const automation = buildAutomation();
+ automation.delay = async () => {};
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(sendRequests().length, 3);
+ imeis.forEach(imei => {
+ assert.strictEqual(server.commands.filter(row => String(row.imei) === imei).length, 1);
+ });
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows[imeis[0]]['Send Outcome'], 'error');
+ assert.strictEqual(rows[imeis[0]]['Command Status'], 'Error');
+});
+
+test('records unknown devices without retrying them', async () => {
+ server.setFleet([device('359000000000007', 300)]);
+ const automation = buildAutomation();
+ // Deregister the device between the fetch and the send
+ const fetchDevices = automation.getDevicesForAccount.bind(automation);
+ automation.getDevicesForAccount = async account => {
+ const devices = await fetchDevices(account);
+ server.setFleet([]);
+ return devices;
+ };
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(sendRequests().length, 1);
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000007']['Command Status'], 'Failed');
+ assert.strictEqual(rows['359000000000007']['Send Outcome'], 'unknown_device');
+});
+
+test('plan mode writes a plan instead of sending', async () => {
+ server.setFleet([device('359000000000008', 300)]);
+
+ const result = await buildAutomation({}, {dryRun: true}).processAccount(ACCOUNT);
+
+ assert.strictEqual(sendRequests().length, 0);
+ assert.ok(fs.existsSync(result.plan));
+ const plan = JSON.parse(fs.readFileSync(result.plan, 'utf8'));
+ assert.deepStrictEqual(plan.imeis, ['359000000000008']);
+ const index = JSON.parse(fs.readFileSync(path.join(workDir, 'reports', 'index.json'), 'utf8'));
+ const planEntry = index.reports.find(report => report.kind === 'plan');
+ assert.deepStrictEqual(planEntry.files, [path.basename(result.plan)]);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000008']['Command Decision'], 'Would Send');
+});
+
+test('escalates after maxResends unchanged runs, across restarts, until ping_frequency moves', async () => {
+ server.setFleet([device('359000000000031', 300)]);
+ const run = async () => {
+ // A fresh instance each time, so the resend count can only come from history.jsonl
+ const result = await buildAutomation({remediation: {maxResends: 2}}).processAccount(ACCOUNT);
+ // The device never applies the command; it expires and no longer counts as pending
+ server.commands.forEach(row => {
+ row.state = 4;
+ });
+ return result;
+ };
+
+ const results = [await run(), await run(), await run()];
+
+ assert.deepStrictEqual(results.map(result => [result.commandsSent, result.escalated]), [[1, 0], [1, 0], [0, 1]]);
+ const rows = await readStatusSheet(results[2].reportPath);
+ assert.strictEqual(rows['359000000000031']['Command Decision'], 'Escalate');
+ assert.match(rows['359000000000031']['Decision Reason'], /Sent 2 times/);
+ assert.strictEqual(rows['359000000000031']['Previous Sends'], 2);
+ assert.strictEqual(sendRequests().length, 2);
+
+ // Any change in the reported setting means the sends had an effect: the count starts over
+ server.devices[0].ping_frequency = 900;
+ const moved = await run();
+ assert.deepStrictEqual([moved.commandsSent, moved.escalated], [1, 0]);
+});
+
+test('executing a plan sends to the devices it lists, whatever the fleet reports now', async () => {
+ server.setFleet([device('359000000000041', 300), device('359000000000042', 600)]);
+ const { plan } = await buildAutomation({}, {dryRun: true}).processAccount(ACCOUNT);
+ assert.strictEqual(sendRequests().length, 0);
+
+ // Since the plan was written the first device fixed itself and two others started deviating
+ server.setFleet([device('359000000000041', 600), device('359000000000042', 300), device('359000000000043', 300)]);
+ const result = await buildAutomation().executePlan(plan);
+
+ assert.strictEqual(result.commandsSent, 1);
+ assert.strictEqual(sendRequests().length, 1);
+ assert.deepStrictEqual(server.commands.map(row => row.imei), ['359000000000041']);
+ const rows = await readStatusSheet(result.reportPath);
+ assert.deepStrictEqual(Object.keys(rows), ['359000000000041']);
+ assert.match(rows['359000000000041']['Decision Reason'], /^Listed in plan created /);
+});
+
+test('refuses to execute a plan made against another environment', async () => {
+ server.setFleet([device('359000000000044', 300)]);
+ const { plan } = await buildAutomation({}, {dryRun: true}).processAccount(ACCOUNT);
+ const saved = JSON.parse(fs.readFileSync(plan, 'utf8'));
+ fs.writeFileSync(plan, JSON.stringify({...saved, environment: 'production'}));
+
+ await assert.rejects(buildAutomation().executePlan(plan), /was created against production, not mock/);
+ assert.strictEqual(sendRequests().length, 0);
+});
+
+test('tracks delivery until the device acknowledges', async () => {
+ server.setFleet([device('359000000000009', 300)]);
+ server.autoAdvance = true;
+
+ const result = await buildAutomation({
+ deliveryTracking: {enabled: true, pollIntervalSeconds: 0.01, timeoutMinutes: 1}
+ }).processAccount(ACCOUNT);
+
+ assert.strictEqual(result.delivery.acknowledged, 1);
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000009']['Delivery Status'], 'acknowledged');
+});
+
+test('stops tracking delivery promptly once a stop is requested', async () => {
+ server.setFleet([device('359000000000010', 300)]);
+ const automation = buildAutomation({
+ deliveryTracking: {enabled: true, pollIntervalSeconds: 60, timeoutMinutes: 15}
+ });
+ // The first poll has run by then and tracking is waiting out the poll interval
+ automation.on('batchSent', () => setTimeout(() => automation.requestStop(), 100));
+
+ const startedAt = Date.now();
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.ok(Date.now() - startedAt < 5000);
+ assert.strictEqual(result.delivery.tracked, 1);
+ assert.strictEqual(result.delivery.pending, 1);
+ assert.ok(server.requests.filter(request => request.path.includes('bee_commands')).length >= 1);
+});
+
+test('rolls out canary first and continues in waves once devices apply the profile', async () => {
+ const imeis = Array.from({length: 10}, (_, index) => `3590000000001${String(index).padStart(2, '0')}`);
+ server.setFleet(imeis.map(imei => device(imei, 300)));
+
+ const automation = buildAutomation({
+ rollout: {enabled: true, canaryPercent: 20, wavePercent: 40, waitMinutes: 0, failureThreshold: 0.2}
+ });
+ // Stands in for the wait window: the devices pick up and acknowledge their commands
+ automation.delay = async () => {
+ server.advanceCommands();
+ server.advanceCommands();
+ };
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 10);
+ assert.strictEqual(result.rollout.halted, false);
+ assert.deepStrictEqual(result.rollout.stages.map(stage => [stage.name, stage.devices, stage.result]),
+ [['Canary', 2, 'Passed'], ['Wave 1', 4, 'Passed'], ['Wave 2', 4, 'Passed']]);
+ assert.strictEqual(sendRequests().length, 3);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows[imeis[0]]['Rollout Stage'], 'Canary');
+ assert.strictEqual(rows[imeis[9]]['Rollout Stage'], 'Wave 2');
+ assert.strictEqual(rows[imeis[9]]['Rollout Verification'], 'Verified');
+});
+
+test('halts the rollout when the canary does not report the expected settings', async () => {
+ const imeis = Array.from({length: 10}, (_, index) => `3590000000002${String(index).padStart(2, '0')}`);
+ server.setFleet(imeis.map(imei => device(imei, 300)));
+
+ const automation = buildAutomation({
+ rollout: {enabled: true, canaryPercent: 20, waitMinutes: 0, failureThreshold: 0.5}
+ });
+ automation.delay = async () => {};
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(result.commandsSent, 2);
+ assert.strictEqual(result.rollout.halted, true);
+ assert.strictEqual(result.rollout.haltedAfter, 'Canary');
+ assert.strictEqual(result.rollout.haltedDevices, 8);
+ assert.strictEqual(sendRequests().length, 1);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows[imeis[0]]['Rollout Verification'], 'Still reporting ping_frequency: 300 (expected 600)');
+ assert.strictEqual(rows[imeis[5]]['Command Decision'], 'Halted');
+ assert.match(rows[imeis[5]]['Decision Reason'], /^Rollout halted after Canary: 100\.0% failed verification/);
+});
+
+test('a stop request cuts the rollout wait short and skips the remaining waves', async () => {
+ const imeis = Array.from({length: 10}, (_, index) => `3590000000003${String(index).padStart(2, '0')}`);
+ server.setFleet(imeis.map(imei => device(imei, 300)));
+
+ // The canary never applies the profile, so verifying it would fail every device and halt
+ const automation = buildAutomation({
+ rollout: {enabled: true, canaryPercent: 20, wavePercent: 40, waitMinutes: 30, failureThreshold: 0}
+ });
+ automation.on('batchSent', () => setTimeout(() => automation.requestStop(), 100));
+
+ const startedAt = Date.now();
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.ok(Date.now() - startedAt < 5000);
+ assert.strictEqual(result.commandsSent, 2);
+ assert.strictEqual(result.rollout.halted, false);
+ assert.strictEqual(result.rollout.stoppedBefore, 'Wave 1');
+ assert.strictEqual(result.rollout.haltedDevices, 8);
+ assert.deepStrictEqual(result.rollout.stages.map(stage => [stage.name, stage.result]),
+ [['Canary', 'Unverified (stopped)'], ['Wave 1', 'Skipped'], ['Wave 2', 'Skipped']]);
+ assert.strictEqual(result.rollout.stages[0].failed, 0);
+ // The wait was cut short, so the devices were never read back for verification
+ assert.ok(!server.requests.some(request => /imei eq/.test(new URLSearchParams(request.query).get('$filter'))));
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows[imeis[0]]['Rollout Verification'], 'Unverified (stopped)');
+ assert.strictEqual(rows[imeis[9]]['Command Decision'], 'Skipped');
+ assert.strictEqual(rows[imeis[9]]['Decision Reason'], 'Run stopped before Wave 1');
+});
+
+test('leaves devices on the denylist or off the allowlist out of the run and reports why', async () => {
+ server.setFleet([
+ {...device('359000000000301', 300), tags: 'pilot'},
+ {...device('359000000000302', 300), tags: ['pilot'], shipment_name: 'SHP-1042'},
+ {...device('359000000000303', 300), tags: 'pilot,rma'},
+ device('359000000000304', 300),
+ {...device('359000000000305', 300), tags: 'pilot', shipment_name: 'unallocated'}
+ ]);
+
+ const result = await buildAutomation({
+ targeting: {
+ allow: {tags: ['pilot']},
+ deny: {shipments: ['*'], tags: ['rma']}
+ }
+ }).processAccount(ACCOUNT);
+
+ assert.strictEqual(result.excluded, 3);
+ assert.deepStrictEqual(server.commands.map(row => row.imei).sort(), ['359000000000301', '359000000000305']);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000302']['Command Decision'], 'Excluded');
+ assert.strictEqual(rows['359000000000302']['Decision Reason'], 'Excluded by denylist shipments "*" (SHP-1042)');
+ assert.strictEqual(rows['359000000000303']['Decision Reason'], 'Excluded by denylist tags "rma" (rma)');
+ assert.strictEqual(rows['359000000000304']['Decision Reason'], 'Excluded by not on the allowlist');
+ assert.strictEqual(rows['359000000000301']['Command Decision'], 'Send Command');
+});
+
+test('cancels stale conflicting or stuck pending commands before sending the profile', async () => {
+ const hours = 60 * 60;
+ server.setFleet([device('359000000000401', 300), device('359000000000402', 300), device('359000000000403', 300)]);
+ const conflicting = server.addCommand({imei: '359000000000401', command: 'AT+TIMEGAP=0,300,1,300', createdAgoSeconds: 8 * hours});
+ const fresh = server.addCommand({imei: '359000000000402', command: 'AT+TIMEGAP=0,300,1,300', createdAgoSeconds: hours});
+ for (let i = 0; i < 4; i++) {
+ server.addCommand({imei: '359000000000403', command: 'AT+SAMPLEMODE=0,0', createdAgoSeconds: (10 + i) * hours});
+ }
+
+ const result = await buildAutomation({pendingCleanup: {enabled: true, olderThanHours: 6}}).processAccount(ACCOUNT);
+
+ assert.strictEqual(result.cancelledCommands, 5);
+ assert.strictEqual(conflicting.state, 4);
+ assert.strictEqual(fresh.state, 0);
+ assert.strictEqual(server.commands.filter(row => row.imei === '359000000000403' && row.state === 4).length, 4);
+ assert.strictEqual(result.commandsSent, 3);
+
+ const rows = await readStatusSheet(result.reportPath);
+ assert.strictEqual(rows['359000000000403']['Command Decision'], 'Send Command');
+ assert.match(rows['359000000000403']['Decision Reason'], /^Cancelled 4 stale pending command\(s\); /);
+
+ const workbook = new Excel.Workbook();
+ await workbook.xlsx.readFile(result.reportPath);
+ const reasons = [];
+ workbook.getWorksheet('Cancelled Commands').eachRow((row, rowNumber) => {
+ if (rowNumber > 1) reasons.push(`${row.getCell(1).value} ${row.getCell(6).value} ${row.getCell(7).value}`);
+ });
+ assert.deepStrictEqual(reasons.slice(0, 2), [
+ '359000000000401 Conflicts with the profile Cancelled',
+ '359000000000403 Stuck queue (4 pending) Cancelled'
+ ]);
+});
+
+test('re-reads a command whose cancel failed before PATCHing it again', async () => {
+ const hours = 60 * 60;
+ server.setFleet([device('359000000000411', 300), device('359000000000412', 300)]);
+ const applied = server.addCommand({imei: '359000000000411', command: 'AT+TIMEGAP=0,300,1,300', createdAgoSeconds: 8 * hours});
+ const lost = server.addCommand({imei: '359000000000412', command: 'AT+TIMEGAP=0,300,1,300', createdAgoSeconds: 8 * hours});
+ // The first PATCH times out after expiring the command; the second never reaches it
+ server.injectFailure({path: `/bee_commands/${applied.id}`, method: 'PATCH', status: 504, afterHandling: true});
+ server.injectFailure({path: `/bee_commands/${lost.id}`, method: 'PATCH', status: 504});
+ const automation = buildAutomation({pendingCleanup: {enabled: true, olderThanHours: 6}});
+ automation.delay = async () => {};
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ const patches = (row) => server.requests.filter(request => request.method === 'PATCH' && request.path.endsWith(`/bee_commands/${row.id}`));
+ assert.strictEqual(result.cancelledCommands, 2);
+ assert.deepStrictEqual([applied.state, lost.state], [4, 4]);
+ assert.strictEqual(patches(applied).length, 1);
+ assert.strictEqual(patches(lost).length, 2);
+});
+
+test('reports from failed runs are tagged, kept apart and indexed', async () => {
+ server.setFleet([device('359000000000001', 600)]);
+ server.injectFailure({path: '/bees', status: 400});
+ const automation = buildAutomation();
+
+ const failed = await automation.processAccount(ACCOUNT);
+ const succeeded = await automation.processAccount(ACCOUNT);
+
+ assert.ok(failed.error);
+ assert.strictEqual(path.basename(path.dirname(failed.reportPath)), 'errors');
+ assert.match(path.basename(failed.reportPath), /_error\.xlsx$/);
+ assert.strictEqual(path.dirname(succeeded.reportPath), path.join(workDir, 'reports'));
+
+ const index = JSON.parse(fs.readFileSync(path.join(workDir, 'reports', 'index.json'), 'utf8'));
+ assert.deepStrictEqual(index.reports.map(report => [report.kind, report.runId, report.devices]), [
+ ['error', failed.runId, 0],
+ ['result', succeeded.runId, 1]
+ ]);
+ assert.strictEqual(index.reports[0].error, failed.error);
+ assert.deepStrictEqual(index.reports[1].files, [path.basename(succeeded.reportPath), path.basename(succeeded.logPath)]);
+});
+
+test('diff reads archived runs back from the run journal and counts the ones it cannot', async () => {
+ server.setFleet([device('359000000000021', 300)]);
+ const automation = buildAutomation();
+ const runs = [];
+ for (let i = 0; i < 3; i++) {
+ runs.push(await automation.processAccount(ACCOUNT));
+ }
+ await automation.pruneReports({enabled: true, keepLast: 1, keepDaily: 0, keepWeekly: 0, keepErrors: 10, archive: true});
+ assert.strictEqual(fs.readdirSync(path.join(workDir, 'reports')).filter(name => name.endsWith('.xlsx')).length, 1);
+
+ // The journal has lost the first run
+ const journal = path.join(workDir, 'history.jsonl');
+ const kept = fs.readFileSync(journal, 'utf8').trim().split('\n')
+ .filter(line => JSON.parse(line).runId !== runs[0].runId);
+ fs.writeFileSync(journal, kept.join('\n') + '\n');
+
+ const diff = await buildAutomation().diffReports();
+
+ assert.strictEqual(diff.runs, 2);
+ assert.strictEqual(diff.archivedFromJournal, 1);
+ assert.strictEqual(diff.archivedSkipped, 1);
+ assert.match(diff.baseline.run, /\(archived, from the run journal\)$/);
+ assert.strictEqual(diff.latest.run, path.basename(runs[2].reportPath));
+});
+
+test('writes the run log next to the report without the API key', async () => {
+ server.setFleet([device('359000000000001', 300)]);
+ const automation = buildAutomation({}, {logging: {level: 'debug'}});
+
+ const result = await automation.processAccount(ACCOUNT);
+
+ assert.strictEqual(result.logPath, result.reportPath.replace(/\.xlsx$/, '.log'));
+ const lines = fs.readFileSync(result.logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+ assert.ok(lines.every(line => line.runId === result.runId && line.account === ACCOUNT));
+ assert.ok(lines.some(line => line.phase === 'send' && line.level === 'info'));
+ assert.ok(lines.some(line => line.level === 'debug' && line.phase === 'fetch'));
+ assert.ok(!fs.readFileSync(result.logPath, 'utf8').includes(server.apiKey));
+ assert.ok(!fs.existsSync(path.join(workDir, 'reports', `run_${result.runId}.log`)));
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { RateLimiter, TokenBucket } = require('../lib/rate-limiter');
+
+// A fake clock that only moves when a caller waits on it
+function fakeClock() {
+ const clock = {time: 0, waits: []};
+ clock.now = () => clock.time;
+ clock.delay = async (ms) => {
+ clock.waits.push(ms);
+ clock.time += ms;
+ };
+ return clock;
+}
+
+test('hands out the burst at once, then refills at the steady rate', async () => {
+ const clock = fakeClock();
+ const bucket = new TokenBucket(4, 2, clock.now);
+
+ await bucket.take(clock.delay);
+ await bucket.take(clock.delay);
+ assert.deepStrictEqual(clock.waits, []);
+
+ await bucket.take(clock.delay);
+ assert.deepStrictEqual(clock.waits, [250]);
+
+ // Idle time refills the bucket, but never past its burst
+ clock.time += 10000;
+ await bucket.take(clock.delay);
+ await bucket.take(clock.delay);
+ await bucket.take(clock.delay);
+ assert.deepStrictEqual(clock.waits, [250, 250]);
+});
+
+test('backOff holds the endpoint for the Retry-After wait and resumes without a burst', async () => {
+ const clock = fakeClock();
+ const limiter = new RateLimiter({send_commands: {requestsPerSecond: 4, burst: 4}}, clock);
+ const url = 'https://api.example.com/services/command/send_commands';
+
+ limiter.backOff(url, 5000);
+ limiter.backOff('https://api.example.com/bees', 1000);
+ await limiter.acquire(url);
+ await limiter.acquire(url);
+ assert.deepStrictEqual(clock.waits, [5000, 250]);
+
+ // Other endpoints keep their own buckets; URLs outside the budgets are not limited
+ clock.waits = [];
+ await limiter.acquire('https://api.example.com/services/autocrud/bee_commands');
+ await limiter.acquire('https://api.example.com/health');
+ assert.deepStrictEqual(clock.waits, []);
+});
@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Excel = require('exceljs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { diffSnapshots, journalSnapshot, listReportFiles, readReportSnapshot } = require('../lib/report-diff');
+
+let workDir;
+
+function snapshot(generatedAt, devices, pending = []) {
+ return {
+ label: generatedAt,
+ account: 'PQE_Testing',
+ generatedAt: new Date(generatedAt),
+ devices: devices.map(([imei, status, lastReported]) => ({imei, status, lastReported})),
+ pending
+ };
+}
+
+beforeEach(() => {
+ workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decklar-diff-'));
+});
+
+afterEach(() => {
+ fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('diffs the earliest run against the latest and charts every run', () => {
+ const stuck = {imei: '359000000000004', command: 'AT+TIMEGAP=0,600,1,600', state: 'Pending', createdDate: '2026-03-01T08:00:00.000Z'};
+ const diff = diffSnapshots([
+ snapshot('2026-03-03T12:00:00Z', [
+ ['359000000000001', 'Normal', '2026-03-03 11:00:00'],
+ ['359000000000002', 'Normal', '2026-03-03 11:00:00'],
+ ['359000000000004', 'Wrong Config', '2026-03-01 07:00:00']
+ ], [stuck]),
+ snapshot('2026-03-01T12:00:00Z', [
+ ['359000000000001', 'Wrong Config', '2026-03-01 11:00:00'],
+ ['359000000000002', 'Normal', '2026-03-01 11:00:00'],
+ ['359000000000003', 'Normal', '2026-03-01 11:00:00'],
+ ['359000000000004', 'Wrong Config', '2026-03-01 07:00:00']
+ ], [stuck, {...stuck, imei: '359000000000001'}]),
+ snapshot('2026-03-02T12:00:00Z', [
+ ['359000000000001', 'Wrong Config', '2026-03-02 11:00:00'],
+ ['359000000000002', 'ping_frequency_mismatch [warning]', '2026-03-02 11:00:00'],
+ ['359000000000004', 'Wrong Config', '2026-03-01 07:00:00']
+ ], [stuck])
+ ]);
+
+ assert.deepStrictEqual(diff.fixed, [{imei: '359000000000001', before: 'Wrong Config', after: 'Normal'}]);
+ assert.deepStrictEqual(diff.newlyDeviating, []);
+ assert.deepStrictEqual(diff.stoppedReporting.map(device => [device.imei, device.detail]), [
+ ['359000000000003', 'Missing from the latest run'],
+ ['359000000000004', 'No report since the baseline run']
+ ]);
+ assert.deepStrictEqual(diff.stillPending, [{...stuck, runs: 3}]);
+ assert.deepStrictEqual(diff.trend.map(point => [point.generatedAt.slice(0, 10), point.deviating, point.change]), [
+ ['2026-03-01', 2, null],
+ ['2026-03-02', 3, 1],
+ ['2026-03-03', 1, -2]
+ ]);
+ assert.throws(() => diffSnapshots([diff.trend[0]]), /at least two runs/);
+});
+
+test('reads workbooks by header name, whatever columns they have', async () => {
+ const workbook = new Excel.Workbook();
+ const status = workbook.addWorksheet('Device Status Report');
+ status.columns = [
+ {header: 'IMEI', key: 'imei'},
+ {header: 'Device Type', key: 'deviceType'},
+ {header: 'Last Reported', key: 'lastReported'},
+ {header: 'Status', key: 'status'}
+ ];
+ status.addRow({imei: '359000000000001', deviceType: 'BSFlex', lastReported: '2025-09-02 17:00:00', status: 'Wrong Config'});
+ const pending = workbook.addWorksheet('Pending Commands Details');
+ pending.columns = [
+ {header: 'IMEI', key: 'imei'},
+ {header: 'Command State', key: 'state'},
+ {header: 'Command Content', key: 'command'},
+ {header: 'Created Date', key: 'createdDate'}
+ ];
+ pending.addRow({imei: '359000000000001', state: 'Pending', command: 'AT+TIMEGAP=0,600,1,600', createdDate: '2025-09-02T16:00:00.000Z'});
+ const filepath = path.join(workDir, 'device_report_PQE_Testing_2025-09-02T18-09-59-857Z.xlsx');
+ await workbook.xlsx.writeFile(filepath);
+ fs.writeFileSync(path.join(workDir, 'notes.txt'), 'not a report');
+
+ assert.deepStrictEqual(listReportFiles([workDir]), [filepath]);
+ assert.deepStrictEqual(listReportFiles([workDir], 'Other'), []);
+
+ const read = await readReportSnapshot(filepath);
+ assert.strictEqual(read.account, 'PQE_Testing');
+ assert.strictEqual(read.generatedAt.toISOString(), '2025-09-02T18:09:59.857Z');
+ assert.deepStrictEqual(read.devices, [{imei: '359000000000001', status: 'Wrong Config', lastReported: '2025-09-02 17:00:00'}]);
+ assert.deepStrictEqual(read.pending, [{
+ imei: '359000000000001',
+ command: 'AT+TIMEGAP=0,600,1,600',
+ state: 'Pending',
+ createdDate: '2025-09-02T16:00:00.000Z'
+ }]);
+});
+
+test('builds the same snapshot from journal records', () => {
+ const read = journalSnapshot({runId: 'run-1', account: 'PQE_Testing', finishedAt: '2026-03-01T12:00:00.000Z'}, [
+ {
+ type: 'decision',
+ runId: 'run-1',
+ imei: '359000000000001',
+ device: {imei: '359000000000001', status: 'Normal', lastReported: '2026-03-01 11:00:00'},
+ analysis: {commands: [{command: 'AT+TIMEGAP=0,600,1,600', state: 'Pending', created_date: '2026-03-01T10:00:00.000Z'}]}
+ },
+ {type: 'send', runId: 'run-1', imei: '359000000000001'}
+ ]);
+
+ assert.strictEqual(read.generatedAt.toISOString(), '2026-03-01T12:00:00.000Z');
+ assert.deepStrictEqual(read.devices, [{imei: '359000000000001', status: 'Normal', lastReported: '2026-03-01 11:00:00'}]);
+ assert.deepStrictEqual(read.pending.map(entry => entry.createdDate), ['2026-03-01T10:00:00.000Z']);
+});
+
+test('an empty legacy workbook is charted but never becomes the baseline', async () => {
+ // Failed runs used to write workbooks with the headers and no rows
+ const workbook = new Excel.Workbook();
+ workbook.addWorksheet('Device Status Report').columns = [
+ {header: 'IMEI', key: 'imei'},
+ {header: 'Last Reported', key: 'lastReported'},
+ {header: 'Status', key: 'status'}
+ ];
+ workbook.addWorksheet('Pending Commands Details').columns = [{header: 'IMEI', key: 'imei'}];
+ const legacy = path.join(workDir, 'device_report_PQE_Testing_2026-02-28T12-00-00-000Z.xlsx');
+ await workbook.xlsx.writeFile(legacy);
+
+ const diff = diffSnapshots([
+ await readReportSnapshot(legacy),
+ snapshot('2026-03-01T12:00:00Z', [
+ ['359000000000001', 'Wrong Config', '2026-03-01 11:00:00'],
+ ['359000000000002', 'Normal', '2026-03-01 11:00:00']
+ ]),
+ snapshot('2026-03-02T12:00:00Z', [
+ ['359000000000001', 'Normal', '2026-03-02 11:00:00']
+ ])
+ ]);
+
+ assert.strictEqual(diff.baseline.generatedAt, '2026-03-01T12:00:00.000Z');
+ assert.deepStrictEqual([diff.runs, diff.emptyRuns], [2, 1]);
+ assert.deepStrictEqual(diff.fixed, [{imei: '359000000000001', before: 'Wrong Config', after: 'Normal'}]);
+ assert.deepStrictEqual(diff.newlyDeviating, []);
+ assert.deepStrictEqual(diff.stoppedReporting.map(device => device.imei), ['359000000000002']);
+ assert.deepStrictEqual(diff.trend.map(point => [point.run, point.devices]), [
+ [path.basename(legacy), 0],
+ ['2026-03-01T12:00:00Z', 2],
+ ['2026-03-02T12:00:00Z', 1]
+ ]);
+ const legacySnapshot = await readReportSnapshot(legacy);
+ assert.throws(() => diffSnapshots([legacySnapshot, legacySnapshot, snapshot('2026-03-03T12:00:00Z', [])]), /found 0/);
+});
@@ -0,0 +1,78 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+ JSON_SCHEMA_VERSION,
+ ReportFormatError,
+ buildJsonReport,
+ parseReportFormats,
+ renderHtmlReport,
+ writeCsvReports
+} = require('../lib/report-formats');
+
+let workDir;
+
+function datasets() {
+ const dataset = (title, rows) => ({
+ title,
+ columns: [{header: 'IMEI', key: 'imei', width: 20}, {header: 'Note', key: 'note', width: 30}],
+ rows
+ });
+ return {
+ deviceStatus: dataset('Device Status Report', [
+ {imei: '359000000000001', note: 'ping_frequency: 300, "expected" 600'},
+ {imei: '359000000000002', note: '<script>alert(1)</script>', extra: 'dropped'}
+ ]),
+ commandAnalysis: dataset('Command Analysis Details', [{imei: '359000000000001', note: 'line one\nline two'}]),
+ pendingCommands: dataset('Pending Commands Details', [])
+ };
+}
+
+beforeEach(() => {
+ workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decklar-formats-'));
+});
+
+afterEach(() => {
+ fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('parseReportFormats accepts lists and comma-separated values', () => {
+ assert.deepStrictEqual(parseReportFormats(undefined), ['xlsx']);
+ assert.deepStrictEqual(parseReportFormats(['CSV,json', 'csv', 'html']), ['csv', 'json', 'html']);
+ assert.throws(() => parseReportFormats('xlsx,pdf'), ReportFormatError);
+});
+
+test('csv files quote fields and keep only the dataset columns', () => {
+ const files = writeCsvReports(datasets(), path.join(workDir, 'report'));
+
+ assert.deepStrictEqual(files.map(file => path.basename(file)),
+ ['report_device_status.csv', 'report_command_analysis.csv', 'report_pending_commands.csv']);
+ assert.strictEqual(fs.readFileSync(files[0], 'utf8'), [
+ 'IMEI,Note',
+ '359000000000001,"ping_frequency: 300, ""expected"" 600"',
+ '359000000000002,<script>alert(1)</script>',
+ ''
+ ].join('\r\n'));
+ assert.strictEqual(fs.readFileSync(files[1], 'utf8'), 'IMEI,Note\r\n359000000000001,"line one\nline two"\r\n');
+ assert.strictEqual(fs.readFileSync(files[2], 'utf8'), 'IMEI,Note\r\n');
+});
+
+test('json and html carry the same datasets', () => {
+ const run = {account: 'PQE_Testing', runId: 'run-1'};
+ const document = buildJsonReport(datasets(), run);
+
+ assert.strictEqual(document.schemaVersion, JSON_SCHEMA_VERSION);
+ assert.deepStrictEqual(document.run, run);
+ assert.deepStrictEqual(Object.keys(document.datasets), ['deviceStatus', 'commandAnalysis', 'pendingCommands']);
+ assert.deepStrictEqual(document.datasets.deviceStatus.rows[1], {imei: '359000000000002', note: '<script>alert(1)</script>'});
+ assert.deepStrictEqual(document.datasets.deviceStatus.columns[0], {header: 'IMEI', key: 'imei'});
+
+ const html = renderHtmlReport(datasets(), run);
+ assert.match(html, /<table id="deviceStatus">/);
+ assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+ assert.doesNotMatch(html, /<script>alert/);
+ assert.doesNotMatch(html, /<link|src=/);
+});
@@ -0,0 +1,85 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { REPORT_RETENTION_DEFAULTS, ReportIndex, selectExpired } = require('../lib/report-retention');
+
+let workDir;
+
+function entry(generatedAt, kind = 'result') {
+ return {id: `${kind}-${generatedAt}`, account: 'PQE_Testing', kind, generatedAt, files: [], status: 'kept'};
+}
+
+beforeEach(() => {
+ workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decklar-retention-'));
+});
+
+afterEach(() => {
+ fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('keeps the last runs plus daily and weekly rollups', () => {
+ const entries = [
+ // Two weeks back, one run a day at 06:00 and 18:00
+ ...Array.from({length: 14}, (_, day) => [
+ entry(`2026-03-${String(day + 1).padStart(2, '0')}T06:00:00.000Z`),
+ entry(`2026-03-${String(day + 1).padStart(2, '0')}T18:00:00.000Z`)
+ ]).flat(),
+ entry('2026-03-10T12:00:00.000Z', 'error'),
+ entry('2026-03-11T12:00:00.000Z', 'error'),
+ {...entry('2026-02-01T00:00:00.000Z'), status: 'archived'}
+ ];
+ const policy = {...REPORT_RETENTION_DEFAULTS, keepLast: 3, keepDaily: 2, keepWeekly: 2, keepErrors: 1};
+
+ const expired = new Set(selectExpired(entries, policy).map(expiredEntry => expiredEntry.id));
+ const kept = entries.filter(candidate => candidate.status === 'kept' && !expired.has(candidate.id))
+ .map(candidate => `${candidate.kind} ${candidate.generatedAt.slice(5, 13)}`);
+
+ assert.deepStrictEqual(kept.sort(), [
+ // The newest of 2026-03-02 to 03-08 and of 03-09 to 03-15 (weeks start on Monday)
+ 'error 03-11T12',
+ 'result 03-08T18',
+ 'result 03-13T18',
+ 'result 03-14T06',
+ 'result 03-14T18'
+ ]);
+});
+
+test('archives expired reports, plans and diffs and keeps them in the index', async () => {
+ const reportsDir = path.join(workDir, 'reports');
+ fs.mkdirSync(path.join(reportsDir, 'errors'), { recursive: true });
+ const names = [
+ 'device_report_PQE_Testing_2026-03-01T10-00-00-000Z.xlsx',
+ 'device_report_PQE_Testing_2026-03-01T10-00-00-000Z.json',
+ 'device_report_PQE_Testing_2026-03-02T10-00-00-000Z.xlsx',
+ path.join('errors', 'device_report_PQE_Testing_2026-03-02T11-00-00-000Z_error.xlsx'),
+ 'plan_PQE_Testing_2026-03-01T09-00-00-000Z.json',
+ 'plan_PQE_Testing_2026-03-02T09-00-00-000Z.json',
+ 'report_diff_PQE_Testing_2026-03-02T12-00-00-000Z.xlsx'
+ ];
+ names.forEach(name => fs.writeFileSync(path.join(reportsDir, name), 'report'));
+
+ const index = new ReportIndex(reportsDir);
+ const outcome = await index.applyRetention(
+ {...REPORT_RETENTION_DEFAULTS, keepLast: 1, keepDaily: 0, keepWeekly: 0, keepErrors: 1},
+ new Date('2026-03-03T00:00:00Z')
+ );
+
+ assert.deepStrictEqual(outcome, {expired: 2, archive: path.join('archive', 'device_reports_2026-03-03T00-00-00-000Z.zip')});
+ assert.ok(fs.existsSync(path.join(reportsDir, outcome.archive)));
+ assert.deepStrictEqual(names.map(name => fs.existsSync(path.join(reportsDir, name))),
+ [false, false, true, true, false, true, true]);
+
+ const reports = JSON.parse(fs.readFileSync(path.join(reportsDir, 'index.json'), 'utf8')).reports;
+ assert.deepStrictEqual(reports.map(report => [report.id, report.kind, report.status, report.files.length]), [
+ ['plan_PQE_Testing_2026-03-01T09-00-00-000Z', 'plan', 'archived', 1],
+ ['device_report_PQE_Testing_2026-03-01T10-00-00-000Z', 'result', 'archived', 2],
+ ['plan_PQE_Testing_2026-03-02T09-00-00-000Z', 'plan', 'kept', 1],
+ ['device_report_PQE_Testing_2026-03-02T10-00-00-000Z', 'result', 'kept', 1],
+ ['device_report_PQE_Testing_2026-03-02T11-00-00-000Z_error', 'error', 'kept', 1],
+ ['report_diff_PQE_Testing_2026-03-02T12-00-00-000Z', 'diff', 'kept', 1]
+ ]);
+ assert.strictEqual(reports[1].archive, outcome.archive);
+});
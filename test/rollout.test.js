@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { planStages, shouldHalt, stageFailureRate } = require('../lib/rollout');
+
+const OPTIONS = {canaryPercent: 10, minCanaryDevices: 1, wavePercent: 25, failureThreshold: 0.2};
+const imeiList = (count) => Array.from({length: count}, (_, index) => `35900000000${String(index).padStart(4, '0')}`);
+
+test('plans a canary, then waves of wavePercent of the whole run', () => {
+ const stages = planStages(imeiList(20), OPTIONS);
+
+ assert.deepStrictEqual(stages.map(stage => [stage.name, stage.imeis.length]),
+ [['Canary', 2], ['Wave 1', 5], ['Wave 2', 5], ['Wave 3', 5], ['Wave 4', 3]]);
+ assert.deepStrictEqual(stages.flatMap(stage => stage.imeis), imeiList(20));
+});
+
+test('the canary holds at least minCanaryDevices and never more than the run', () => {
+ assert.deepStrictEqual(planStages(imeiList(8), {...OPTIONS, minCanaryDevices: 3}).map(stage => stage.imeis.length), [3, 2, 2, 1]);
+ assert.deepStrictEqual(planStages(imeiList(2), {...OPTIONS, minCanaryDevices: 5}).map(stage => stage.name), ['Canary']);
+});
+
+test('halts only when the failure rate is above the threshold', () => {
+ const canary = (failed) => ({imeis: imeiList(10), failed: imeiList(failed)});
+
+ assert.strictEqual(stageFailureRate(canary(2)), 0.2);
+ assert.strictEqual(shouldHalt(canary(2), OPTIONS), false);
+ assert.strictEqual(shouldHalt(canary(3), OPTIONS), true);
+ assert.strictEqual(shouldHalt(canary(1), {failureThreshold: 0}), true);
+ assert.strictEqual(shouldHalt(canary(10), {failureThreshold: 1}), false);
+ assert.strictEqual(shouldHalt({imeis: [], failed: []}, {failureThreshold: 0}), false);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { exclusionFor } = require('../lib/targeting');
+
+const DEVICE = {imei: '359000000000401', asset_name: 'Pallet 7', shipment_name: 'SHP-1042', tags: 'pilot, rma'};
+
+test('a deny match wins over an allow match', () => {
+ const targeting = {
+ allow: {imeis: ['359000000000401'], tags: ['pilot']},
+ deny: {shipments: ['SHP-*']}
+ };
+
+ assert.strictEqual(exclusionFor(DEVICE, targeting), 'denylist shipments "SHP-*" (SHP-1042)');
+});
+
+test('once the allowlist has entries, devices matching none of them are excluded', () => {
+ const targeting = {allow: {assets: ['pallet *']}, deny: {}};
+
+ assert.strictEqual(exclusionFor(DEVICE, targeting), null);
+ assert.strictEqual(exclusionFor({...DEVICE, asset_name: 'Crate 1'}, targeting), 'not on the allowlist');
+ assert.strictEqual(exclusionFor({...DEVICE, asset_name: 'Crate 1'}, {allow: {assets: []}, deny: {}}), null);
+});
+
+test('tags come as lists or comma-separated strings; unallocated never matches a wildcard', () => {
+ assert.strictEqual(exclusionFor({...DEVICE, tags: ['field']}, {allow: {}, deny: {tags: ['rma']}}), null);
+ assert.strictEqual(exclusionFor(DEVICE, {allow: {}, deny: {tags: ['rma']}}), 'denylist tags "rma" (rma)');
+ assert.strictEqual(exclusionFor({...DEVICE, shipment_name: 'unallocated'}, {allow: {}, deny: {shipments: ['*']}}), null);
+ assert.strictEqual(exclusionFor({imei: 359000000000401}, {allow: {imeis: ['359000000000401']}, deny: {}}), null);
+ assert.strictEqual(exclusionFor(DEVICE, null), null);
+});